@@ -5,34 +5,48 @@ import commonjs from '@rollup/plugin-commonjs';
 import peerDepsExternal from 'rollup-plugin-peer-deps-external';
 import terser from '@rollup/plugin-terser';
 
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'dist/index.js',
-      format: 'cjs',
+const plugins = () => [
+  peerDepsExternal(),
+  babel({
+    exclude: 'node_modules/**',
+    presets: ['@babel/preset-env', '@babel/preset-react'],
+    plugins: ['@babel/plugin-proposal-class-properties'],
+    babelHelpers: 'bundled',
+    extensions: ['.js', '.jsx']
+  }),
+  resolve({
+    extensions: ['.js', '.jsx']
+  }),
+  commonjs(),
+  terser()
+];
+
+export default [
+  {
+    input: 'src/index.js',
+    output: [
+      {
+        file: 'dist/index.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/index.esm.js',
+        format: 'esm',
+        sourcemap: true
+      }
+    ],
+    plugins: plugins(),
+    external: ['react', 'react-dom']
+  },
+  // Self-contained worker script for renderIn="worker"
+  {
+    input: 'src/animationWorker.js',
+    output: {
+      file: 'dist/animationWorker.js',
+      format: 'iife',
       sourcemap: true
     },
-    {
-      file: 'dist/index.esm.js',
-      format: 'esm',
-      sourcemap: true
-    }
-  ],
-  plugins: [
-    peerDepsExternal(),
-    babel({
-      exclude: 'node_modules/**',
-      presets: ['@babel/preset-env', '@babel/preset-react'],
-      plugins: ['@babel/plugin-proposal-class-properties'],
-      babelHelpers: 'bundled',
-      extensions: ['.js', '.jsx']
-    }),
-    resolve({
-      extensions: ['.js', '.jsx']
-    }),
-    commonjs(),
-    terser()
-  ],
-  external: ['react', 'react-dom']
-};
\ No newline at end of file
+    plugins: plugins()
+  }
+];
@@ -6,6 +6,8 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { resolveMotionMode, SLOW_MOTION_SPEED } from './utils/reducedMotion';
+import { useReducedMotion } from './hooks/useReducedMotion';
 
 /**
  * @typedef {Object} AnimatedTextConfig
@@ -21,6 +23,8 @@ import React, { useState, useEffect } from 'react';
  * @property {('typewriter'|'fadeIn'|'bounce'|'glitch'|'rainbow')} [effect='typewriter'] - Animation effect
  * @property {AnimatedTextConfig} [config] - Animation configuration
  * @property {Object} [styles] - Custom CSS styles
+ * @property {('auto'|'static'|'slow'|'ignore')} [reducedMotion='auto'] - How to honor prefers-reduced-motion.
+ *   'static' shows the final text without animation, 'slow' slows the effects down and turns off glitching
  */
 
 class TextErrorBoundary extends React.Component {
@@ -47,8 +51,23 @@ const AnimatedText = ({
     text = '',
     effect = 'typewriter',
     config = {},
-    styles = {}
+    styles = {},
+    reducedMotion = 'auto'
 }) => {
+    const motion = resolveMotionMode(reducedMotion, useReducedMotion());
+    const slowdown = motion === 'slow' ? 1 / SLOW_MOTION_SPEED : 1;
+
+    /**
+     * CSS animation shorthand for the current motion mode
+     * @param {string} name - Keyframes name
+     * @param {number} seconds - Duration at full motion
+     * @param {string} rest - Timing function, iteration count and fill mode
+     * @returns {string} CSS animation value
+     */
+    const cssAnimation = (name, seconds, rest) => (
+        motion === 'static' ? 'none' : `${name} ${seconds * slowdown}s ${rest}`
+    );
+
     const defaultConfig = {
         speed: 100,
         loop: false,
@@ -69,15 +88,16 @@ const AnimatedText = ({
             borderRight: '0.15em solid currentColor',
         },
         fadeIn: {
-            opacity: 0,
-            animation: 'fadeIn 2s forwards',
+            opacity: motion === 'static' ? 1 : 0,
+            animation: cssAnimation('fadeIn', 2, 'forwards'),
         },
         bounce: {
             display: 'inline-block',
         },
         glitch: {
             position: 'relative',
-            animation: 'glitch 1s linear infinite',
+            // Glitching flickers, so it only runs with full motion
+            animation: motion === 'full' ? 'glitch 1s linear infinite' : 'none',
         },
         rainbow: {
             background: 'linear-gradient(to right, #6666ff, #0099ff , #00ff00, #ff3399, #6666ff)',
@@ -85,7 +105,7 @@ const AnimatedText = ({
             backgroundClip: 'text',
             WebkitBackgroundClip: 'text',
             WebkitTextFillColor: 'transparent',
-            animation: 'rainbow 8s ease infinite',
+            animation: cssAnimation('rainbow', 8, 'ease infinite'),
         }
     };
 
@@ -100,6 +120,12 @@ const AnimatedText = ({
                     return;
                 }
 
+                if (motion === 'static') {
+                    setDisplayText(text);
+                    setIsAnimating(false);
+                    return;
+                }
+
                 const startAnimation = () => {
                     let i = 0;
                     setDisplayText('');
@@ -122,14 +148,14 @@ const AnimatedText = ({
                             clearInterval(timer);
                             setIsAnimating(false);
                         }
-                    }, defaultConfig.speed);
+                    }, defaultConfig.speed * slowdown);
 
                     return timer;
                 };
 
                 const timer = setTimeout(startAnimation, defaultConfig.delay);
                 return () => clearTimeout(timer);
-            }, [text, defaultConfig.loop, defaultConfig.speed, defaultConfig.delay]);
+            }, [text, defaultConfig.loop, defaultConfig.speed, defaultConfig.delay, motion]);
 
             return (
                 <span
@@ -165,8 +191,8 @@ const AnimatedText = ({
                         key={i}
                         style={{
                             ...defaultStyles.bounce,
-                            animation: `bounce 0.5s ease infinite`,
-                            animationDelay: `${i * 0.1}s`
+                            animation: cssAnimation('bounce', 0.5, 'ease infinite'),
+                            animationDelay: `${i * 0.1 * slowdown}s`
                         }}
                     >
                         {char}
@@ -4,183 +4,892 @@
  * @requires react
  */
 
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useEffect, useCallback, useState, useImperativeHandle } from 'react';
+import { getAnimation, validateAnimationOptions } from './animationRegistry';
 import {
-    starryNight, floatingBubbles,
-    gradientWave, particleNetwork, galaxySpiral,
-    rainbowWaves, geometricShapes, fireflies,
-    matrixRain, quantumField, electricStorm,
-    cosmicDust, neonPulse, auroraBorealis, oceanWaves,
-    neuralNetwork,
-    dnaHelix, snowFall, realisticRain, autumnLeaves, realisticClouds, fireflyForest, fallingFoodFiesta,
-    hauntedForest,
-    ghostlyApparitions,
-    spiderwebOverlay,
-    undeadGraveyard,
-    bloodRain,
-    creepyCrawlies,
-} from './backgroundAnimations';
+    getCanvasSize, observeCanvasSize, getCanvasStyle,
+    resolvePixelRatio, setCanvasResolution, getLogicalSize
+} from './utils/canvasUtils';
+import { createRandom } from './utils/random';
+import { createFrameClock } from './utils/frameClock';
+import { frameScheduler, FRAME_PRIORITY } from './utils/frameScheduler';
+import { resolveMotionMode, drawPosterFrame, SLOW_MOTION_SPEED } from './utils/reducedMotion';
+import { useReducedMotion } from './hooks/useReducedMotion';
+import { useIsomorphicLayoutEffect } from './hooks/useIsomorphicLayoutEffect';
+import { usePerformanceMonitor } from './hooks/usePerformanceMonitor';
+import { observeVisibility } from './utils/visibility';
+import { resolveSnapshotOptions, snapshotCanvas } from './utils/snapshot';
+import {
+    resolvePosterFrame, getPosterKey, readPoster, storePoster, getPosterBackground
+} from './utils/posterFrame';
+import {
+    resolveParallax, getLayerDepth, resolveDepthOfField, getDepthOfFieldBlurs,
+    createParallaxTracker, drawWrapped
+} from './utils/parallax';
+import { resolveMask, drawMask, loadMaskImage } from './utils/layerMask';
+import {
+    resolveLayerFilter, resolveTint, applyTint, createColorGrade, supportsCanvasFilter
+} from './utils/layerFilter';
+import { themeManager } from './utils/themeSystem';
+import { createInteractionHandler } from './utils/interactionUtils';
+import { createAudioBindings, AudioReactiveEffects } from './utils/audioUtils';
 
 /**
  * @typedef {Object} AnimationLayer
- * @property {string} animation - Animation name
+ * @property {string} animation - Name of a built-in or registered animation
+ * @property {string|number} [key] - Identifies the layer across updates; defaults to its index
  * @property {number} [opacity=1] - Layer opacity (0-1)
  * @property {string} [blendMode='normal'] - Canvas blend mode for this layer
- * @property {number} [speed=1] - Speed multiplier for this layer
- * @property {Object} [config] - Layer-specific configuration
+ * @property {number} [speed=1] - Speed multiplier for this layer; scales the time the layer's animation advances by
+ * @property {Object} [config] - Animation options for this layer (see ANIMATION_OPTIONS); invalid ones are ignored
+ * @property {import('./utils/parallax').ParallaxConfig} [parallax] - Shift the layer as the page scrolls or
+ *   the pointer moves; the layer wraps around at the edges
+ * @property {import('./utils/layerMask').LayerMaskConfig} [mask] - Show the layer only inside (or, inverted,
+ *   outside) a shape, alpha ramp, image, text or another layer
+ * @property {boolean} [visible=true] - Draw the layer; hidden layers still animate, e.g. to serve as a mask
+ * @property {import('./utils/layerFilter').LayerFilterConfig|string} [filter] - Filters applied when the
+ *   layer is composited, as options or a CSS filter string
+ * @property {import('./utils/layerFilter').TintConfig|string} [tint] - Color blended over the layer's content
+ * @property {import('./utils/layerFilter').ColorGradeConfig} [colorGrade] - Per-channel lookup tables
+ * @property {string|false} [theme] - Theme for this layer alone; false for none. Inherits the component's
+ *   theme when not set
+ * @property {boolean} [interactive=false] - Let this layer's animation react to the mouse and touch
+ * @property {Object} [interactionConfig] - Interaction configuration for this layer, as on AnimatedBackground
+ * @property {Object<string, import('./utils/audioUtils').AudioBinding|string>} [audio] - Drive the layer's
+ *   opacity, speed or blur from the audio prop's analysis
+ */
+
+/**
+ * Build the options passed to a layer's animation factory, as AnimatedBackground does
+ * @param {Object} layerData - Layer data with the animation name, validated config, seed, reducedMotion
+ *   flag, theme manager, interaction handler and performance monitor
+ * @returns {Object} Factory options
+ */
+const getLayerOptions = ({
+    animationName, config, seed, reducedMotion, themeManager: layerThemeManager, interactionHandler, performanceMonitor
+}) => ({
+    themeManager: layerThemeManager,
+    interactionHandler,
+    performanceMonitor,
+    reducedMotion,
+    random: seed === undefined ? undefined : createRandom(seed),
+    ...(layerThemeManager ? layerThemeManager.getAnimationSettings(animationName) : {}),
+    ...config
+});
+
+/**
+ * Create a canvas at the given logical size and pixel ratio
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} Canvas and its context
+ */
+const createLayerCanvas = (width, height, ratio) => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    setCanvasResolution(canvas, ctx, width, height, ratio);
+    return { canvas, ctx };
+};
+
+/**
+ * Draw a layer's frame, shifted by its parallax offset
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on
+ * @param {Object} layerData - Layer data
+ * @param {Object|null} tracker - Parallax tracker, while parallax is active
+ * @param {number} width - Logical width
+ * @param {number} height - Logical height
+ */
+const drawLayerImage = (ctx, layerData, tracker, width, height) => {
+    // Layer canvases share the main canvas' pixel ratio, so draw them at logical size
+    if (tracker && layerData.parallax) {
+        const offset = tracker.getOffset(layerData.parallax);
+        drawWrapped(ctx, layerData.canvas, offset.x, offset.y, width, height);
+    } else {
+        ctx.drawImage(layerData.canvas, 0, 0, width, height);
+    }
+};
+
+/**
+ * Set up a layer's mask
+ * @returns {Object|null} Mask state: the config, the canvas static masks are drawn on and, for
+ *   image masks, the image and a function that cancels loading it
+ */
+const createMask = (maskConfig, index, layerCount, width, height, ratio) => {
+    const config = resolveMask(maskConfig, index, layerCount);
+    if (!config) return null;
+    if (config.type === 'layer') return { config };
+
+    const mask = { config, ...createLayerCanvas(width, height, ratio), dirty: true, image: null };
+    if (config.type === 'image') {
+        mask.cancelLoad = loadMaskImage(config.src, (image) => {
+            mask.image = image;
+            mask.dirty = true;
+        });
+    }
+    return mask;
+};
+
+/**
+ * Get the image whose alpha masks a layer
+ * @param {Object} layerData - Masked layer's data
+ * @param {Array<Object>} layers - All layers' data, for layer masks
+ * @param {number} width - Logical width
+ * @param {number} height - Logical height
+ * @returns {CanvasImageSource|null} Mask image, or null when the mask's source layer is missing
+ */
+const getMaskSource = (layerData, layers, width, height) => {
+    const { mask } = layerData;
+    if (mask.config.type === 'layer') {
+        const { layer } = mask.config;
+        const source = layers.find(other => !other.removing && (typeof layer === 'string' ? other.key === layer : other.index === layer));
+        return source ? source.canvas : null;
+    }
+
+    // Static masks are drawn once per size, and again once their image has loaded
+    if (mask.dirty) {
+        mask.ctx.clearRect(0, 0, width, height);
+        drawMask(mask.ctx, mask.config, width, height, mask.image);
+        mask.dirty = false;
+    }
+    return mask.canvas;
+};
+
+/**
+ * Audio values of layers without audio bindings, or while there is no audio
+ */
+const NO_AUDIO_VALUES = {};
+
+/**
+ * Whether the canvas filter warning was shown; once per page is enough
+ */
+let warnedAboutFilters = false;
+
+/**
+ * Duplicate layer key warnings already shown; layers are synced again whenever the layers prop changes
+ */
+const warnedDuplicateKeys = new Set();
+
+/**
+ * Identify a layer across updates: its key, or its index when it has none
+ * @param {AnimationLayer} layer - Layer
+ * @param {number} index - Layer index
+ * @returns {string} Layer key
+ */
+const getLayerKey = (layer, index) => (layer.key !== undefined ? String(layer.key) : String(index));
+
+/**
+ * Theme a layer uses: its own, none, or the component's
+ * @param {AnimationLayer} layer - Layer
+ * @param {string} [inheritedTheme] - The component's theme
+ * @returns {string|null} Theme name
  */
+const getLayerTheme = (layer, inheritedTheme) => (
+    layer.theme === undefined ? inheritedTheme || null : layer.theme || null
+);
+
+/**
+ * Describe the props that define a layer's scene. Changing them rebuilds the
+ * layer's animation; every other prop is applied to the running layer.
+ * @param {AnimationLayer} layer - Layer
+ * @param {string} [inheritedTheme] - The component's theme
+ * @returns {string} Scene key
+ */
+const getSceneKey = (layer, inheritedTheme) => JSON.stringify([
+    layer.animation,
+    layer.config || {},
+    getLayerTheme(layer, inheritedTheme),
+    Boolean(layer.interactive)
+]);
+
+/**
+ * Resolve the layerFade prop
+ * @param {number|{in: number, out: number}} layerFade - Fade duration in milliseconds, or one per direction
+ * @returns {{fadeIn: number, fadeOut: number}} Fade durations
+ */
+const resolveLayerFade = (layerFade) => {
+    const fade = typeof layerFade === 'number' ? { in: layerFade, out: layerFade } : layerFade || {};
+    return { fadeIn: fade.in > 0 ? fade.in : 0, fadeOut: fade.out > 0 ? fade.out : 0 };
+};
+
+/**
+ * Opacity factor of a layer that is fading in or out
+ * @param {Object|null} fade - Fade: { from, to, start, duration }, with start in clock time
+ * @param {number} time - Current clock time
+ * @returns {number} Opacity factor (0-1)
+ */
+const getFadeAlpha = (fade, time) => {
+    if (!fade) return 1;
+    const progress = Math.min(1, Math.max(0, (time - fade.start) / fade.duration));
+    return fade.from + (fade.to - fade.from) * progress;
+};
+
+/**
+ * Apply the props of a layer that don't need its animation rebuilt. Masks and color
+ * grades hold canvases, images and SVG filters, so they are only recreated when they change.
+ * @param {Object} layerData - Running layer
+ * @param {AnimationLayer} layer - Layer props
+ * @param {number} index - Layer index
+ * @param {number} layerCount - Number of layers
+ * @param {{width: number, height: number, ratio: number}} size - Canvas size and pixel ratio
+ */
+const applyLayerProps = (layerData, layer, index, layerCount, size) => {
+    layerData.index = index;
+    layerData.opacity = layer.opacity !== undefined ? layer.opacity : 1;
+    layerData.blendMode = layer.blendMode || 'normal';
+    layerData.speed = layer.speed !== undefined ? layer.speed : 1;
+    layerData.visible = layer.visible !== false;
+    layerData.filter = resolveLayerFilter(layer.filter, index);
+    layerData.tint = resolveTint(layer.tint, index);
+    layerData.parallax = resolveParallax(layer.parallax, index);
+    layerData.depth = getLayerDepth(layerData.parallax);
+
+    const maskKey = JSON.stringify(layer.mask || null);
+    if (maskKey !== layerData.maskKey) {
+        if (layerData.mask && layerData.mask.cancelLoad) layerData.mask.cancelLoad();
+        layerData.mask = createMask(layer.mask, index, layerCount, size.width, size.height, size.ratio);
+        layerData.maskKey = maskKey;
+    }
+
+    const colorGradeKey = JSON.stringify(layer.colorGrade || null);
+    if (colorGradeKey !== layerData.colorGradeKey) {
+        if (layerData.colorGrade) layerData.colorGrade.remove();
+        layerData.colorGrade = createColorGrade(layer.colorGrade, index);
+        layerData.colorGradeKey = colorGradeKey;
+    }
+
+    // Audio bindings keep their levels while the bindings stay the same
+    const audioKey = JSON.stringify(layer.audio || null);
+    if (audioKey !== layerData.audioKey) {
+        layerData.audio = createAudioBindings(layer.audio, index);
+        layerData.audioKey = audioKey;
+    }
+
+    if (layerData.interactionHandler) {
+        layerData.interactionHandler.setConfig(layer.interactionConfig || {});
+    }
+};
+
+/**
+ * Create a running layer: its canvas, animation and props
+ * @param {AnimationLayer} layer - Layer props
+ * @param {string} key - Layer key
+ * @param {number} index - Layer index
+ * @param {number} layerCount - Number of layers
+ * @param {{width: number, height: number, ratio: number}} size - Canvas size and pixel ratio
+ * @param {Object} scene - The component's canvas, seed, reducedMotion flag, theme and performance monitor
+ * @returns {Object|null} Layer data, or null when the animation is unknown
+ */
+const createLayer = (layer, key, index, layerCount, size, scene) => {
+    const { seed, reducedMotion, theme, performanceMonitor } = scene;
+    const factory = getAnimation(layer.animation);
+    if (!factory) {
+        console.warn(`Animation "${layer.animation}" not found in layer ${index}`);
+        return null;
+    }
+
+    const { options: config, errors } = validateAnimationOptions(layer.animation, layer.config || {});
+    if (errors.length > 0) {
+        console.warn(`Invalid config in layer ${index} ("${layer.animation}"):\n  ${errors.join('\n  ')}`);
+    }
+
+    // Create a temporary canvas for this layer
+    const { canvas, ctx } = createLayerCanvas(size.width, size.height, size.ratio);
+
+    // The component's theme is applied to the shared manager, as on AnimatedBackground; a layer's own gets a scope
+    const layerTheme = getLayerTheme(layer, theme);
+    let layerThemeManager = null;
+    if (layerTheme) {
+        layerThemeManager = layer.theme === undefined ? themeManager : themeManager.createScope(layerTheme);
+    }
+
+    // Interactive layers listen on the main canvas, which shares their logical size
+    let interactionHandler = null;
+    if (layer.interactive) {
+        interactionHandler = createInteractionHandler(scene.canvas, { ...layer.interactionConfig });
+        interactionHandler.attachListeners();
+    }
+
+    const layerData = {
+        key,
+        sceneKey: getSceneKey(layer, theme),
+        animationName: layer.animation,
+        canvas,
+        ctx,
+        factory,
+        config,
+        // Derived from the key, so a layer keeps its scene when layers are reordered
+        seed: seed !== undefined ? `${seed}:${key}` : undefined,
+        reducedMotion,
+        themeManager: layerThemeManager,
+        interactionHandler,
+        performanceMonitor,
+        time: 0,
+        frame: 0,
+        fade: null,
+        removing: false
+    };
+    layerData.animation = factory(canvas, ctx, getLayerOptions(layerData));
+    applyLayerProps(layerData, layer, index, layerCount, size);
+    return layerData;
+};
+
+/**
+ * Free what a layer holds besides its canvas
+ * @param {Object} layerData - Running layer
+ */
+const disposeLayer = ({ mask, colorGrade, interactionHandler }) => {
+    if (mask && mask.cancelLoad) mask.cancelLoad();
+    if (colorGrade) colorGrade.remove();
+    if (interactionHandler) interactionHandler.removeListeners();
+};
 
 /**
  * LayeredBackground Component - Combines multiple animations in layers
  * @param {Object} props - Component props
  * @param {Array<AnimationLayer>} props.layers - Array of animation layers
- * @param {number} [props.fps=60] - Frames per second for the animation
+ * @param {number} [props.fps=60] - Maximum frames per second; motion speed does not depend on it
  * @param {Object} [props.style] - Additional CSS styles for the canvas
- * @param {boolean} [props.enablePerformanceMonitoring=false] - Enable performance monitoring
+ * @param {boolean} [props.enablePerformanceMonitoring=false] - Enable performance monitoring, for onPerformanceChange
+ * @param {'fullscreen'|'contained'} [props.mode='fullscreen'] - 'fullscreen' covers the viewport,
+ *   'contained' fills the parent element and follows its size
+ * @param {'auto'|number} [props.pixelRatio='auto'] - Backing store pixels per CSS pixel; 'auto' uses devicePixelRatio
+ * @param {number} [props.maxPixelRatio=2] - Upper bound for the pixel ratio
+ * @param {number|string} [props.seed] - Seed for the layers' randomness; each layer derives its own
+ *   generator from it, so the same seed renders the same composition every time
+ * @param {'auto'|'static'|'slow'|'ignore'} [props.reducedMotion='auto'] - How to honor prefers-reduced-motion,
+ *   as on AnimatedBackground
+ * @param {boolean} [props.pauseWhenHidden=true] - Stop drawing while the canvas is scrolled out of view or
+ *   the tab is hidden
+ * @param {Function} [props.onReady] - onReady({ animations }) once the first frame is drawn, with the layers' animation names
+ * @param {Function} [props.onFrame] - onFrame({ time, deltaTime, fps }) after every drawn frame
+ * @param {Function} [props.onAnimationChange] - onAnimationChange(animations, previousAnimations) when the
+ *   layers' animations change
+ * @param {Function} [props.onThemeChange] - onThemeChange(theme, previousTheme) when the theme prop changes
+ * @param {Function} [props.onPause] - onPause({ reason: 'hidden' }) when drawing stops while the canvas can't be seen
+ * @param {Function} [props.onResume] - onResume({ reason: 'hidden' }) when drawing starts again
+ * @param {Function} [props.onPerformanceChange] - onPerformanceChange(level) when the performance level changes;
+ *   needs enablePerformanceMonitoring
+ * @param {number} [props.framePriority=FRAME_PRIORITY.RENDER] - Order on the shared frame scheduler, see FRAME_PRIORITY
+ * @param {import('./utils/posterFrame').PosterFrameConfig|string|boolean} [props.posterFrame] - Still shown as
+ *   the canvas background until the first frame is drawn, as on AnimatedBackground
+ * @param {import('./utils/parallax').DepthOfFieldConfig|boolean} [props.depthOfField] - Blur layers by their
+ *   distance from the focus depth; a layer's depth is its parallax strength
+ * @param {number|{in: number, out: number}} [props.layerFade=0] - Milliseconds added layers fade in and
+ *   removed layers fade out over; a layer whose animation or config changes cross-fades
+ * @param {string} [props.theme] - Theme for the layers that don't set their own, as on AnimatedBackground
+ * @param {import('./utils/audioUtils').AudioAnalyzer|import('./utils/audioUtils').AudioReactiveEffects} [props.audio] -
+ *   Listening audio analyzer that the layers' audio bindings follow
+ * @param {React.Ref} [ref] - Receives { snapshot, getCanvas }; snapshot works as on AnimatedBackground
  * @returns {React.Component} A canvas element with layered animated backgrounds
  */
-const LayeredBackground = ({
+const LayeredBackground = React.forwardRef(({
     layers = [],
     fps = 60,
     style,
-    enablePerformanceMonitoring = false
-}) => {
+    enablePerformanceMonitoring = false,
+    mode = 'fullscreen',
+    pixelRatio = 'auto',
+    maxPixelRatio = 2,
+    seed,
+    reducedMotion = 'auto',
+    pauseWhenHidden = true,
+    onReady,
+    onFrame,
+    onAnimationChange,
+    onThemeChange,
+    onPause,
+    onResume,
+    onPerformanceChange,
+    framePriority = FRAME_PRIORITY.RENDER,
+    posterFrame,
+    depthOfField,
+    layerFade = 0,
+    theme,
+    audio
+}, ref) => {
     const canvasRef = useRef(null);
+    // Removes the frame loop from the frame scheduler while it runs
     const animationRef = useRef(null);
     const layerDataRef = useRef([]);
+    const motion = resolveMotionMode(reducedMotion, useReducedMotion());
+    const monitor = usePerformanceMonitor({ enabled: enablePerformanceMonitoring });
+    const performanceMonitor = enablePerformanceMonitoring ? monitor : null;
+    // Read by the frame loop and layer sync, which the main effect doesn't restart for these
+    const performanceMonitorRef = useRef(performanceMonitor);
+    performanceMonitorRef.current = performanceMonitor;
+    const layerFadeRef = useRef(layerFade);
+    layerFadeRef.current = layerFade;
+    // Event callbacks are read when an event happens, so new functions on every render don't restart anything
+    const callbacksRef = useRef(null);
+    callbacksRef.current = { onReady, onFrame, onAnimationChange, onThemeChange, onPause, onResume, onPerformanceChange };
+    const previousThemeRef = useRef(theme);
+    const readyRef = useRef(false);
+    // The poster background is removed once the layers have drawn
+    const [hasDrawn, setHasDrawn] = useState(false);
+    const posterConfig = resolvePosterFrame(posterFrame);
+    const posterFrameKey = JSON.stringify(posterConfig);
+    const depthOfFieldKey = JSON.stringify(resolveDepthOfField(depthOfField));
+    const getScenePosterKey = ({ width, height }) => {
+        const { time, persist, ...snapshot } = posterConfig;
+        return getPosterKey({
+            layers,
+            seed,
+            depthOfField: depthOfFieldKey,
+            width: Math.round(width),
+            height: Math.round(height),
+            time,
+            ...snapshot
+        });
+    };
+    const [cachedPoster, setCachedPoster] = useState(null);
+    const posterCaptureRef = useRef(null);
+    const animationNamesRef = useRef(null);
+    // Scroll and pointer tracking while any layer has parallax
+    const parallaxRef = useRef(null);
+    const depthOfFieldRef = useRef(null);
+    depthOfFieldRef.current = JSON.parse(depthOfFieldKey);
+    // Scratch canvas masked layers are composed on before they are drawn
+    const compositeRef = useRef(null);
+    // The layers prop, read when the layers are rebuilt, and the layers and theme the running layers match
+    const layersRef = useRef(layers);
+    layersRef.current = layers;
+    const syncedRef = useRef(null);
+    // Latest analysis from the audio prop, while audio bindings may run
+    const audioDataRef = useRef(null);
+    // Clock time of the latest frame, where layer fades start
+    const clockTimeRef = useRef(0);
+    const previousPerformanceLevelRef = useRef(null);
+
+    const emit = (name, ...args) => {
+        const callback = callbacksRef.current[name];
+        if (typeof callback === 'function') {
+            callback(...args);
+        }
+    };
+
+    const performanceLevel = performanceMonitor ? performanceMonitor.performanceLevel : null;
+    useEffect(() => {
+        const previous = previousPerformanceLevelRef.current;
+        if (performanceLevel && previous && performanceLevel !== previous) {
+            emit('onPerformanceChange', performanceLevel);
+        }
+        previousPerformanceLevelRef.current = performanceLevel;
+    }, [performanceLevel]);
+
+    // Apply the theme before the layers that inherit it are built
+    useEffect(() => {
+        if (theme) {
+            themeManager.applyTheme(theme);
+        }
+        if (theme !== previousThemeRef.current) {
+            emit('onThemeChange', theme, previousThemeRef.current);
+            previousThemeRef.current = theme;
+        }
+    }, [theme]);
+
+    // Follow the audio analysis; audio-driven pulsing is motion, so reduced motion turns it off
+    useEffect(() => {
+        audioDataRef.current = null;
+        if (!audio || motion !== 'full') return undefined;
+
+        const analyzer = audio instanceof AudioReactiveEffects ? audio.analyzer : audio;
+        const handleAudioData = (audioData) => {
+            audioDataRef.current = audioData;
+        };
+        analyzer.onAudioData(handleAudioData);
+        return () => {
+            analyzer.removeCallback(handleAudioData);
+            audioDataRef.current = null;
+        };
+    }, [audio, motion]);
+
+    /**
+     * Bring the running layers in line with the layers prop. Layers are matched by
+     * key: changed props are applied live, and only added layers and layers whose
+     * animation or config changed are created.
+     * @param {Array<AnimationLayer>} nextLayers - Layers to show
+     * @param {boolean} animate - Fade added and removed layers, as set by layerFade
+     */
+    const syncLayers = (nextLayers, animate) => {
+        const canvas = canvasRef.current;
+        const { width, height } = getLogicalSize(canvas);
+        const size = { width, height, ratio: resolvePixelRatio(pixelRatio, maxPixelRatio) };
+        const scene = {
+            canvas, seed, reducedMotion: motion !== 'full', theme, performanceMonitor: performanceMonitorRef.current
+        };
+        const { fadeIn, fadeOut } = animate && motion !== 'static'
+            ? resolveLayerFade(layerFadeRef.current)
+            : { fadeIn: 0, fadeOut: 0 };
+        const now = clockTimeRef.current;
+        const fadeTo = (layerData, to, duration) => {
+            layerData.fade = { from: getFadeAlpha(layerData.fade, now), to, start: now, duration };
+        };
+
+        const previous = layerDataRef.current;
+        const next = [];
+        const keys = new Set();
+        nextLayers.forEach((layer, index) => {
+            let key = getLayerKey(layer, index);
+            if (keys.has(key)) {
+                const warning = `Duplicate layer key "${key}" in layer ${index}. Layer keys must be unique.`;
+                if (!warnedDuplicateKeys.has(warning)) {
+                    warnedDuplicateKeys.add(warning);
+                    console.warn(warning);
+                }
+                key = `${key}#${index}`;
+            }
+            keys.add(key);
+
+            const sceneKey = getSceneKey(layer, theme);
+            const existing = previous.find(layerData => layerData.key === key && layerData.sceneKey === sceneKey);
+            if (existing) {
+                applyLayerProps(existing, layer, index, nextLayers.length, size);
+                // A layer removed and added back before it faded out fades back in from where it is
+                if (existing.removing) {
+                    existing.removing = false;
+                    fadeTo(existing, 1, fadeIn);
+                }
+                next.push(existing);
+                return;
+            }
+
+            const created = createLayer(layer, key, index, nextLayers.length, size, scene);
+            if (created) {
+                if (fadeIn > 0) {
+                    created.fade = { from: 0, to: 1, start: now, duration: fadeIn };
+                }
+                next.push(created);
+            }
+        });
+
+        // Removed layers fade out where they were, or go right away
+        previous.forEach((layerData, previousIndex) => {
+            if (next.includes(layerData)) return;
+            if (fadeOut === 0) {
+                disposeLayer(layerData);
+                return;
+            }
+            if (!layerData.removing) {
+                layerData.removing = true;
+                fadeTo(layerData, 0, fadeOut);
+            }
+            const before = previous.slice(0, previousIndex).reverse().find(other => next.includes(other));
+            next.splice(before ? next.indexOf(before) + 1 : 0, 0, layerData);
+        });
+        layerDataRef.current = next;
 
-    const animations = {
-        starryNight, floatingBubbles, gradientWave, particleNetwork, galaxySpiral,
-        rainbowWaves, geometricShapes, fireflies, matrixRain, quantumField,
-        electricStorm, cosmicDust, neonPulse, auroraBorealis, oceanWaves,
-        neuralNetwork, dnaHelix, snowFall, realisticRain, realisticClouds,
-        fireflyForest, autumnLeaves, fallingFoodFiesta, hauntedForest,
-        ghostlyApparitions,
-        spiderwebOverlay,
-        undeadGraveyard,
-        bloodRain,
-        creepyCrawlies,
+        if (!compositeRef.current && next.some(layerData => layerData.mask || layerData.tint)) {
+            compositeRef.current = createLayerCanvas(width, height, size.ratio);
+        }
+
+        if (!warnedAboutFilters && !supportsCanvasFilter(canvas.getContext('2d')) &&
+            next.some(layerData => layerData.filter || layerData.colorGrade)) {
+            warnedAboutFilters = true;
+            console.warn('This browser does not support canvas filters; layer filters and color grades are ignored.');
+        }
+
+        // Parallax is motion too: reduced motion keeps every layer in place
+        const needsTracker = motion === 'full' && next.some(layerData => layerData.parallax);
+        if (needsTracker && !parallaxRef.current) {
+            parallaxRef.current = createParallaxTracker(canvas);
+        } else if (!needsTracker && parallaxRef.current) {
+            parallaxRef.current.stop();
+            parallaxRef.current = null;
+        }
+
+        const animationNames = nextLayers.map(layer => layer.animation);
+        const previousNames = animationNamesRef.current;
+        animationNamesRef.current = animationNames;
+        if (previousNames && previousNames.join('\n') !== animationNames.join('\n')) {
+            emit('onAnimationChange', animationNames, previousNames);
+        }
     };
 
-    const setupLayers = useCallback(() => {
+    const resizeLayers = useCallback((width, height) => {
         const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
-
-        // Initialize layer data
-        layerDataRef.current = layers.map((layer, index) => {
-            const animation = animations[layer.animation];
-            if (!animation) {
-                console.warn(`Animation "${layer.animation}" not found in layer ${index}`);
-                return null;
+        const ratio = resolvePixelRatio(pixelRatio, maxPixelRatio);
+        setCanvasResolution(canvas, canvas.getContext('2d'), width, height, ratio);
+
+        if (compositeRef.current) {
+            setCanvasResolution(compositeRef.current.canvas, compositeRef.current.ctx, width, height, ratio);
+        }
+
+        layerDataRef.current.forEach(layerData => {
+            setCanvasResolution(layerData.canvas, layerData.ctx, width, height, ratio);
+            const { mask } = layerData;
+            if (mask && mask.canvas) {
+                setCanvasResolution(mask.canvas, mask.ctx, width, height, ratio);
+                mask.dirty = true;
+            }
+
+            // Keep the layer's scene when its animation can resize itself, otherwise rebuild it
+            const { animation } = layerData;
+            if (typeof animation.resize !== 'function' || animation.resize(width, height) === false) {
+                layerData.animation = layerData.factory(layerData.canvas, layerData.ctx, getLayerOptions(layerData));
+            }
+        });
+    }, [pixelRatio, maxPixelRatio]);
+
+    const markReady = () => {
+        if (!readyRef.current) {
+            readyRef.current = true;
+            setHasDrawn(true);
+            emit('onReady', { animations: animationNamesRef.current });
+        }
+    };
+
+    /**
+     * Capture the poster frame once the layers have reached its time
+     * @param {number} time - Time of the latest frame
+     */
+    const capturePoster = (time) => {
+        const pending = posterCaptureRef.current;
+        if (!pending || time < pending.time) return;
+
+        posterCaptureRef.current = null;
+        snapshotCanvas(canvasRef.current, pending.snapshot)
+            .then(blob => storePoster(pending.key, blob, pending.persist))
+            .catch(error => console.warn('The poster frame could not be captured:', error));
+    };
+
+    useImperativeHandle(ref, () => ({
+        snapshot(typeOrOptions, quality) {
+            const canvas = canvasRef.current;
+            if (!canvas) {
+                return Promise.reject(new Error('LayeredBackground is not mounted'));
             }
+            return snapshotCanvas(canvas, resolveSnapshotOptions(typeOrOptions, quality));
+        },
+
+        getCanvas() {
+            return canvasRef.current;
+        }
+    }), []);
+
+    /**
+     * Draw all layers and report the frame
+     * @param {FrameInfo} frameInfo - Frame to draw
+     * @param {Object} clock - Frame clock, for the measured fps
+     */
+    const drawFrame = (frameInfo, clock) => {
+        if (performanceMonitorRef.current) {
+            performanceMonitorRef.current.recordFrame();
+        }
+        renderLayers(frameInfo);
+        markReady();
+        capturePoster(frameInfo.time);
+
+        if (callbacksRef.current.onFrame) {
+            emit('onFrame', { time: frameInfo.time, deltaTime: frameInfo.deltaTime, fps: clock.getStats().fps });
+        }
+    };
 
-            // Create a temporary canvas for this layer
-            const layerCanvas = document.createElement('canvas');
-            layerCanvas.width = canvas.width;
-            layerCanvas.height = canvas.height;
-            const layerCtx = layerCanvas.getContext('2d');
-
-            return {
-                canvas: layerCanvas,
-                ctx: layerCtx,
-                animation: animation(layerCanvas, layerCtx, layer.config || {}),
-                opacity: layer.opacity || 1,
-                blendMode: layer.blendMode || 'normal',
-                speed: layer.speed || 1,
-                lastUpdate: 0
-            };
-        }).filter(Boolean);
-
-        return layerDataRef.current;
-    }, [layers]);
-
-    const renderLayers = useCallback((currentTime) => {
+    const renderLayers = useCallback((frameInfo) => {
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
+        const { width, height } = getLogicalSize(canvas);
         
         // Clear the main canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.clearRect(0, 0, width, height);
+        clockTimeRef.current = frameInfo.time;
+
+        const tracker = parallaxRef.current;
+        if (tracker) {
+            tracker.update(frameInfo.deltaTime);
+        }
+        const blurs = getDepthOfFieldBlurs(layerDataRef.current.map(layerData => layerData.depth), depthOfFieldRef.current);
+        const audioData = audioDataRef.current;
+
+        // Render every layer first, so layer masks use their source's current frame
+        layerDataRef.current.forEach((layerData) => {
+            layerData.audioValues = layerData.audio && audioData
+                ? layerData.audio.update(audioData, frameInfo.deltaTime)
+                : NO_AUDIO_VALUES;
+            const audioValues = layerData.audioValues;
+
+            // Each layer runs on its own clock, scaled by the layer speed
+            const deltaTime = frameInfo.deltaTime * layerData.speed * (audioValues.speed !== undefined ? audioValues.speed : 1);
+            layerData.time += deltaTime;
+
+            // Clear layer canvas
+            layerData.ctx.clearRect(0, 0, width, height);
+
+            // Run layer animation
+            layerData.animation({ time: layerData.time, deltaTime, frame: layerData.frame++ });
+        });
 
-        // Render each layer
+        // Composite the visible layers onto the main canvas
         layerDataRef.current.forEach((layerData, index) => {
-            const layer = layers[index];
-            const frameInterval = (1000 / fps) / layerData.speed;
-
-            // Check if it's time to update this layer
-            if (currentTime - layerData.lastUpdate >= frameInterval) {
-                // Clear layer canvas
-                layerData.ctx.clearRect(0, 0, layerData.canvas.width, layerData.canvas.height);
-                
-                // Run layer animation
-                layerData.animation();
-                
-                layerData.lastUpdate = currentTime;
-            }
+            if (!layerData.visible) return;
 
-            // Composite layer onto main canvas
             ctx.save();
-            ctx.globalAlpha = layerData.opacity;
+            const { audioValues } = layerData;
+            ctx.globalAlpha = layerData.opacity * getFadeAlpha(layerData.fade, frameInfo.time) *
+                (audioValues.opacity !== undefined ? audioValues.opacity : 1);
             ctx.globalCompositeOperation = layerData.blendMode;
-            ctx.drawImage(layerData.canvas, 0, 0);
+            const filters = [
+                layerData.colorGrade && layerData.colorGrade.filter,
+                layerData.filter,
+                (blurs[index] > 0 || audioValues.blur > 0) && `blur(${blurs[index] + (audioValues.blur || 0)}px)`
+            ].filter(Boolean);
+            if (filters.length > 0) {
+                ctx.filter = filters.join(' ');
+            }
+
+            const maskSource = layerData.mask && getMaskSource(layerData, layerDataRef.current, width, height);
+            if (maskSource || layerData.tint) {
+                // Tint and mask the layer on the scratch canvas; masks stay in place while the layer shifts underneath
+                const composite = compositeRef.current;
+                const drawLayer = target => drawLayerImage(target, layerData, tracker, width, height);
+                composite.ctx.clearRect(0, 0, width, height);
+                drawLayer(composite.ctx);
+                if (layerData.tint) {
+                    applyTint(composite.ctx, layerData.tint, width, height, drawLayer);
+                }
+                if (maskSource) {
+                    composite.ctx.save();
+                    composite.ctx.globalCompositeOperation = layerData.mask.config.invert ? 'destination-out' : 'destination-in';
+                    composite.ctx.drawImage(maskSource, 0, 0, width, height);
+                    composite.ctx.restore();
+                }
+                ctx.drawImage(composite.canvas, 0, 0, width, height);
+            } else {
+                drawLayerImage(ctx, layerData, tracker, width, height);
+            }
             ctx.restore();
         });
-    }, [layers, fps]);
 
-    useEffect(() => {
-        setupLayers();
+        // Finish fades: drop layers that have faded out
+        const faded = layerDataRef.current.filter(layerData => (
+            layerData.fade && frameInfo.time >= layerData.fade.start + layerData.fade.duration
+        ));
+        faded.forEach(layerData => {
+            layerData.fade = null;
+            if (layerData.removing) disposeLayer(layerData);
+        });
+        if (faded.some(layerData => layerData.removing)) {
+            layerDataRef.current = layerDataRef.current.filter(layerData => !(layerData.removing && faded.includes(layerData)));
+        }
+    }, []);
 
-        const animate = () => {
-            let lastTime = 0;
+    // Poster frame: show the still cached for this composition, or capture it for the next load.
+    // Read after mounting, so hydration matches the server markup, but before the first paint.
+    useIsomorphicLayoutEffect(() => {
+        const config = JSON.parse(posterFrameKey);
+        posterCaptureRef.current = null;
+        if (!config || config.url) return;
 
-            const loop = (currentTime) => {
-                animationRef.current = requestAnimationFrame(loop);
+        const { time, persist, ...snapshot } = config;
+        const key = getScenePosterKey(getCanvasSize(canvasRef.current, mode));
 
-                const deltaTime = currentTime - lastTime;
-                if (deltaTime >= 16) { // ~60fps max
-                    renderLayers(currentTime);
-                    lastTime = currentTime;
-                }
-            };
+        const cached = readPoster(key);
+        if (cached) {
+            setCachedPoster(cached);
+        } else {
+            posterCaptureRef.current = { key, time, persist, snapshot };
+        }
+    }, [posterFrameKey, layers, seed, mode, depthOfFieldKey]);
 
-            animationRef.current = requestAnimationFrame(loop);
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const { width, height } = getCanvasSize(canvas, mode);
+        setCanvasResolution(canvas, canvas.getContext('2d'), width, height, resolvePixelRatio(pixelRatio, maxPixelRatio));
+        clockTimeRef.current = 0;
+        compositeRef.current = null;
+        syncLayers(layersRef.current, false);
+        syncedRef.current = { layers: layersRef.current, theme };
+
+        const clock = createFrameClock({ fps });
+        const motionSpeed = motion === 'slow' ? SLOW_MOTION_SPEED : 1;
+
+        const loop = (currentTime) => {
+            const frameInfo = clock.tick(currentTime, motionSpeed);
+            if (frameInfo) {
+                drawFrame(frameInfo, clock);
+            }
+        };
+
+        const startLoop = () => {
+            if (!animationRef.current) {
+                animationRef.current = frameScheduler.add(loop, { priority: framePriority, name: 'LayeredBackground' });
+            }
+        };
+        const stopLoop = () => {
+            if (animationRef.current) {
+                animationRef.current();
+                animationRef.current = null;
+            }
         };
 
-        animate();
+        if (motion === 'static') {
+            drawPosterFrame(renderLayers);
+            markReady();
+        } else {
+            startLoop();
+        }
+
+        // Stop the loop while the canvas can't be seen; the paused clock resumes without a time jump
+        const stopWatchingVisibility = pauseWhenHidden && motion !== 'static'
+            ? observeVisibility(canvasRef.current, (visible) => {
+                if (visible) {
+                    startLoop();
+                    emit('onResume', { reason: 'hidden' });
+                } else {
+                    stopLoop();
+                    clock.pause();
+                    emit('onPause', { reason: 'hidden' });
+                }
+            })
+            : () => {};
 
-        const handleResize = () => {
-            if (canvasRef.current) {
-                canvasRef.current.width = window.innerWidth;
-                canvasRef.current.height = window.innerHeight;
-                setupLayers();
+        const handleResize = ({ width, height }) => {
+            const canvas = canvasRef.current;
+            if (!canvas) return;
+
+            const current = getLogicalSize(canvas);
+            if (current.width !== width || current.height !== height) {
+                resizeLayers(width, height);
+                if (motion === 'static') {
+                    drawPosterFrame(renderLayers);
+                }
             }
         };
 
-        window.addEventListener('resize', handleResize);
+        const stopObserving = observeCanvasSize(canvasRef.current, mode, handleResize);
 
         return () => {
-            if (animationRef.current) {
-                cancelAnimationFrame(animationRef.current);
+            stopLoop();
+            stopObserving();
+            stopWatchingVisibility();
+            if (parallaxRef.current) {
+                parallaxRef.current.stop();
+                parallaxRef.current = null;
             }
-            window.removeEventListener('resize', handleResize);
+            layerDataRef.current.forEach(disposeLayer);
+            layerDataRef.current = [];
         };
-    }, [setupLayers, renderLayers]);
+    }, [resizeLayers, renderLayers, mode, fps, motion, pauseWhenHidden, framePriority, pixelRatio, maxPixelRatio, seed]);
+
+    // Apply changed layers to the running ones; rebuilding all of them would restart every animation
+    useEffect(() => {
+        const synced = syncedRef.current;
+        if (synced && synced.layers === layers && synced.theme === theme) return;
+        syncedRef.current = { layers, theme };
+        syncLayers(layers, true);
+        if (motion === 'static') {
+            drawPosterFrame(renderLayers);
+        }
+    }, [layers, theme]);
+
+    const posterImage = posterConfig && (posterConfig.url || cachedPoster);
 
     return (
         <canvas
             ref={canvasRef}
             style={{
-                position: 'fixed',
-                top: 0,
-                left: 0,
-                width: '100%',
-                height: '100%',
-                zIndex: -1,
+                ...getCanvasStyle(mode),
+                ...(posterImage && !hasDrawn ? { background: getPosterBackground(posterImage) } : {}),
                 ...style
             }}
         />
     );
-};
+});
 
 export default LayeredBackground; 
\ No newline at end of file
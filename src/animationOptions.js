@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Options schemas for the built-in animations and schema validation
+ * @module AnimationOptions
+ */
+
+/**
+ * @typedef {Object} OptionSchema
+ * @property {'number'|'integer'|'string'|'boolean'|'array'} type - Value type
+ * @property {*} [default] - Default value used when the option is not set
+ * @property {number} [minimum] - Smallest allowed number
+ * @property {number} [maximum] - Largest allowed number
+ * @property {Array} [enum] - Allowed values
+ * @property {OptionSchema} [items] - Schema of array items
+ * @property {number} [minItems] - Smallest allowed array length
+ * @property {number} [maxItems] - Largest allowed array length
+ * @property {string} [description] - What the option does
+ */
+
+/**
+ * @typedef {Object} OptionsSchema
+ * @property {'object'} type - Always 'object'
+ * @property {Object<string, OptionSchema>} properties - Option schemas by name
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True when every option is valid
+ * @property {Array<string>} errors - One message per invalid option
+ * @property {Object} options - The valid options; invalid ones are left out
+ */
+
+const count = (defaultValue, maximum = 5000) => ({
+    type: 'integer',
+    minimum: 0,
+    maximum,
+    default: defaultValue,
+    description: 'Number of elements'
+});
+
+const speed = {
+    type: 'number',
+    minimum: 0,
+    maximum: 10,
+    default: 1,
+    description: 'Motion speed multiplier'
+};
+
+const colors = {
+    type: 'array',
+    items: { type: 'string' },
+    minItems: 1,
+    description: 'CSS colors to pick from; the animation\'s own palette when not set'
+};
+
+const sizeRange = (min, max) => ({
+    type: 'array',
+    items: { type: 'number', minimum: 0 },
+    minItems: 2,
+    maxItems: 2,
+    default: [min, max],
+    description: 'Minimum and maximum element size in pixels'
+});
+
+const direction = (defaultValue, values) => ({
+    type: 'string',
+    enum: values,
+    default: defaultValue,
+    description: 'Direction elements travel in'
+});
+
+const connectionDistance = (defaultValue) => ({
+    type: 'number',
+    minimum: 0,
+    default: defaultValue,
+    description: 'Maximum distance in pixels at which elements are connected by a line'
+});
+
+const waveCount = (defaultValue) => ({
+    type: 'integer',
+    minimum: 1,
+    maximum: 50,
+    default: defaultValue,
+    description: 'Number of waves'
+});
+
+const amplitude = (defaultValue) => ({
+    type: 'number',
+    minimum: 0,
+    default: defaultValue,
+    description: 'Wave height in pixels'
+});
+
+const schema = (properties) => ({ type: 'object', properties });
+
+/**
+ * Options schemas of the built-in animations
+ */
+export const ANIMATION_OPTIONS = {
+    starryNight: schema({ count: count(150), speed, sizeRange: sizeRange(0, 2), colors }),
+    floatingBubbles: schema({
+        count: count(75),
+        speed,
+        sizeRange: sizeRange(5, 35),
+        colors,
+        direction: direction('up', ['up', 'down'])
+    }),
+    gradientWave: schema({ speed, waveCount: waveCount(7), colors: { ...colors, minItems: 2 } }),
+    particleNetwork: schema({
+        count: count(150, 1000),
+        speed,
+        sizeRange: sizeRange(1, 4),
+        colors,
+        connectionDistance: connectionDistance(120)
+    }),
+    galaxySpiral: schema({ count: count(2000, 20000), speed, sizeRange: sizeRange(0.5, 2), colors }),
+    rainbowWaves: schema({ speed, waveCount: waveCount(7), amplitude: amplitude(50), colors }),
+    auroraBorealis: schema({ speed, waveCount: waveCount(3), colors }),
+    neonPulse: schema({ count: count(20), speed, sizeRange: sizeRange(20, 70), colors }),
+    cosmicDust: schema({ count: count(300), speed, sizeRange: sizeRange(0.5, 2.5), colors }),
+    electricStorm: schema({
+        speed,
+        frequency: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            default: 0.1,
+            description: 'Chance of a new bolt per frame'
+        },
+        colors
+    }),
+    quantumField: schema({
+        count: count(100, 500),
+        speed,
+        sizeRange: sizeRange(1, 5),
+        connectionDistance: connectionDistance(100)
+    }),
+    geometricShapes: schema({
+        count: count(50),
+        speed,
+        sizeRange: sizeRange(10, 40),
+        colors,
+        direction: direction('down', ['up', 'down'])
+    }),
+    fireflies: schema({ count: count(100), speed, sizeRange: sizeRange(1, 4), colors }),
+    matrixRain: schema({
+        speed,
+        colors,
+        characters: {
+            type: 'string',
+            default: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789@#$%^&*()_+[]{}|;:,.<>?',
+            description: 'Characters the rain is made of'
+        }
+    }),
+    dnaHelix: schema({ speed, amplitude: amplitude(50), colors }),
+    neuralNetwork: schema({
+        count: count(30, 200),
+        speed,
+        connectionProbability: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            default: 0.2,
+            description: 'Chance that two nodes are connected'
+        }
+    }),
+    oceanWaves: schema({ speed, waveCount: waveCount(7), amplitude: amplitude(30) }),
+    snowFall: schema({ count: count(200), speed, sizeRange: sizeRange(1, 4) }),
+    fireflyForest: schema({
+        count: count(100),
+        speed,
+        treeCount: { ...count(5, 100), description: 'Number of trees' }
+    }),
+    realisticClouds: schema({
+        count: count(10, 100),
+        speed,
+        direction: direction('right', ['left', 'right'])
+    }),
+    autumnLeaves: schema({ count: count(100), speed, sizeRange: sizeRange(10, 30), colors }),
+    realisticRain: schema({ count: count(1000, 10000), speed }),
+    fallingFoodFiesta: schema({
+        count: count(50, 500),
+        speed,
+        sizeRange: sizeRange(30, 50),
+        emojis: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Emojis to drop; a selection of food when not set'
+        }
+    }),
+    hauntedForest: schema({
+        count: { ...count(50), description: 'Number of fireflies' },
+        speed,
+        treeCount: { ...count(20, 200), description: 'Number of trees' }
+    }),
+    ghostlyApparitions: schema({ count: count(5, 100), speed, sizeRange: sizeRange(30, 80) }),
+    spiderwebOverlay: schema({ count: count(20, 200), sizeRange: sizeRange(50, 150) }),
+    undeadGraveyard: schema({
+        count: { ...count(10, 100), description: 'Number of zombies' },
+        speed,
+        graveCount: { ...count(15, 100), description: 'Number of graves' }
+    }),
+    bloodRain: schema({ count: count(200), speed }),
+    creepyCrawlies: schema({ count: count(50), speed, sizeRange: sizeRange(2, 7) })
+};
+
+/**
+ * Check a single value against its schema
+ * @param {*} value - Value to check
+ * @param {OptionSchema} optionSchema - Schema of the value
+ * @returns {string|null} Problem description, or null when valid
+ */
+const checkValue = (value, optionSchema) => {
+    const { type } = optionSchema;
+
+    if (type === 'number' || type === 'integer') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a finite number';
+        if (type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+        if (optionSchema.minimum !== undefined && value < optionSchema.minimum) {
+            return `must be at least ${optionSchema.minimum}`;
+        }
+        if (optionSchema.maximum !== undefined && value > optionSchema.maximum) {
+            return `must be at most ${optionSchema.maximum}`;
+        }
+    } else if (type === 'array') {
+        if (!Array.isArray(value)) return 'must be an array';
+        if (optionSchema.minItems !== undefined && value.length < optionSchema.minItems) {
+            return `must have at least ${optionSchema.minItems} item(s)`;
+        }
+        if (optionSchema.maxItems !== undefined && value.length > optionSchema.maxItems) {
+            return `must have at most ${optionSchema.maxItems} item(s)`;
+        }
+        if (optionSchema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const problem = checkValue(value[i], optionSchema.items);
+                if (problem) return `item ${i} ${problem}`;
+            }
+        }
+    } else if (typeof value !== type) {
+        return `must be a ${type}`;
+    }
+
+    if (optionSchema.enum && !optionSchema.enum.includes(value)) {
+        return `must be one of ${optionSchema.enum.map(v => `"${v}"`).join(', ')}`;
+    }
+
+    return null;
+};
+
+/**
+ * Validate animation options against an options schema
+ * @param {OptionsSchema} optionsSchema - Schema to validate against
+ * @param {Object} [options={}] - Options to validate
+ * @returns {ValidationResult} Validation result
+ */
+export const validateOptions = (optionsSchema, options = {}) => {
+    const properties = (optionsSchema && optionsSchema.properties) || {};
+    const errors = [];
+    const validOptions = {};
+
+    Object.keys(options).forEach(key => {
+        const value = options[key];
+        if (value === undefined) return;
+
+        if (!properties[key]) {
+            errors.push(`"${key}" is not a supported option`);
+            return;
+        }
+
+        const problem = checkValue(value, properties[key]);
+        if (problem) {
+            errors.push(`"${key}" ${problem} (got ${JSON.stringify(value)})`);
+        } else {
+            validOptions[key] = value;
+        }
+    });
+
+    return { valid: errors.length === 0, errors, options: validOptions };
+};
+
+/**
+ * Merge options over the defaults declared in a schema
+ * @param {OptionsSchema} optionsSchema - Schema with defaults
+ * @param {Object} [options={}] - Options to apply
+ * @returns {Object} Options with defaults filled in
+ */
+export const resolveOptions = (optionsSchema, options = {}) => {
+    const resolved = {};
+    const properties = optionsSchema.properties;
+
+    Object.keys(properties).forEach(key => {
+        resolved[key] = options[key] !== undefined ? options[key] : properties[key].default;
+    });
+
+    return resolved;
+};
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Registry of animations that components resolve names against
+ * @module AnimationRegistry
+ */
+
+import {
+    starryNight, floatingBubbles,
+    gradientWave, particleNetwork, galaxySpiral,
+    rainbowWaves, geometricShapes, fireflies,
+    matrixRain, quantumField, electricStorm,
+    cosmicDust, neonPulse, auroraBorealis, oceanWaves,
+    neuralNetwork,
+    dnaHelix, snowFall, realisticRain, autumnLeaves, realisticClouds, fireflyForest, fallingFoodFiesta,
+    hauntedForest,
+    ghostlyApparitions,
+    spiderwebOverlay,
+    undeadGraveyard,
+    bloodRain,
+    creepyCrawlies,
+    QUALITY_KNOBS,
+} from './backgroundAnimations.js';
+import { ANIMATION_OPTIONS, validateOptions } from './animationOptions.js';
+import { HOST_QUALITY_KNOBS } from './utils/qualityLadder.js';
+
+/**
+ * @typedef {Object} AnimationMetadata
+ * @property {string} [displayName] - Human readable name, defaults to the registered name
+ * @property {Array<string>} [tags] - Tags for grouping and search (e.g. 'space', 'nature')
+ * @property {Object} [optionsSchema] - JSON-schema-like description of the factory options
+ * @property {Array<string>} [features] - Supported features: 'theme', 'interaction', 'resize'
+ * @property {Array<string>} [qualityKnobs] - Quality knobs the animation responds to: 'count' (scaling
+ *   the count option), 'effects' (honouring options.reducedDetail), 'resolution' and 'fps'
+ */
+
+/**
+ * @typedef {Object} AnimationInfo
+ * @property {string} name - Registered name
+ * @property {string} displayName - Human readable name
+ * @property {Array<string>} tags - Tags
+ * @property {Object} optionsSchema - Options schema
+ * @property {Array<string>} features - Supported features
+ * @property {Array<string>} qualityKnobs - Quality knobs, see AnimationMetadata
+ * @property {boolean} builtIn - Whether the animation ships with the package
+ */
+
+/**
+ * Animations that ship with the package
+ */
+export const BUILT_IN_ANIMATIONS = {
+    starryNight: { factory: starryNight, displayName: 'Starry Night', tags: ['space', 'particles'] },
+    floatingBubbles: { factory: floatingBubbles, displayName: 'Floating Bubbles', tags: ['abstract', 'particles'] },
+    gradientWave: { factory: gradientWave, displayName: 'Gradient Wave', tags: ['abstract', 'gradient'] },
+    particleNetwork: {
+        factory: particleNetwork,
+        displayName: 'Particle Network',
+        tags: ['tech', 'particles'],
+        features: ['theme', 'interaction']
+    },
+    galaxySpiral: { factory: galaxySpiral, displayName: 'Galaxy Spiral', tags: ['space', 'particles'] },
+    rainbowWaves: { factory: rainbowWaves, displayName: 'Rainbow Waves', tags: ['abstract', 'colorful'] },
+    geometricShapes: { factory: geometricShapes, displayName: 'Geometric Shapes', tags: ['abstract', 'shapes'] },
+    fireflies: { factory: fireflies, displayName: 'Fireflies', tags: ['nature', 'particles'] },
+    matrixRain: { factory: matrixRain, displayName: 'Matrix Rain', tags: ['tech', 'text'] },
+    quantumField: { factory: quantumField, displayName: 'Quantum Field', tags: ['tech', 'particles'] },
+    electricStorm: { factory: electricStorm, displayName: 'Electric Storm', tags: ['weather', 'flashing'] },
+    cosmicDust: { factory: cosmicDust, displayName: 'Cosmic Dust', tags: ['space', 'particles'] },
+    neonPulse: { factory: neonPulse, displayName: 'Neon Pulse', tags: ['abstract', 'colorful'] },
+    auroraBorealis: { factory: auroraBorealis, displayName: 'Aurora Borealis', tags: ['nature', 'gradient'] },
+    oceanWaves: { factory: oceanWaves, displayName: 'Ocean Waves', tags: ['nature', 'scene'] },
+    neuralNetwork: { factory: neuralNetwork, displayName: 'Neural Network', tags: ['tech', 'particles'] },
+    dnaHelix: { factory: dnaHelix, displayName: 'DNA Helix', tags: ['science'] },
+    snowFall: { factory: snowFall, displayName: 'Snow Fall', tags: ['weather', 'scene', 'seasonal'] },
+    realisticRain: { factory: realisticRain, displayName: 'Realistic Rain', tags: ['weather'] },
+    realisticClouds: { factory: realisticClouds, displayName: 'Realistic Clouds', tags: ['weather', 'scene'] },
+    fireflyForest: { factory: fireflyForest, displayName: 'Firefly Forest', tags: ['nature', 'scene'] },
+    autumnLeaves: { factory: autumnLeaves, displayName: 'Autumn Leaves', tags: ['nature', 'seasonal'] },
+    fallingFoodFiesta: { factory: fallingFoodFiesta, displayName: 'Falling Food Fiesta', tags: ['fun', 'emoji'] },
+    hauntedForest: { factory: hauntedForest, displayName: 'Haunted Forest', tags: ['halloween', 'scene'] },
+    ghostlyApparitions: { factory: ghostlyApparitions, displayName: 'Ghostly Apparitions', tags: ['halloween'] },
+    spiderwebOverlay: { factory: spiderwebOverlay, displayName: 'Spiderweb Overlay', tags: ['halloween', 'overlay'] },
+    undeadGraveyard: { factory: undeadGraveyard, displayName: 'Undead Graveyard', tags: ['halloween', 'scene'] },
+    bloodRain: { factory: bloodRain, displayName: 'Blood Rain', tags: ['halloween', 'weather'] },
+    creepyCrawlies: { factory: creepyCrawlies, displayName: 'Creepy Crawlies', tags: ['halloween', 'particles'] }
+};
+
+/**
+ * Registered animations by name
+ * @type {Map<string, {factory: Function, metadata: AnimationInfo}>}
+ */
+const registry = new Map();
+
+/**
+ * Fill in metadata defaults
+ * @param {string} name - Animation name
+ * @param {AnimationMetadata} metadata - Metadata as passed by the caller
+ * @param {boolean} builtIn - Whether the animation ships with the package
+ * @returns {AnimationInfo} Normalized metadata
+ */
+const normalizeMetadata = (name, metadata, builtIn) => ({
+    name,
+    displayName: metadata.displayName || name,
+    tags: metadata.tags || [],
+    optionsSchema: metadata.optionsSchema || { type: 'object', properties: {} },
+    // Every built-in animation resizes in place; custom ones declare it themselves
+    features: builtIn ? ['resize', ...(metadata.features || [])] : metadata.features || [],
+    // The host can always lower resolution and frame rate; the other knobs need the animation's support
+    qualityKnobs: metadata.qualityKnobs || HOST_QUALITY_KNOBS,
+    builtIn
+});
+
+/**
+ * Register an animation so components and AnimatedBackgroundManager can use it by name.
+ * Registering an existing name replaces that animation.
+ * @param {string} name - Name used as animationName / layer animation
+ * @param {Function} factory - Animation factory `(canvas, ctx, options) => frame`
+ * @param {AnimationMetadata} [metadata={}] - Display name, tags, options schema and features
+ * @returns {AnimationInfo} Normalized metadata of the registered animation
+ * @example
+ * registerAnimation('brandSparkles', (canvas, ctx, options) => {
+ *   return () => { ... };
+ * }, {
+ *   displayName: 'Brand Sparkles',
+ *   tags: ['brand'],
+ *   features: ['resize']
+ * });
+ */
+export const registerAnimation = (name, factory, metadata = {}) => {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Animation name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+        throw new Error(`Animation "${name}" must be registered with a factory function`);
+    }
+
+    if (registry.has(name)) {
+        console.warn(`Animation "${name}" is already registered. Replacing it.`);
+    }
+
+    const info = normalizeMetadata(name, metadata, false);
+    registry.set(name, { factory, metadata: info });
+    return info;
+};
+
+/**
+ * Remove an animation from the registry
+ * @param {string} name - Animation name
+ * @returns {boolean} True if an animation was removed
+ */
+export const unregisterAnimation = (name) => registry.delete(name);
+
+/**
+ * Get the factory registered under a name
+ * @param {string} name - Animation name
+ * @returns {Function|undefined} Animation factory
+ */
+export const getAnimation = (name) => {
+    const entry = registry.get(name);
+    return entry ? entry.factory : undefined;
+};
+
+/**
+ * Check whether an animation is registered
+ * @param {string} name - Animation name
+ * @returns {boolean} True if registered
+ */
+export const hasAnimation = (name) => registry.has(name);
+
+/**
+ * Get the metadata of a registered animation
+ * @param {string} name - Animation name
+ * @returns {AnimationInfo|undefined} Animation metadata
+ */
+export const getAnimationMetadata = (name) => {
+    const entry = registry.get(name);
+    return entry ? entry.metadata : undefined;
+};
+
+/**
+ * Validate options against the options schema of a registered animation.
+ * Options that are unknown or invalid are reported and left out of the result.
+ * Animations registered without an options schema accept any options.
+ * @param {string} name - Animation name
+ * @param {Object} [options={}] - Options to validate
+ * @returns {import('./animationOptions').ValidationResult} Validation result
+ * @example
+ * const { valid, errors } = validateAnimationOptions('starryNight', { count: -5 });
+ * // valid === false, errors[0] === '"count" must be at least 0 (got -5)'
+ */
+export const validateAnimationOptions = (name, options = {}) => {
+    const entry = registry.get(name);
+    if (!entry) {
+        return { valid: false, errors: [`Unknown animation: ${name}`], options: {} };
+    }
+
+    const { optionsSchema } = entry.metadata;
+    if (Object.keys(optionsSchema.properties || {}).length === 0) {
+        return { valid: true, errors: [], options: { ...options } };
+    }
+
+    return validateOptions(optionsSchema, options);
+};
+
+/**
+ * List all registered animations
+ * @param {Object} [filter] - Optional filter
+ * @param {string} [filter.tag] - Only include animations with this tag
+ * @param {string} [filter.feature] - Only include animations supporting this feature
+ * @returns {Array<AnimationInfo>} Metadata of the registered animations
+ */
+export const listAnimations = ({ tag, feature } = {}) => {
+    return Array.from(registry.values())
+        .map(entry => entry.metadata)
+        .filter(info => !tag || info.tags.includes(tag))
+        .filter(info => !feature || info.features.includes(feature));
+};
+
+// Register the built-in animations
+Object.keys(BUILT_IN_ANIMATIONS).forEach(name => {
+    const { factory, ...metadata } = BUILT_IN_ANIMATIONS[name];
+    const info = normalizeMetadata(name, {
+        ...metadata,
+        optionsSchema: ANIMATION_OPTIONS[name],
+        qualityKnobs: QUALITY_KNOBS[name]
+    }, true);
+    registry.set(name, { factory, metadata: info });
+});
@@ -0,0 +1,9 @@
+/**
+ * @fileoverview Worker script for AnimatedBackground's renderIn="worker" mode, with the
+ * built-in animations. Built to dist/animationWorker.js.
+ * @module AnimationWorker
+ */
+
+import { exposeAnimationWorker } from './utils/workerRenderer';
+
+exposeAnimationWorker();
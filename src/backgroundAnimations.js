@@ -1,45 +1,189 @@
 /**
  * @module backgroundAnimations
- * @description Collection of animation functions with blend mode support
+ * @description Collection of animation functions with blend mode support.
+ *
+ * Each animation is a factory `(canvas, ctx, options) => frame`. Calling
+ * `frame({ time, deltaTime, frame })` draws one frame; animations advance by
+ * `deltaTime` so motion speed is independent of the frame rate. A frame function may also expose `frame.resize(width, height)`,
+ * which the host calls after resizing the canvas so the animation can keep its
+ * current scene; returning false asks the host to create the animation again.
+ *
+ * Animations draw in CSS pixel coordinates; use {@link getLogicalSize} rather than
+ * canvas.width/height, which are in device pixels on HiDPI screens.
+ *
+ * Animations draw their randomness from `options.random` when the host provides
+ * it (see {@link createRandom}), so a seeded host renders the same scene and the
+ * same frame N on every run.
+ *
+ * Hosts set `options.reducedMotion` when the user prefers reduced motion;
+ * animations with sudden flashes then fade them in and out instead.
+ *
+ * Hosts set `options.reducedDetail` when they trade quality for frame rate (see
+ * {@link createQualityLadder}); animations listed with the 'effects' knob in
+ * {@link QUALITY_KNOBS} then skip glow and connection lines.
  */
 
+import { getLogicalSize } from './utils/canvasUtils.js';
+import { ANIMATION_OPTIONS, resolveOptions } from './animationOptions.js';
+
+/**
+ * Attach a resize hook to an animation frame function.
+ *
+ * The host resizes the canvas (see {@link setCanvasResolution}) and then calls
+ * `frame.resize(width, height)` with the new logical size. Animations use the
+ * hook to redistribute or clip their existing entities instead of regenerating
+ * them, so the scene does not visibly reset. When the hook returns false the
+ * host should create the animation again.
+ * @param {Object} size - Live logical size of the canvas
+ * @param {Function} frame - Animation frame function
+ * @param {Function} [onResize] - Called with (scaleX, scaleY, previousSize)
+ * @returns {Function} The frame function with a resize method
+ */
+const withResize = (size, frame, onResize = () => {}) => {
+    let previous = { width: size.width, height: size.height };
+
+    frame.resize = (width, height) => {
+        // Nothing meaningful to scale from, e.g. a contained canvas that started hidden
+        if (!previous.width || !previous.height) {
+            return false;
+        }
+
+        onResize(width / previous.width, height / previous.height, previous);
+        previous = { width, height };
+        return true;
+    };
+
+    return frame;
+};
+
+/**
+ * Duration of one frame at 60fps in milliseconds. Per-frame amounts in the
+ * animations below (velocities, fades, probabilities) are tuned for it.
+ */
+const FRAME_DURATION = 1000 / 60;
+
+/**
+ * Get the time step of a frame in 60fps frames, e.g. 2 for a frame drawn at 30fps.
+ * Animations multiply their per-frame amounts by it so motion speed does not depend
+ * on the frame rate. Frames called without frame info advance one step.
+ * @param {import('./utils/frameClock').FrameInfo} [frameInfo] - Frame info passed by the host
+ * @returns {number} Time step
+ */
+const getTimeStep = (frameInfo) => (
+    frameInfo && frameInfo.deltaTime >= 0 ? frameInfo.deltaTime / FRAME_DURATION : 1
+);
+
+/**
+ * Scale the alpha of a fill that fades out earlier frames, e.g. for trails, by the
+ * time step, so trails last as long at any frame rate. Covering the canvas n times
+ * with alpha a leaves 1 - (1 - a)^n of what was drawn before.
+ * @param {number} alpha - Alpha per 60fps frame
+ * @param {number} timeStep - Time step, see getTimeStep
+ * @returns {number} Alpha for this frame
+ */
+const getFadeAlpha = (alpha, timeStep) => 1 - Math.pow(1 - alpha, timeStep);
+
+/**
+ * Pick a random item from a list
+ * @param {Array} items - Items to pick from
+ * @param {Function} random - Random number generator
+ * @returns {*} Random item
+ */
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+/**
+ * Random number within a range
+ * @param {Array<number>} range - [min, max]
+ * @param {Function} random - Random number generator
+ * @returns {number} Random number between min and max
+ */
+const randomInRange = ([min, max], random) => min + random() * (max - min);
+
+/**
+ * Apply an alpha value to a hex, rgb() or hsl() color.
+ * Colors in other formats (e.g. named colors) are returned unchanged.
+ * @param {string} color - CSS color
+ * @param {number} alpha - Alpha value (0-1)
+ * @returns {string} CSS color with alpha
+ */
+const colorWithAlpha = (color, alpha) => {
+    if (color.startsWith('#')) {
+        let hex = color.slice(1);
+        if (hex.length <= 4) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const r = parseInt(hex.slice(0, 2), 16);
+        const g = parseInt(hex.slice(2, 4), 16);
+        const b = parseInt(hex.slice(4, 6), 16);
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    const match = color.match(/^(rgb|hsl)a?\(([^)]*)\)$/);
+    if (match) {
+        const channels = match[2].split(',').slice(0, 3).map(channel => channel.trim());
+        return `${match[1]}a(${channels.join(', ')}, ${alpha})`;
+    }
+
+    return color;
+};
+
+/**
+ * Scale entity positions proportionally to a canvas resize
+ * @param {Array<Object>} items - Entities with x and y coordinates
+ * @param {number} scaleX - Horizontal scale factor
+ * @param {number} scaleY - Vertical scale factor
+ */
+const scalePositions = (items, scaleX, scaleY) => {
+    items.forEach(item => {
+        item.x *= scaleX;
+        item.y *= scaleY;
+    });
+};
+
 /**
  * Creates a starry night animation with blend modes
  */
-export const starryNight = (canvas, ctx) => {
+export const starryNight = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { reducedDetail } = options;
+    const { count, speed, sizeRange, colors } = resolveOptions(ANIMATION_OPTIONS.starryNight, options);
     const stars = [];
-    for (let i = 0; i < 150; i++) {
+    for (let i = 0; i < count; i++) {
         stars.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 2,
-            vx: Math.floor(Math.random() * 50) - 25,
-            vy: Math.floor(Math.random() * 50) - 25,
-            twinkle: Math.random(),
-            color: `hsla(${Math.random() * 360}, 70%, 70%, 0.8)`
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: randomInRange(sizeRange, random),
+            vx: Math.floor(random() * 50) - 25,
+            vy: Math.floor(random() * 50) - 25,
+            twinkle: random(),
+            color: colors ? colorWithAlpha(pick(colors, random), 0.8) : `hsla(${random() * 360}, 70%, 70%, 0.8)`
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(15, 23, 42, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(15, 23, 42, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
         
         stars.forEach(star => {
-            star.twinkle += 0.02;
+            star.twinkle += 0.02 * step;
             const opacity = Math.abs(Math.sin(star.twinkle));
             
             // Create glow effect
-            const gradient = ctx.createRadialGradient(
-                star.x, star.y, 0,
-                star.x, star.y, star.radius * 4
-            );
-            gradient.addColorStop(0, star.color);
-            gradient.addColorStop(1, 'transparent');
-            
-            ctx.beginPath();
-            ctx.arc(star.x, star.y, star.radius * 4, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
+            if (!reducedDetail) {
+                const gradient = ctx.createRadialGradient(
+                    star.x, star.y, 0,
+                    star.x, star.y, star.radius * 4
+                );
+                gradient.addColorStop(0, star.color);
+                gradient.addColorStop(1, 'transparent');
+
+                ctx.beginPath();
+                ctx.arc(star.x, star.y, star.radius * 4, 0, Math.PI * 2);
+                ctx.fillStyle = gradient;
+                ctx.fill();
+            }
             
             // Draw star core
             ctx.beginPath();
@@ -47,48 +191,58 @@ export const starryNight = (canvas, ctx) => {
             ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
             ctx.fill();
 
-            star.x += star.vx / 60;
-            star.y += star.vy / 60;
+            star.x += star.vx / 60 * step;
+            star.y += star.vy / 60 * step;
 
-            if (star.x < 0 || star.x > canvas.width) star.vx = -star.vx;
-            if (star.y < 0 || star.y > canvas.height) star.vy = -star.vy;
+            if (star.x < 0 || star.x > size.width) star.vx = -star.vx;
+            if (star.y < 0 || star.y > size.height) star.vy = -star.vy;
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(stars, scaleX, scaleY);
+    });
 };
 
 /**
  * Creates floating bubbles animation with blend modes
  */
-export const floatingBubbles = (canvas, ctx) => {
+export const floatingBubbles = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { reducedDetail } = options;
+    const { count, speed, sizeRange, colors, direction } = resolveOptions(ANIMATION_OPTIONS.floatingBubbles, options);
+    const rising = direction === 'up';
     const bubbles = [];
-    for (let i = 0; i < 75; i++) {
+    for (let i = 0; i < count; i++) {
         bubbles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 30 + 5,
-            speed: Math.random() * 0.7 + 0.1,
-            color: `hsla(${Math.random() * 360}, 70%, 60%, 0.6)`,
-            glowColor: `hsla(${Math.random() * 360}, 70%, 60%, 0.3)`
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: randomInRange(sizeRange, random),
+            speed: random() * 0.7 + 0.1,
+            color: colors ? colorWithAlpha(pick(colors, random), 0.6) : `hsla(${random() * 360}, 70%, 60%, 0.6)`,
+            glowColor: colors ? colorWithAlpha(pick(colors, random), 0.3) : `hsla(${random() * 360}, 70%, 60%, 0.3)`
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(30, 41, 59, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(30, 41, 59, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         bubbles.forEach(bubble => {
             // Create glow effect
-            const gradient = ctx.createRadialGradient(
-                bubble.x, bubble.y, 0,
-                bubble.x, bubble.y, bubble.radius * 2
-            );
-            gradient.addColorStop(0, bubble.glowColor);
-            gradient.addColorStop(1, 'transparent');
-            
-            ctx.beginPath();
-            ctx.arc(bubble.x, bubble.y, bubble.radius * 2, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
+            if (!reducedDetail) {
+                const gradient = ctx.createRadialGradient(
+                    bubble.x, bubble.y, 0,
+                    bubble.x, bubble.y, bubble.radius * 2
+                );
+                gradient.addColorStop(0, bubble.glowColor);
+                gradient.addColorStop(1, 'transparent');
+
+                ctx.beginPath();
+                ctx.arc(bubble.x, bubble.y, bubble.radius * 2, 0, Math.PI * 2);
+                ctx.fillStyle = gradient;
+                ctx.fill();
+            }
             
             // Draw bubble
             ctx.beginPath();
@@ -108,81 +262,104 @@ export const floatingBubbles = (canvas, ctx) => {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
             ctx.fill();
 
-            bubble.y -= bubble.speed;
-            bubble.x += Math.sin(bubble.y * 0.03) * 0.5;
+            bubble.y += (rising ? -bubble.speed : bubble.speed) * step;
+            bubble.x += Math.sin(bubble.y * 0.03) * 0.5 * step;
             
-            if (bubble.y + bubble.radius < 0) {
-                bubble.y = canvas.height + bubble.radius;
-                bubble.x = Math.random() * canvas.width;
+            if (rising && bubble.y + bubble.radius < 0) {
+                bubble.y = size.height + bubble.radius;
+                bubble.x = random() * size.width;
+            } else if (!rising && bubble.y - bubble.radius > size.height) {
+                bubble.y = -bubble.radius;
+                bubble.x = random() * size.width;
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(bubbles, scaleX, scaleY);
+    });
 };
 
 /**
  * Creates a starry gradientWave animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.gradientWave
  * @returns {Function} Animation loop function
  */
-export const gradientWave = (canvas, ctx) => {
+export const gradientWave = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const { speed, waveCount, colors } = resolveOptions(ANIMATION_OPTIONS.gradientWave, options);
+    // Spread the waves over the top 90% of the canvas
+    const spacing = 0.9 / Math.max(1, waveCount - 1);
     let time = 0;
 
-    return () => {
-        time += 0.01;
+    return withResize(size, (frameInfo) => {
+        time += 0.01 * speed * getTimeStep(frameInfo);
 
-        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-        gradient.addColorStop(0, `hsl(${time * 10 % 360}, 70%, 50%)`);
-        gradient.addColorStop(1, `hsl(${(time * 10 + 180) % 360}, 70%, 50%)`);
+        const gradient = ctx.createLinearGradient(0, 0, size.width, size.height);
+        if (colors) {
+            colors.forEach((color, index) => {
+                gradient.addColorStop(index / (colors.length - 1), color);
+            });
+        } else {
+            gradient.addColorStop(0, `hsl(${time * 10 % 360}, 70%, 50%)`);
+            gradient.addColorStop(1, `hsl(${(time * 10 + 180) % 360}, 70%, 50%)`);
+        }
 
         ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
-        for (let i = 0; i < 7; i++) {
+        for (let i = 0; i < waveCount; i++) {
             ctx.beginPath();
-            ctx.moveTo(0, canvas.height * 0.15 * i + Math.sin(time + i) * 30);
-            for (let x = 0; x < canvas.width; x += 10) {
-                ctx.lineTo(x, canvas.height * 0.15 * i + Math.sin(time + i + x * 0.01) * 30);
+            ctx.moveTo(0, size.height * spacing * i + Math.sin(time + i) * 30);
+            for (let x = 0; x < size.width; x += 10) {
+                ctx.lineTo(x, size.height * spacing * i + Math.sin(time + i + x * 0.01) * 30);
             }
-            ctx.strokeStyle = `rgba(255, 255, 255, ${0.1 - i * 0.01})`;
+            ctx.strokeStyle = `rgba(255, 255, 255, ${0.1 - i * (0.07 / waveCount)})`;
             ctx.lineWidth = 2;
             ctx.stroke();
         }
-    };
+    });
 };
 /**
  * Creates a starry particleNetwork animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.particleNetwork
  * @returns {Function} Animation loop function
  */
 export const particleNetwork = (canvas, ctx, options = {}) => {
-    const { themeManager, interactionHandler, performanceMonitor, adaptivePerformance } = options;
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { themeManager, interactionHandler, performanceMonitor, adaptivePerformance, reducedDetail } = options;
+    const { count, speed, sizeRange, colors, connectionDistance } = resolveOptions(ANIMATION_OPTIONS.particleNetwork, options);
     
     const particles = [];
-    const particleCount = adaptivePerformance ? Math.min(150, Math.max(50, navigator.hardwareConcurrency * 20)) : 150;
-    const maxDistance = 120;
+    const particleCount = adaptivePerformance ? Math.min(count, Math.max(50, navigator.hardwareConcurrency * 20)) : count;
+    const maxDistance = connectionDistance;
 
     for (let i = 0; i < particleCount; i++) {
-        const vx = Math.random() * 1.5 - 0.75;
-        const vy = Math.random() * 1.5 - 0.75;
+        const vx = random() * 1.5 - 0.75;
+        const vy = random() * 1.5 - 0.75;
         particles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 3 + 1,
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: randomInRange(sizeRange, random),
             vx: vx,
             vy: vy,
             originalVx: vx,
             originalVy: vy,
-            color: themeManager ? themeManager.getCurrentColors()[0] : `hsl(${Math.random() * 360}, 70%, 70%)`
+            color: colors ? pick(colors, random) : themeManager ? themeManager.getCurrentColors()[0] : `hsl(${random() * 360}, 70%, 70%)`
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const timeStep = getTimeStep(frameInfo);
+        const step = speed * timeStep;
         // Use theme-aware background
-        const bgColor = themeManager ? themeManager.getBackgroundColor() : 'rgba(15, 23, 42, 0.1)';
+        const fadeAlpha = getFadeAlpha(0.1, timeStep);
+        const bgColor = themeManager ? themeManager.getBackgroundColor(fadeAlpha) : `rgba(15, 23, 42, ${fadeAlpha})`;
         ctx.fillStyle = bgColor;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Apply interactions if available
         if (interactionHandler) {
@@ -207,27 +384,28 @@ export const particleNetwork = (canvas, ctx, options = {}) => {
                 });
             } else {
                 // Gradually return to original velocity when no interaction
+                const blend = 1 - Math.pow(0.95, timeStep);
                 particles.forEach(particle => {
-                    particle.vx = particle.vx * 0.95 + particle.originalVx * 0.05;
-                    particle.vy = particle.vy * 0.95 + particle.originalVy * 0.05;
+                    particle.vx = particle.vx * (1 - blend) + particle.originalVx * blend;
+                    particle.vy = particle.vy * (1 - blend) + particle.originalVy * blend;
                 });
             }
         }
 
         particles.forEach(particle => {
-            particle.x += particle.vx;
-            particle.y += particle.vy;
+            particle.x += particle.vx * step;
+            particle.y += particle.vy * step;
 
             // Bounce off walls with dampening
-            if (particle.x < 0 || particle.x > canvas.width) {
+            if (particle.x < 0 || particle.x > size.width) {
                 particle.vx *= -0.8;
                 particle.originalVx *= -0.8;
-                particle.x = Math.max(0, Math.min(canvas.width, particle.x));
+                particle.x = Math.max(0, Math.min(size.width, particle.x));
             }
-            if (particle.y < 0 || particle.y > canvas.height) {
+            if (particle.y < 0 || particle.y > size.height) {
                 particle.vy *= -0.8;
                 particle.originalVy *= -0.8;
-                particle.y = Math.max(0, Math.min(canvas.height, particle.y));
+                particle.y = Math.max(0, Math.min(size.height, particle.y));
             }
 
             // Draw particle
@@ -237,6 +415,8 @@ export const particleNetwork = (canvas, ctx, options = {}) => {
             ctx.fill();
         });
 
+        if (reducedDetail) return;
+
         // Draw connections between nearby particles
         for (let i = 0; i < particles.length; i++) {
             for (let j = i + 1; j < particles.length; j++) {
@@ -276,7 +456,9 @@ export const particleNetwork = (canvas, ctx, options = {}) => {
                 }
             }
         }
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(particles, scaleX, scaleY);
+    });
 };
 
 
@@ -284,22 +466,27 @@ export const particleNetwork = (canvas, ctx, options = {}) => {
  * Creates a starry galaxySpiral animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.galaxySpiral
  * @returns {Function} Animation loop function
  */
-export const galaxySpiral = (canvas, ctx, speed = 0.0001) => {
-    const stars = initializeStars(canvas, 2000);
+export const galaxySpiral = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, colors } = resolveOptions(ANIMATION_OPTIONS.galaxySpiral, options);
+    const rotationSpeed = 0.0001 * speed;
+    const stars = initializeStars(canvas, count);
     let rotation = 0;
 
     function initializeStars(canvas, starCount) {
         const stars = [];
         for (let i = 0; i < starCount; i++) {
-            const distance = Math.random() * canvas.width * 0.4;
-            const angle = Math.random() * Math.PI * 2;
+            const distance = random() * size.width * 0.4;
+            const angle = random() * Math.PI * 2;
             stars.push({
                 x: Math.cos(angle) * distance,
                 y: Math.sin(angle) * distance,
-                radius: Math.random() * 1.5 + 0.5,
-                color: `hsl(${Math.random() * 60 + 200}, 80%, 70%)`,
+                radius: randomInRange(sizeRange, random),
+                color: colors ? pick(colors, random) : `hsl(${random() * 60 + 200}, 80%, 70%)`,
                 angle: angle,
                 distance: distance
             });
@@ -322,46 +509,55 @@ export const galaxySpiral = (canvas, ctx, speed = 0.0001) => {
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(10, 10, 30, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const rotationStep = rotationSpeed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(10, 10, 30, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         ctx.save();
-        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.translate(size.width / 2, size.height / 2);
         ctx.rotate(rotation);
 
-        drawStars(ctx, stars, rotation, speed);
+        drawStars(ctx, stars, rotation, rotationStep);
 
         ctx.restore();
         // Adjust the rotation increment here to control the speed of galaxy rotation
-        rotation += speed;
-    };
+        rotation += rotationStep;
+    }, (scaleX, scaleY) => {
+        // Stars orbit the centre, so only their orbit radius depends on the canvas size
+        stars.forEach(star => {
+            star.distance *= scaleX;
+        });
+    });
 };
 
 /**
  * Creates a starry rainbowWaves animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.rainbowWaves
  * @returns {Function} Animation loop function
  */
-export const rainbowWaves = (canvas, ctx) => {
+export const rainbowWaves = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const { speed, waveCount, amplitude, ...resolved } = resolveOptions(ANIMATION_OPTIONS.rainbowWaves, options);
     let time = 0;
-    const waves = 7;
-    const colors = ['#FF0000', '#FF7F00', '#FFFF00', '#00FF00', '#0000FF', '#4B0082', '#8B00FF'];
+    const waves = waveCount;
+    const colors = resolved.colors || ['#FF0000', '#FF7F00', '#FFFF00', '#00FF00', '#0000FF', '#4B0082', '#8B00FF'];
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        time += 0.02;
+    return withResize(size, (frameInfo) => {
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.05, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
+        time += 0.02 * speed * getTimeStep(frameInfo);
 
         for (let i = 0; i < waves; i++) {
             ctx.beginPath();
-            ctx.moveTo(0, canvas.height / 2);
+            ctx.moveTo(0, size.height / 2);
 
-            for (let x = 0; x < canvas.width; x++) {
-                const y = Math.sin(x * 0.01 + time + i * 0.5) * 50 +
-                    Math.cos(x * 0.02 + time * 0.7 + i * 0.3) * 25 +
-                    canvas.height / 2;
+            for (let x = 0; x < size.width; x++) {
+                const y = Math.sin(x * 0.01 + time + i * 0.5) * amplitude +
+                    Math.cos(x * 0.02 + time * 0.7 + i * 0.3) * amplitude / 2 +
+                    size.height / 2;
                 ctx.lineTo(x, y);
             }
 
@@ -369,74 +565,87 @@ export const rainbowWaves = (canvas, ctx) => {
             ctx.lineWidth = 4;
             ctx.stroke();
         }
-    };
+    });
 };
 
 /**
  * Creates a starry auroraBorealis animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.auroraBorealis
  * @returns {Function} Animation loop function
  */
-export const auroraBorealis = (canvas, ctx) => {
+export const auroraBorealis = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const { speed, waveCount, colors } = resolveOptions(ANIMATION_OPTIONS.auroraBorealis, options);
     let time = 0;
-    const colorStops = [
-        { pos: 0, color: 'rgba(0, 255, 128, 0.5)' },
-        { pos: 0.5, color: 'rgba(0, 128, 255, 0.5)' },
-        { pos: 1, color: 'rgba(128, 0, 255, 0.5)' }
-    ];
+    const colorStops = colors
+        ? colors.map((color, i) => ({
+            pos: colors.length > 1 ? i / (colors.length - 1) : 0,
+            color: colorWithAlpha(color, 0.5)
+        }))
+        : [
+            { pos: 0, color: 'rgba(0, 255, 128, 0.5)' },
+            { pos: 0.5, color: 'rgba(0, 128, 255, 0.5)' },
+            { pos: 1, color: 'rgba(128, 0, 255, 0.5)' }
+        ];
+
+    return withResize(size, (frameInfo) => {
+        ctx.fillStyle = `rgba(0, 0, 20, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
+        time += 0.005 * speed * getTimeStep(frameInfo);
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 20, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        time += 0.005;
-
-        for (let i = 0; i < 3; i++) {
-            const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
+        for (let i = 0; i < waveCount; i++) {
+            const gradient = ctx.createLinearGradient(0, 0, size.width, 0);
             colorStops.forEach(stop => {
                 gradient.addColorStop(stop.pos, stop.color);
             });
 
             ctx.beginPath();
-            for (let x = 0; x < canvas.width; x++) {
+            for (let x = 0; x < size.width; x++) {
                 const y = Math.sin(x * 0.01 + time + i) * 50 +
                     Math.sin(x * 0.02 - time * 1.5 + i) * 30 +
-                    canvas.height * (0.4 + i * 0.2);
+                    size.height * (0.4 + i * (0.6 / waveCount));
                 ctx.lineTo(x, y);
             }
-            ctx.lineTo(canvas.width, canvas.height);
-            ctx.lineTo(0, canvas.height);
+            ctx.lineTo(size.width, size.height);
+            ctx.lineTo(0, size.height);
             ctx.closePath();
 
             ctx.fillStyle = gradient;
             ctx.fill();
         }
-    };
+    });
 };
 
 /**
  * Creates a starry neonPulse animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.neonPulse
  * @returns {Function} Animation loop function
  */
-export const neonPulse = (canvas, ctx) => {
+export const neonPulse = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, ...resolved } = resolveOptions(ANIMATION_OPTIONS.neonPulse, options);
     const circles = [];
-    const colors = ['#FF00FF', '#00FFFF', '#FFFF00', '#FF00AA'];
+    const colors = resolved.colors || ['#FF00FF', '#00FFFF', '#FFFF00', '#FF00AA'];
 
-    for (let i = 0; i < 20; i++) {
+    for (let i = 0; i < count; i++) {
         circles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 50 + 20,
-            color: colors[Math.floor(Math.random() * colors.length)],
-            phase: Math.random() * Math.PI * 2
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: randomInRange(sizeRange, random),
+            color: colors[Math.floor(random() * colors.length)],
+            phase: random() * Math.PI * 2
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         circles.forEach(circle => {
             const glow = Math.sin(circle.phase) * 20 + 30;
@@ -452,34 +661,41 @@ export const neonPulse = (canvas, ctx) => {
             ctx.fillStyle = gradient;
             ctx.fill();
 
-            circle.phase += 0.05;
+            circle.phase += 0.05 * step;
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(circles, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry cosmicDust animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.cosmicDust
  * @returns {Function} Animation loop function
  */
-export const cosmicDust = (canvas, ctx) => {
+export const cosmicDust = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, colors } = resolveOptions(ANIMATION_OPTIONS.cosmicDust, options);
     const particles = [];
-    const particleCount = 300;
+    const particleCount = count;
 
     for (let i = 0; i < particleCount; i++) {
         particles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 2 + 0.5,
-            speedX: (Math.random() - 0.5) * 0.5,
-            speedY: (Math.random() - 0.5) * 0.5,
-            color: `hsl(${Math.random() * 60 + 180}, 100%, 70%)`
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speedX: (random() - 0.5) * 0.5,
+            speedY: (random() - 0.5) * 0.5,
+            color: colors ? pick(colors, random) : `hsl(${random() * 60 + 180}, 100%, 70%)`
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 20, 0.05)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 20, ${getFadeAlpha(0.05, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         particles.forEach(particle => {
             ctx.beginPath();
@@ -487,49 +703,60 @@ export const cosmicDust = (canvas, ctx) => {
             ctx.fillStyle = particle.color;
             ctx.fill();
 
-            particle.x += particle.speedX;
-            particle.y += particle.speedY;
+            particle.x += particle.speedX * step;
+            particle.y += particle.speedY * step;
 
-            if (particle.x < 0 || particle.x > canvas.width) particle.speedX *= -1;
-            if (particle.y < 0 || particle.y > canvas.height) particle.speedY *= -1;
+            if (particle.x < 0 || particle.x > size.width) particle.speedX *= -1;
+            if (particle.y < 0 || particle.y > size.height) particle.speedY *= -1;
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(particles, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry electricStorm animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.electricStorm
  * @returns {Function} Animation loop function
  */
-export const electricStorm = (canvas, ctx) => {
+export const electricStorm = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { speed, frequency, colors } = resolveOptions(ANIMATION_OPTIONS.electricStorm, options);
+    const { reducedMotion } = options;
     let time = 0;
     const bolts = [];
 
     function createBolt() {
-        const startX = Math.random() * canvas.width;
+        const startX = random() * size.width;
         let x = startX;
         let y = 0;
         const points = [{ x, y }];
 
-        while (y < canvas.height) {
-            x += (Math.random() - 0.5) * 50;
-            y += Math.random() * 20 + 10;
+        while (y < size.height) {
+            x += (random() - 0.5) * 50;
+            y += random() * 20 + 10;
             points.push({ x, y });
         }
 
+        const life = 5 + random() * 5;
         return {
             points,
-            life: 5 + Math.random() * 5,
-            width: Math.random() * 3 + 1
+            life,
+            maxLife: life,
+            width: random() * 3 + 1,
+            color: colors ? pick(colors, random) : 'rgb(180, 220, 255)'
         };
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 20, 0.2)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 20, ${getFadeAlpha(0.2, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
-        time += 0.1;
-        if (Math.random() < 0.1) bolts.push(createBolt());
+        time += 0.1 * step;
+        if (random() < frequency * step) bolts.push(createBolt());
 
         bolts.forEach((bolt, index) => {
             ctx.beginPath();
@@ -537,94 +764,119 @@ export const electricStorm = (canvas, ctx) => {
             for (let i = 1; i < bolt.points.length; i++) {
                 ctx.lineTo(bolt.points[i].x, bolt.points[i].y);
             }
-            ctx.strokeStyle = `rgba(180, 220, 255, ${bolt.life / 10})`;
+            // Bolts strike at full brightness; with reduced motion they fade in and out softly instead
+            const alpha = reducedMotion
+                ? Math.sin(Math.PI * (1 - bolt.life / bolt.maxLife)) * 0.3
+                : bolt.life / 10;
+            ctx.strokeStyle = colorWithAlpha(bolt.color, alpha);
             ctx.lineWidth = bolt.width;
             ctx.stroke();
 
-            bolt.life -= 0.2;
+            bolt.life -= 0.2 * step;
             if (bolt.life <= 0) bolts.splice(index, 1);
         });
-    };
+    }, (scaleX, scaleY) => {
+        bolts.forEach(bolt => scalePositions(bolt.points, scaleX, scaleY));
+    });
 };
 /**
  * Creates a starry quantumField animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.quantumField
  * @returns {Function} Animation loop function
  */
-export const quantumField = (canvas, ctx) => {
+export const quantumField = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { reducedDetail } = options;
+    const { count, speed, sizeRange, connectionDistance } = resolveOptions(ANIMATION_OPTIONS.quantumField, options);
     const particles = [];
-    const particleCount = 100;
+    const particleCount = count;
 
     for (let i = 0; i < particleCount; i++) {
         particles.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 4 + 1,
-            speedX: (Math.random() - 0.5) * 2,
-            speedY: (Math.random() - 0.5) * 2,
-            hue: Math.random() * 360
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speedX: (random() - 0.5) * 2,
+            speedY: (random() - 0.5) * 2,
+            hue: random() * 360
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.05, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         particles.forEach(particle => {
-            particle.x += particle.speedX;
-            particle.y += particle.speedY;
+            particle.x += particle.speedX * step;
+            particle.y += particle.speedY * step;
 
-            if (particle.x < 0 || particle.x > canvas.width) particle.speedX *= -1;
-            if (particle.y < 0 || particle.y > canvas.height) particle.speedY *= -1;
+            if (particle.x < 0 || particle.x > size.width) particle.speedX *= -1;
+            if (particle.y < 0 || particle.y > size.height) particle.speedY *= -1;
 
             ctx.beginPath();
             ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
             ctx.fillStyle = `hsla(${particle.hue}, 100%, 50%, 0.8)`;
             ctx.fill();
 
+            if (reducedDetail) {
+                particle.hue = (particle.hue + 0.5 * step) % 360;
+                return;
+            }
+
             particles.forEach(otherParticle => {
                 const dx = particle.x - otherParticle.x;
                 const dy = particle.y - otherParticle.y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
 
-                if (distance < 100) {
+                if (distance < connectionDistance) {
                     ctx.beginPath();
                     ctx.moveTo(particle.x, particle.y);
                     ctx.lineTo(otherParticle.x, otherParticle.y);
-                    ctx.strokeStyle = `hsla(${(particle.hue + otherParticle.hue) / 2}, 100%, 50%, ${1 - distance / 100})`;
+                    ctx.strokeStyle = `hsla(${(particle.hue + otherParticle.hue) / 2}, 100%, 50%, ${1 - distance / connectionDistance})`;
                     ctx.stroke();
                 }
             });
 
-            particle.hue = (particle.hue + 0.5) % 360;
+            particle.hue = (particle.hue + 0.5 * step) % 360;
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(particles, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry geometricShapes animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.geometricShapes
  * @returns {Function} Animation loop function
  */
-export const geometricShapes = (canvas, ctx) => {
+export const geometricShapes = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, colors, direction } = resolveOptions(ANIMATION_OPTIONS.geometricShapes, options);
     const shapes = [];
-    const shapeCount = 50;
+    const shapeCount = count;
+    const heading = direction === 'up' ? -1 : 1;
 
     for (let i = 0; i < shapeCount; i++) {
         shapes.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 30 + 10,
-            type: Math.floor(Math.random() * 3),
-            rotation: Math.random() * Math.PI * 2,
-            speed: Math.random() * 0.5 + 0.1,
-            color: `hsl(${Math.random() * 360}, 70%, 50%)`
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            type: Math.floor(random() * 3),
+            rotation: random() * Math.PI * 2,
+            speed: random() * 0.5 + 0.1,
+            color: colors ? pick(colors, random) : `hsl(${random() * 360}, 70%, 50%)`
         });
     }
 
-    return () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.clearRect(0, 0, size.width, size.height);
 
         shapes.forEach(shape => {
             ctx.save();
@@ -653,133 +905,165 @@ export const geometricShapes = (canvas, ctx) => {
 
             ctx.restore();
 
-            shape.rotation += shape.speed * 0.05;
-            shape.y += shape.speed;
-            if (shape.y > canvas.height + shape.size) {
+            shape.rotation += shape.speed * 0.05 * step;
+            shape.y += shape.speed * step * heading;
+            if (heading > 0 && shape.y > size.height + shape.size) {
                 shape.y = -shape.size;
-                shape.x = Math.random() * canvas.width;
+                shape.x = random() * size.width;
+            } else if (heading < 0 && shape.y < -shape.size) {
+                shape.y = size.height + shape.size;
+                shape.x = random() * size.width;
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(shapes, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry fireflies animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.fireflies
  * @returns {Function} Animation loop function
  */
-export const fireflies = (canvas, ctx) => {
+export const fireflies = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, colors } = resolveOptions(ANIMATION_OPTIONS.fireflies, options);
     const fireflies = [];
-    const fireflyCount = 100;
+    const fireflyCount = count;
 
     for (let i = 0; i < fireflyCount; i++) {
         fireflies.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 3 + 1,
-            speed: Math.random() * 0.5 + 0.1,
-            brightness: Math.random(),
-            angle: Math.random() * Math.PI * 2
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speed: random() * 0.5 + 0.1,
+            brightness: random(),
+            angle: random() * Math.PI * 2,
+            color: colors ? pick(colors, random) : 'rgb(255, 255, 100)'
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         fireflies.forEach(firefly => {
-            firefly.brightness += Math.random() * 0.1 - 0.05;
+            firefly.brightness += (random() * 0.1 - 0.05) * step;
             firefly.brightness = Math.max(0, Math.min(1, firefly.brightness));
 
             ctx.beginPath();
             ctx.arc(firefly.x, firefly.y, firefly.size, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(255, 255, 100, ${firefly.brightness})`;
+            ctx.fillStyle = colorWithAlpha(firefly.color, firefly.brightness);
             ctx.fill();
 
-            firefly.x += Math.cos(firefly.angle) * firefly.speed;
-            firefly.y += Math.sin(firefly.angle) * firefly.speed;
+            firefly.x += Math.cos(firefly.angle) * firefly.speed * step;
+            firefly.y += Math.sin(firefly.angle) * firefly.speed * step;
 
-            if (firefly.x < 0 || firefly.x > canvas.width || firefly.y < 0 || firefly.y > canvas.height) {
+            if (firefly.x < 0 || firefly.x > size.width || firefly.y < 0 || firefly.y > size.height) {
                 firefly.angle += Math.PI;
             }
 
-            if (Math.random() < 0.01) {
-                firefly.angle = Math.random() * Math.PI * 2;
+            if (random() < 0.01 * step) {
+                firefly.angle = random() * Math.PI * 2;
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(fireflies, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry matrixRain animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.matrixRain
  * @returns {Function} Animation loop function
  */
-export const matrixRain = (canvas, ctx) => {
-    const columns = Math.floor(canvas.width / 20);
+export const matrixRain = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { speed, colors, characters } = resolveOptions(ANIMATION_OPTIONS.matrixRain, options);
+    const columns = Math.floor(size.width / 20);
     const drops = [];
 
     for (let i = 0; i < columns; i++) {
-        drops[i] = Math.random() * canvas.height;
+        drops[i] = random() * size.height;
     }
 
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789@#$%^&*()_+[]{}|;:,.<>?';
-
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.05, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         ctx.fillStyle = '#0F0';
         ctx.font = '15px monospace';
 
         for (let i = 0; i < drops.length; i++) {
-            const text = characters[Math.floor(Math.random() * characters.length)];
+            const text = characters[Math.floor(random() * characters.length)];
+            if (colors) ctx.fillStyle = colors[i % colors.length];
             ctx.fillText(text, i * 20, drops[i] * 20);
 
-            if (drops[i] * 20 > canvas.height && Math.random() > 0.975) {
+            if (drops[i] * 20 > size.height && random() < 0.025 * step) {
                 drops[i] = 0;
             }
-            drops[i] += 0.6;
+            drops[i] += 0.6 * step;
         }
-    };
+    }, (scaleX, scaleY) => {
+        // Keep existing columns, add new ones or drop those now off-canvas
+        const newColumns = Math.floor(size.width / 20);
+        for (let i = drops.length; i < newColumns; i++) {
+            drops[i] = random() * size.height;
+        }
+        drops.length = newColumns;
+    });
 };
 
 /**
  * Creates a starry dnaHelix animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.dnaHelix
  * @returns {Function} Animation loop function
  */
-export const dnaHelix = (canvas, ctx) => {
-    const speed = 0.02
+export const dnaHelix = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const resolved = resolveOptions(ANIMATION_OPTIONS.dnaHelix, options);
+    const speed = 0.02 * resolved.speed
     const baseRadius = 100
-    const amplitude = 50
+    const amplitude = resolved.amplitude
     const nucleotideSize = 5
+    // Strand and nucleotide colors of the two strands
+    const [strandA, strandB, nucleotideA, nucleotideB] = resolved.colors
+        ? [0, 1, 2, 3].map(i => resolved.colors[i % resolved.colors.length])
+        : ['rgb(255, 0, 0)', 'rgb(0, 0, 255)', 'rgb(255, 255, 0)', 'rgb(0, 255, 0)']
     let t = 0;
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const timeStep = getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.1, timeStep)})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         ctx.save();
-        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.translate(size.width / 2, size.height / 2);
 
         for (let i = 0; i < 2; i++) {
             ctx.beginPath();
-            for (let x = -canvas.width / 2; x < canvas.width / 2; x += 10) {
+            for (let x = -size.width / 2; x < size.width / 2; x += 10) {
                 const y = Math.sin(x * 0.01 + t + i * Math.PI) * amplitude;
                 const r = baseRadius + y;
                 ctx.lineTo(x, r);
             }
-            ctx.strokeStyle = i === 0 ? 'rgba(255, 0, 0, 0.5)' : 'rgba(0, 0, 255, 0.5)';
+            ctx.strokeStyle = colorWithAlpha(i === 0 ? strandA : strandB, 0.5);
             ctx.lineWidth = 2;
             ctx.stroke();
 
             // Draw nucleotides
-            for (let x = -canvas.width / 2; x < canvas.width / 2; x += 40) {
+            for (let x = -size.width / 2; x < size.width / 2; x += 40) {
                 const y = Math.sin(x * 0.01 + t + i * Math.PI) * amplitude;
                 const r = baseRadius + y;
-                ctx.fillStyle = i === 0 ? 'rgba(255, 255, 0, 0.8)' : 'rgba(0, 255, 0, 0.8)';
+                ctx.fillStyle = colorWithAlpha(i === 0 ? nucleotideA : nucleotideB, 0.8);
                 ctx.beginPath();
                 ctx.arc(x, r, nucleotideSize, 0, Math.PI * 2);
                 ctx.fill();
@@ -787,58 +1071,68 @@ export const dnaHelix = (canvas, ctx) => {
         }
 
         ctx.restore();
-        t += speed;
-    };
+        t += speed * timeStep;
+    });
 }
 /**
  * Creates a starry neuralNetwork animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.neuralNetwork
  * @returns {Function} Animation loop function
  */
-export const neuralNetwork = (canvas, ctx) => {
-    const nodeCount = 30;
-    const connectionProbability = 0.2;
-    const speed = 0.3;
+export const neuralNetwork = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { reducedDetail } = options;
+    const resolved = resolveOptions(ANIMATION_OPTIONS.neuralNetwork, options);
+    const nodeCount = resolved.count;
+    const connectionProbability = resolved.connectionProbability;
+    const speed = 0.3 * resolved.speed;
     const nodes = [];
     const connections = [];
 
     // Create background gradient
-    const backgroundGradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-    backgroundGradient.addColorStop(0, '#000000');
-    backgroundGradient.addColorStop(1, '#1a1a2e');
+    const createBackgroundGradient = () => {
+        const gradient = ctx.createLinearGradient(0, 0, size.width, size.height);
+        gradient.addColorStop(0, '#000000');
+        gradient.addColorStop(1, '#1a1a2e');
+        return gradient;
+    };
+    let backgroundGradient = createBackgroundGradient();
 
     for (let i = 0; i < nodeCount; i++) {
         nodes.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            vx: (Math.random() - 0.5) * speed,
-            vy: (Math.random() - 0.5) * speed,
-            size: Math.random() * 2 + 2
+            x: random() * size.width,
+            y: random() * size.height,
+            vx: (random() - 0.5) * speed,
+            vy: (random() - 0.5) * speed,
+            size: random() * 2 + 2
         });
     }
 
     // Pre-compute connections
     for (let i = 0; i < nodes.length; i++) {
         for (let j = i + 1; j < nodes.length; j++) {
-            if (Math.random() < connectionProbability) {
+            if (random() < connectionProbability) {
                 connections.push([i, j]);
             }
         }
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const timeStep = getTimeStep(frameInfo);
         // Draw background
         ctx.fillStyle = backgroundGradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Update and draw nodes
         nodes.forEach((node, index) => {
-            node.x += node.vx;
-            node.y += node.vy;
+            node.x += node.vx * timeStep;
+            node.y += node.vy * timeStep;
 
-            if (node.x < 0 || node.x > canvas.width) node.vx *= -1;
-            if (node.y < 0 || node.y > canvas.height) node.vy *= -1;
+            if (node.x < 0 || node.x > size.width) node.vx *= -1;
+            if (node.y < 0 || node.y > size.height) node.vy *= -1;
 
             ctx.beginPath();
             ctx.arc(node.x, node.y, node.size, 0, Math.PI * 2);
@@ -846,6 +1140,7 @@ export const neuralNetwork = (canvas, ctx) => {
             ctx.fill();
 
             // Add glow effect
+            if (reducedDetail) return;
             ctx.beginPath();
             ctx.arc(node.x, node.y, node.size + 3, 0, Math.PI * 2);
             const gradient = ctx.createRadialGradient(node.x, node.y, node.size, node.x, node.y, node.size + 3);
@@ -860,7 +1155,7 @@ export const neuralNetwork = (canvas, ctx) => {
             const dx = nodes[i].x - nodes[j].x;
             const dy = nodes[i].y - nodes[j].y;
             const distance = Math.sqrt(dx * dx + dy * dy);
-            const opacity = 1 - distance / Math.max(canvas.width, canvas.height);
+            const opacity = 1 - distance / Math.max(size.width, size.height);
 
             ctx.beginPath();
             ctx.moveTo(nodes[i].x, nodes[i].y);
@@ -872,49 +1167,60 @@ export const neuralNetwork = (canvas, ctx) => {
         // Add subtle particle effect
         for (let i = 0; i < 5; i++) {
             ctx.beginPath();
-            ctx.arc(Math.random() * canvas.width, Math.random() * canvas.height, Math.random() * 1.5, 0, Math.PI * 2);
+            ctx.arc(random() * size.width, random() * size.height, random() * 1.5, 0, Math.PI * 2);
             ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
             ctx.fill();
         }
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(nodes, scaleX, scaleY);
+        backgroundGradient = createBackgroundGradient();
+    });
 }
 /**
  * Creates a starry oceanWaves animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.oceanWaves
  * @returns {Function} Animation loop function
  */
-export const oceanWaves = (canvas, ctx) => {
-    const waveCount = 7;
-    const amplitude = 30;
+export const oceanWaves = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const resolved = resolveOptions(ANIMATION_OPTIONS.oceanWaves, options);
+    const waveCount = resolved.waveCount;
+    const amplitude = resolved.amplitude;
     const frequency = 0.02;
-    const speed = 0.03;
+    const speed = 0.03 * resolved.speed;
     let time = 0;
 
     // Create sky gradient
-    const skyGradient = ctx.createLinearGradient(0, 0, 0, canvas.height * 0.6);
-    skyGradient.addColorStop(0, '#87CEEB');
-    skyGradient.addColorStop(1, '#E0F6FF');
+    const createSkyGradient = () => {
+        const gradient = ctx.createLinearGradient(0, 0, 0, size.height * 0.6);
+        gradient.addColorStop(0, '#87CEEB');
+        gradient.addColorStop(1, '#E0F6FF');
+        return gradient;
+    };
+    let skyGradient = createSkyGradient();
 
     // Create sun
     const sun = {
-        x: canvas.width * 0.8,
-        y: canvas.height * 0.2,
+        x: size.width * 0.8,
+        y: size.height * 0.2,
         radius: 40,
         glow: 20
     };
 
     // Create clouds
     const clouds = [
-        { x: canvas.width * 0.1, y: canvas.height * 0.15, radius: 30 },
-        { x: canvas.width * 0.3, y: canvas.height * 0.1, radius: 40 },
-        { x: canvas.width * 0.6, y: canvas.height * 0.2, radius: 35 }
+        { x: size.width * 0.1, y: size.height * 0.15, radius: 30 },
+        { x: size.width * 0.3, y: size.height * 0.1, radius: 40 },
+        { x: size.width * 0.6, y: size.height * 0.2, radius: 35 }
     ];
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const timeStep = getTimeStep(frameInfo);
         // Draw sky
         ctx.fillStyle = skyGradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height * 0.6);
+        ctx.fillRect(0, 0, size.width, size.height * 0.6);
 
         // Draw sun
         ctx.save();
@@ -939,66 +1245,79 @@ export const oceanWaves = (canvas, ctx) => {
         // Draw ocean
         for (let i = 0; i < waveCount; i++) {
             ctx.beginPath();
-            ctx.moveTo(0, canvas.height);
+            ctx.moveTo(0, size.height);
 
-            for (let x = 0; x <= canvas.width; x += 5) {
+            for (let x = 0; x <= size.width; x += 5) {
                 const y = Math.sin(x * frequency + time + i * 0.5) * amplitude * (1 + i * 0.1) +
-                    (canvas.height - (i + 1) * (canvas.height * 0.4 / waveCount));
+                    (size.height - (i + 1) * (size.height * 0.4 / waveCount));
                 ctx.lineTo(x, y);
             }
 
-            ctx.lineTo(canvas.width, canvas.height);
-            const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+            ctx.lineTo(size.width, size.height);
+            const gradient = ctx.createLinearGradient(0, 0, 0, size.height);
             gradient.addColorStop(0, `rgba(0, 100, 255, ${0.1 + (i / waveCount) * 0.15})`);
             gradient.addColorStop(1, `rgba(0, 50, 200, ${0.1 + (i / waveCount) * 0.15})`);
             ctx.fillStyle = gradient;
             ctx.fill();
         }
 
-        time += speed;
-    };
+        time += speed * timeStep;
+    }, (scaleX, scaleY) => {
+        scalePositions([sun, ...clouds], scaleX, scaleY);
+        skyGradient = createSkyGradient();
+    });
 }
 /**
  * Creates a starry snowFall animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.snowFall
  * @returns {Function} Animation loop function
  */
-export const snowFall = (canvas, ctx) => {
-    const snowflakeCount = 200;
+export const snowFall = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange } = resolveOptions(ANIMATION_OPTIONS.snowFall, options);
+    const snowflakeCount = count;
     const snowflakes = [];
-    const backgroundGradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-    backgroundGradient.addColorStop(0, '#0c1445');
-    backgroundGradient.addColorStop(1, '#1c2754');
+    const createBackgroundGradient = () => {
+        const gradient = ctx.createLinearGradient(0, 0, 0, size.height);
+        gradient.addColorStop(0, '#0c1445');
+        gradient.addColorStop(1, '#1c2754');
+        return gradient;
+    };
+    let backgroundGradient = createBackgroundGradient();
 
     // Create moon
     const moon = {
-        x: canvas.width * 0.8,
-        y: canvas.height * 0.2,
+        x: size.width * 0.8,
+        y: size.height * 0.2,
         radius: 50,
         glow: 20
     };
 
     // Create mountains
-    const mountains = [
-        { points: [[0, canvas.height], [canvas.width * 0.3, canvas.height * 0.7], [canvas.width * 0.5, canvas.height]], color: '#0a1128' },
-        { points: [[canvas.width * 0.4, canvas.height], [canvas.width * 0.7, canvas.height * 0.75], [canvas.width, canvas.height]], color: '#0d1636' }
+    const createMountains = () => [
+        { points: [[0, size.height], [size.width * 0.3, size.height * 0.7], [size.width * 0.5, size.height]], color: '#0a1128' },
+        { points: [[size.width * 0.4, size.height], [size.width * 0.7, size.height * 0.75], [size.width, size.height]], color: '#0d1636' }
     ];
+    let mountains = createMountains();
 
     for (let i = 0; i < snowflakeCount; i++) {
         snowflakes.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            vx: (Math.random() - 0.5) * 1.5,
-            vy: Math.random() * 1 + 0.5,
-            size: Math.random() * 3 + 1,
-            opacity: Math.random() * 0.5 + 0.5
+            x: random() * size.width,
+            y: random() * size.height,
+            vx: (random() - 0.5) * 1.5,
+            vy: random() * 1 + 0.5,
+            size: randomInRange(sizeRange, random),
+            opacity: random() * 0.5 + 0.5
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
         ctx.fillStyle = backgroundGradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw moon
         ctx.save();
@@ -1022,14 +1341,14 @@ export const snowFall = (canvas, ctx) => {
         });
 
         snowflakes.forEach(flake => {
-            flake.x += flake.vx + Math.sin(flake.y * 0.01) * 0.3;
-            flake.y += flake.vy;
+            flake.x += (flake.vx + Math.sin(flake.y * 0.01) * 0.3) * step;
+            flake.y += flake.vy * step;
 
-            if (flake.y > canvas.height) {
-                flake.x = Math.random() * canvas.width;
+            if (flake.y > size.height) {
+                flake.x = random() * size.width;
                 flake.y = -flake.size;
-                flake.vx = (Math.random() - 0.5) * 1.5;
-                flake.vy = Math.random() * 1 + 0.5;
+                flake.vx = (random() - 0.5) * 1.5;
+                flake.vy = random() * 1 + 0.5;
             }
 
             ctx.beginPath();
@@ -1040,49 +1359,62 @@ export const snowFall = (canvas, ctx) => {
 
         // Add a subtle glow effect
         ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-    };
+        ctx.fillRect(0, 0, size.width, size.height);
+    }, (scaleX, scaleY) => {
+        scalePositions([moon, ...snowflakes], scaleX, scaleY);
+        mountains = createMountains();
+        backgroundGradient = createBackgroundGradient();
+    });
 }
 
 /**
  * Creates a starry fireflyForest animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.fireflyForest
  * @returns {Function} Animation loop function
  */
-export const fireflyForest = (canvas, ctx) => {
+export const fireflyForest = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { reducedDetail } = options;
+    const { count, speed, treeCount } = resolveOptions(ANIMATION_OPTIONS.fireflyForest, options);
     const fireflies = [];
-    const fireflyCount = 100;
+    const fireflyCount = count;
     const trees = [];
-    const treeCount = 5;
+    // Milliseconds of animation time, advanced with the frame time step
+    let clock = 0;
 
     // Create trees
     for (let i = 0; i < treeCount; i++) {
         trees.push({
-            x: Math.random() * canvas.width,
-            y: canvas.height,
-            height: Math.random() * 200 + 300,
-            width: Math.random() * 100 + 50
+            x: random() * size.width,
+            y: size.height,
+            height: random() * 200 + 300,
+            width: random() * 100 + 50
         });
     }
 
     // Create fireflies
     for (let i = 0; i < fireflyCount; i++) {
         fireflies.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 2 + 1,
-            speed: Math.random() * 0.5 + 0.1,
-            angle: Math.random() * Math.PI * 2,
-            angleSpeed: (Math.random() - 0.5) * 0.01,
-            glowIntensity: Math.random()
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: random() * 2 + 1,
+            speed: random() * 0.5 + 0.1,
+            angle: random() * Math.PI * 2,
+            angleSpeed: (random() - 0.5) * 0.01,
+            glowIntensity: random()
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        clock += FRAME_DURATION * step;
+
         // Night sky
-        ctx.fillStyle = 'rgba(0, 0, 20, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = `rgba(0, 0, 20, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw trees
         trees.forEach(tree => {
@@ -1097,20 +1429,21 @@ export const fireflyForest = (canvas, ctx) => {
 
         // Update and draw fireflies
         fireflies.forEach(fly => {
-            fly.x += Math.cos(fly.angle) * fly.speed;
-            fly.y += Math.sin(fly.angle) * fly.speed;
-            fly.angle += fly.angleSpeed;
+            fly.x += Math.cos(fly.angle) * fly.speed * step;
+            fly.y += Math.sin(fly.angle) * fly.speed * step;
+            fly.angle += fly.angleSpeed * step;
 
-            if (fly.x < 0 || fly.x > canvas.width) fly.angle = Math.PI - fly.angle;
-            if (fly.y < 0 || fly.y > canvas.height) fly.angle = -fly.angle;
+            if (fly.x < 0 || fly.x > size.width) fly.angle = Math.PI - fly.angle;
+            if (fly.y < 0 || fly.y > size.height) fly.angle = -fly.angle;
 
-            fly.glowIntensity = Math.sin(Date.now() * 0.002 + fly.x * 0.1) * 0.5 + 0.5;
+            fly.glowIntensity = Math.sin(clock * 0.002 + fly.x * 0.1) * 0.5 + 0.5;
 
             ctx.beginPath();
             ctx.arc(fly.x, fly.y, fly.radius, 0, Math.PI * 2);
             ctx.fillStyle = `rgba(255, 255, 100, ${fly.glowIntensity})`;
             ctx.fill();
 
+            if (reducedDetail) return;
             ctx.beginPath();
             ctx.arc(fly.x, fly.y, fly.radius * 3, 0, Math.PI * 2);
             const gradient = ctx.createRadialGradient(fly.x, fly.y, 0, fly.x, fly.y, fly.radius * 3);
@@ -1119,28 +1452,40 @@ export const fireflyForest = (canvas, ctx) => {
             ctx.fillStyle = gradient;
             ctx.fill();
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(fireflies, scaleX, scaleY);
+        // Trees stand on the bottom edge
+        trees.forEach(tree => {
+            tree.x *= scaleX;
+            tree.y = size.height;
+        });
+    });
 };
 /**
  * Creates a starry realisticClouds animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.realisticClouds
  * @returns {Function} Animation loop function
  */
-export const realisticClouds = (canvas, ctx) => {
+export const realisticClouds = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, direction } = resolveOptions(ANIMATION_OPTIONS.realisticClouds, options);
     const clouds = [];
-    const cloudCount = 10;
+    const cloudCount = count;
+    const heading = direction === 'left' ? -1 : 1;
     let gradientHeight;
 
     function createCloud(x, y) {
-        const particleCount = Math.floor(Math.random() * 50) + 50;
+        const particleCount = Math.floor(random() * 50) + 50;
         const particles = [];
 
         for (let i = 0; i < particleCount; i++) {
             particles.push({
-                x: x + Math.random() * 200 - 100,
-                y: y + Math.random() * 100 - 50,
-                radius: Math.random() * 30 + 10
+                x: x + random() * 200 - 100,
+                y: y + random() * 100 - 50,
+                radius: random() * 30 + 10
             });
         }
 
@@ -1148,17 +1493,17 @@ export const realisticClouds = (canvas, ctx) => {
             particles,
             x,
             y,
-            speed: Math.random() * 0.5 + 0.1
+            speed: random() * 0.5 + 0.1
         };
     }
 
     for (let i = 0; i < cloudCount; i++) {
-        clouds.push(createCloud(Math.random() * canvas.width, Math.random() * (canvas.height / 2)));
+        clouds.push(createCloud(random() * size.width, random() * (size.height / 2)));
     }
 
     // Create gradient for the sky
     const createSkyGradient = () => {
-        gradientHeight = canvas.height;
+        gradientHeight = size.height;
         const gradient = ctx.createLinearGradient(0, 0, 0, gradientHeight);
         gradient.addColorStop(0, '#1e90ff');  // Dodger Blue
         gradient.addColorStop(0.5, '#87ceeb'); // Sky Blue
@@ -1168,20 +1513,23 @@ export const realisticClouds = (canvas, ctx) => {
 
     let skyGradient = createSkyGradient();
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
         // Redraw sky gradient if canvas size has changed
-        if (gradientHeight !== canvas.height) {
+        if (gradientHeight !== size.height) {
             skyGradient = createSkyGradient();
         }
 
         // Draw sky
         ctx.fillStyle = skyGradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         clouds.forEach(cloud => {
-            cloud.x += cloud.speed;
-            if (cloud.x > canvas.width + 200) {
+            cloud.x += cloud.speed * step * heading;
+            if (heading > 0 && cloud.x > size.width + 200) {
                 cloud.x = -200;
+            } else if (heading < 0 && cloud.x < -200) {
+                cloud.x = size.width + 200;
             }
 
             ctx.save();
@@ -1213,25 +1561,31 @@ export const realisticClouds = (canvas, ctx) => {
         const sunRadius = 40;
         const sunGlow = 20;
         ctx.beginPath();
-        ctx.arc(canvas.width - 100, 100, sunRadius, 0, Math.PI * 2);
-        const sunGradient = ctx.createRadialGradient(canvas.width - 100, 100, 0, canvas.width - 100, 100, sunRadius + sunGlow);
+        ctx.arc(size.width - 100, 100, sunRadius, 0, Math.PI * 2);
+        const sunGradient = ctx.createRadialGradient(size.width - 100, 100, 0, size.width - 100, 100, sunRadius + sunGlow);
         sunGradient.addColorStop(0, 'rgba(255, 255, 200, 1)');
         sunGradient.addColorStop(0.8, 'rgba(255, 255, 0, 0.3)');
         sunGradient.addColorStop(1, 'rgba(255, 255, 0, 0)');
         ctx.fillStyle = sunGradient;
         ctx.fill();
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(clouds, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry autumnLeaves animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.autumnLeaves
  * @returns {Function} Animation loop function
  */
-export const autumnLeaves = (canvas, ctx) => {
+export const autumnLeaves = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, colors } = resolveOptions(ANIMATION_OPTIONS.autumnLeaves, options);
     const leaves = [];
-    const leafCount = 100;
-    const leafColors = ['#ff6b6b', '#feca57', '#ff9ff3', '#ff9f43', '#e17055'];
+    const leafCount = count;
+    const leafColors = colors || ['#ff6b6b', '#feca57', '#ff9ff3', '#ff9f43', '#e17055'];
     const leafImages = [
         '1.jpg',
         '2.jpg',
@@ -1239,25 +1593,42 @@ export const autumnLeaves = (canvas, ctx) => {
     const leafImagesLoaded = [];
     let imagesLoaded = false;
 
-    // Load images
+    // Load images. Workers and Node have no Image, so fall back to
+    // fetch + createImageBitmap there, or to the drawn ovals when neither exists.
     const loadImages = () => {
         let loadedCount = 0;
+        const settle = () => {
+            loadedCount++;
+            if (loadedCount === leafImages.length) {
+                imagesLoaded = true;
+            }
+        };
         leafImages.forEach((src, index) => {
-            const img = new Image();
-            img.onload = () => {
-                leafImagesLoaded[index] = img;
-                loadedCount++;
-                if (loadedCount === leafImages.length) {
-                    imagesLoaded = true;
-                }
-            };
-            img.onerror = () => {
-                loadedCount++;
-                if (loadedCount === leafImages.length) {
-                    imagesLoaded = true;
-                }
-            };
-            img.src = src;
+            if (typeof Image !== 'undefined') {
+                const img = new Image();
+                img.onload = () => {
+                    leafImagesLoaded[index] = img;
+                    settle();
+                };
+                img.onerror = settle;
+                img.src = src;
+            } else if (typeof fetch === 'function' && typeof createImageBitmap === 'function') {
+                fetch(src)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Failed to load ${src}`);
+                        }
+                        return response.blob();
+                    })
+                    .then(blob => createImageBitmap(blob))
+                    .then(bitmap => {
+                        leafImagesLoaded[index] = bitmap;
+                    })
+                    .catch(() => {})
+                    .then(settle);
+            } else {
+                settle();
+            }
         });
     };
 
@@ -1265,15 +1636,15 @@ export const autumnLeaves = (canvas, ctx) => {
 
     for (let i = 0; i < leafCount; i++) {
         leaves.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 20 + 10,
-            speed: Math.random() * 2 + 1,
-            amplitude: Math.random() * 20 + 10,
-            angle: Math.random() * Math.PI * 2,
-            angleSpeed: (Math.random() - 0.5) * 0.05,
-            imageIndex: Math.floor(Math.random() * leafImages.length),
-            color: leafColors[Math.floor(Math.random() * leafColors.length)]
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speed: random() * 2 + 1,
+            amplitude: random() * 20 + 10,
+            angle: random() * Math.PI * 2,
+            angleSpeed: (random() - 0.5) * 0.05,
+            imageIndex: Math.floor(random() * leafImages.length),
+            color: leafColors[Math.floor(random() * leafColors.length)]
         });
     }
 
@@ -1295,47 +1666,55 @@ export const autumnLeaves = (canvas, ctx) => {
         ctx.restore();
     };
 
-    return () => {
-        ctx.fillStyle = 'rgba(135, 206, 235, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(135, 206, 235, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         leaves.forEach(leaf => {
-            leaf.y += leaf.speed;
-            leaf.x += Math.sin(leaf.y * 0.01) * leaf.amplitude * 0.05;
-            leaf.angle += leaf.angleSpeed;
+            leaf.y += leaf.speed * step;
+            leaf.x += Math.sin(leaf.y * 0.01) * leaf.amplitude * 0.05 * step;
+            leaf.angle += leaf.angleSpeed * step;
 
-            if (leaf.y > canvas.height) {
+            if (leaf.y > size.height) {
                 leaf.y = -leaf.size;
-                leaf.x = Math.random() * canvas.width;
+                leaf.x = random() * size.width;
             }
 
             drawLeaf(leaf);
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(leaves, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry realisticRain animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.realisticRain
  * @returns {Function} Animation loop function
  */
-export const realisticRain = (canvas, ctx) => {
+export const realisticRain = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed } = resolveOptions(ANIMATION_OPTIONS.realisticRain, options);
     const raindrops = [];
-    const dropCount = 1000;
+    const dropCount = count;
     const splashes = [];
 
     for (let i = 0; i < dropCount; i++) {
         raindrops.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            length: Math.random() * 20 + 10,
-            speed: Math.random() * 10 + 15
+            x: random() * size.width,
+            y: random() * size.height,
+            length: random() * 20 + 10,
+            speed: random() * 10 + 15
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw and update raindrops
         ctx.strokeStyle = 'rgba(174, 194, 224, 0.5)';
@@ -1346,14 +1725,14 @@ export const realisticRain = (canvas, ctx) => {
             ctx.lineTo(drop.x, drop.y + drop.length);
             ctx.stroke();
 
-            drop.y += drop.speed;
+            drop.y += drop.speed * step;
 
-            if (drop.y > canvas.height) {
+            if (drop.y > size.height) {
                 drop.y = -drop.length;
                 splashes.push({
                     x: drop.x,
-                    y: canvas.height,
-                    radius: Math.random() * 3 + 1,
+                    y: size.height,
+                    radius: random() * 3 + 1,
                     opacity: 1
                 });
             }
@@ -1366,26 +1745,32 @@ export const realisticRain = (canvas, ctx) => {
             ctx.fillStyle = `rgba(174, 194, 224, ${splash.opacity})`;
             ctx.fill();
 
-            splash.radius += 0.1;
-            splash.opacity -= 0.03;
+            splash.radius += 0.1 * step;
+            splash.opacity -= 0.03 * step;
 
             if (splash.opacity <= 0) {
                 splashes.splice(index, 1);
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions([...raindrops, ...splashes], scaleX, scaleY);
+    });
 };
 
 /**
  * Creates a starry fallingFoodFiesta animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.fallingFoodFiesta
  * @returns {Function} Animation loop function
  */
-export const fallingFoodFiesta = (canvas, ctx) => {
+export const fallingFoodFiesta = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange, emojis } = resolveOptions(ANIMATION_OPTIONS.fallingFoodFiesta, options);
     const foodItems = [];
-    const foodTypes = ['🍔', '🍕', '🌭', '🍟', '🌮', '🍣', '🍩', '🍦', '🍎', '🍇', '🍓', '🍑', '🍍', '🥑', '🥕', '🥪', '🥨', '🧀', '🥐', '🥯', '🍱', '🍜', '🍙', '🍗', '🥟', '🥘', '🍤', '🥞', '🧇', '🥓'];
-    const numItems = 50;
+    const foodTypes = emojis || ['🍔', '🍕', '🌭', '🍟', '🌮', '🍣', '🍩', '🍦', '🍎', '🍇', '🍓', '🍑', '🍍', '🥑', '🥕', '🥪', '🥨', '🧀', '🥐', '🥯', '🍱', '🍜', '🍙', '🍗', '🥟', '🥘', '🍤', '🥞', '🧇', '🥓'];
+    const numItems = count;
 
     // Lighter gradient colors
     const colors = [
@@ -1405,13 +1790,13 @@ export const fallingFoodFiesta = (canvas, ctx) => {
 
     for (let i = 0; i < numItems; i++) {
         foodItems.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height - canvas.height,
-            emoji: foodTypes[Math.floor(Math.random() * foodTypes.length)],
-            size: Math.random() * 20 + 30,
-            speed: Math.random() * 1.5 + 0.5,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() * 2 - 1) * 0.02
+            x: random() * size.width,
+            y: random() * size.height - size.height,
+            emoji: foodTypes[Math.floor(random() * foodTypes.length)],
+            size: randomInRange(sizeRange, random),
+            speed: random() * 1.5 + 0.5,
+            rotation: random() * Math.PI * 2,
+            rotationSpeed: (random() * 2 - 1) * 0.02
         });
     }
 
@@ -1423,9 +1808,10 @@ export const fallingFoodFiesta = (canvas, ctx) => {
         };
     };
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
         // Update gradient colors
-        colorT += colorSpeed;
+        colorT += colorSpeed * step;
         if (colorT >= 1) {
             colorT = 0;
             colorIndex = nextColorIndex;
@@ -1434,7 +1820,7 @@ export const fallingFoodFiesta = (canvas, ctx) => {
         const currentColor = lerpColor(colors[colorIndex], colors[nextColorIndex], colorT);
 
         // Create moving gradient with lighter colors
-        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+        const gradient = ctx.createLinearGradient(0, 0, size.width, size.height);
         gradient.addColorStop(0, `rgb(${currentColor.r}, ${currentColor.g}, ${currentColor.b})`);
         gradient.addColorStop(1, `rgb(${255 - currentColor.r}, ${255 - currentColor.g}, ${255 - currentColor.b})`);
 
@@ -1443,7 +1829,7 @@ export const fallingFoodFiesta = (canvas, ctx) => {
 
         // Draw gradient background
         ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Reset filter for subsequent drawing
         ctx.filter = 'none';
@@ -1467,67 +1853,78 @@ export const fallingFoodFiesta = (canvas, ctx) => {
             ctx.fillText(item.emoji, 0, 0);
             ctx.restore();
 
-            item.y += item.speed;
-            item.rotation += item.rotationSpeed;
-            if (item.y > canvas.height + item.size) {
+            item.y += item.speed * step;
+            item.rotation += item.rotationSpeed * step;
+            if (item.y > size.height + item.size) {
                 item.y = -item.size;
-                item.x = Math.random() * canvas.width;
+                item.x = random() * size.width;
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(foodItems, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry hauntedForest animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.hauntedForest
  * @returns {Function} Animation loop function
  */
-export const hauntedForest = (canvas, ctx) => {
+export const hauntedForest = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, treeCount } = resolveOptions(ANIMATION_OPTIONS.hauntedForest, options);
     const trees = [];
     const fireflies = [];
     const fog = [];
+    // Milliseconds of animation time, advanced with the frame time step
+    let clock = 0;
 
     // Initialize trees
-    for (let i = 0; i < 20; i++) {
+    for (let i = 0; i < treeCount; i++) {
         trees.push({
-            x: Math.random() * canvas.width,
-            height: Math.random() * 200 + 100,
-            width: Math.random() * 20 + 10,
+            x: random() * size.width,
+            height: random() * 200 + 100,
+            width: random() * 20 + 10,
         });
     }
 
     // Initialize fireflies
-    for (let i = 0; i < 50; i++) {
+    for (let i = 0; i < count; i++) {
         fireflies.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 2 + 1,
-            speed: Math.random() * 0.5 + 0.1,
-            opacity: Math.random(),
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: random() * 2 + 1,
+            speed: random() * 0.5 + 0.1,
+            opacity: random(),
         });
     }
 
     // Initialize fog
     for (let i = 0; i < 100; i++) {
         fog.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 50 + 20,
-            speed: Math.random() * 0.2 + 0.1,
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: random() * 50 + 20,
+            speed: random() * 0.2 + 0.1,
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        clock += FRAME_DURATION * step;
+
         ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw trees
         ctx.fillStyle = '#1a1a1a';
         trees.forEach(tree => {
             ctx.beginPath();
-            ctx.moveTo(tree.x, canvas.height);
-            ctx.lineTo(tree.x - tree.width / 2, canvas.height - tree.height);
-            ctx.lineTo(tree.x + tree.width / 2, canvas.height - tree.height);
+            ctx.moveTo(tree.x, size.height);
+            ctx.lineTo(tree.x - tree.width / 2, size.height - tree.height);
+            ctx.lineTo(tree.x + tree.width / 2, size.height - tree.height);
             ctx.closePath();
             ctx.fill();
         });
@@ -1539,8 +1936,8 @@ export const hauntedForest = (canvas, ctx) => {
             ctx.arc(particle.x, particle.y, particle.radius, 0, Math.PI * 2);
             ctx.fill();
 
-            particle.x += particle.speed;
-            if (particle.x > canvas.width + particle.radius) {
+            particle.x += particle.speed * step;
+            if (particle.x > size.width + particle.radius) {
                 particle.x = -particle.radius;
             }
         });
@@ -1552,40 +1949,55 @@ export const hauntedForest = (canvas, ctx) => {
             ctx.fillStyle = `rgba(255, 255, 100, ${firefly.opacity})`;
             ctx.fill();
 
-            firefly.x += Math.sin(Date.now() * 0.001) * firefly.speed;
-            firefly.y += Math.cos(Date.now() * 0.001) * firefly.speed;
-            firefly.opacity = Math.sin(Date.now() * 0.01) * 0.5 + 0.5;
+            firefly.x += Math.sin(clock * 0.001) * firefly.speed * step;
+            firefly.y += Math.cos(clock * 0.001) * firefly.speed * step;
+            firefly.opacity = Math.sin(clock * 0.01) * 0.5 + 0.5;
 
-            if (firefly.x < 0) firefly.x = canvas.width;
-            if (firefly.x > canvas.width) firefly.x = 0;
-            if (firefly.y < 0) firefly.y = canvas.height;
-            if (firefly.y > canvas.height) firefly.y = 0;
+            if (firefly.x < 0) firefly.x = size.width;
+            if (firefly.x > size.width) firefly.x = 0;
+            if (firefly.y < 0) firefly.y = size.height;
+            if (firefly.y > size.height) firefly.y = 0;
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions([...fireflies, ...fog], scaleX, scaleY);
+        // Trees are drawn from the bottom edge, so only their x position moves
+        trees.forEach(tree => {
+            tree.x *= scaleX;
+        });
+    });
 };
 /**
  * Creates a starry ghostlyApparitions animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.ghostlyApparitions
  * @returns {Function} Animation loop function
  */
-export const ghostlyApparitions = (canvas, ctx) => {
+export const ghostlyApparitions = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange } = resolveOptions(ANIMATION_OPTIONS.ghostlyApparitions, options);
     const ghosts = [];
-    const numGhosts = 5;
+    const numGhosts = count;
+    // Milliseconds of animation time, advanced with the frame time step
+    let clock = 0;
 
     for (let i = 0; i < numGhosts; i++) {
         ghosts.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 50 + 30,
-            speed: Math.random() * 0.5 + 0.1,
-            opacity: Math.random() * 0.5,
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speed: random() * 0.5 + 0.1,
+            opacity: random() * 0.5,
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        clock += FRAME_DURATION * step;
+
         ctx.fillStyle = '#000033';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         ghosts.forEach(ghost => {
             ctx.beginPath();
@@ -1611,32 +2023,38 @@ export const ghostlyApparitions = (canvas, ctx) => {
             ctx.fillStyle = gradient;
             ctx.fill();
 
-            ghost.y -= ghost.speed;
-            ghost.opacity = Math.sin(Date.now() * 0.001) * 0.2 + 0.3;
+            ghost.y -= ghost.speed * step;
+            ghost.opacity = Math.sin(clock * 0.001) * 0.2 + 0.3;
 
             if (ghost.y + ghost.size < 0) {
-                ghost.y = canvas.height + ghost.size;
-                ghost.x = Math.random() * canvas.width;
+                ghost.y = size.height + ghost.size;
+                ghost.x = random() * size.width;
             }
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(ghosts, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry spiderwebOverlay animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.spiderwebOverlay
  * @returns {Function} Animation loop function
  */
-export const spiderwebOverlay = (canvas, ctx) => {
+export const spiderwebOverlay = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, sizeRange } = resolveOptions(ANIMATION_OPTIONS.spiderwebOverlay, options);
     const webs = [];
-    const numWebs = 20;
+    const numWebs = count;
 
     for (let i = 0; i < numWebs; i++) {
         webs.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 100 + 50,
-            rotation: Math.random() * Math.PI * 2,
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            rotation: random() * Math.PI * 2,
         });
     }
 
@@ -1666,67 +2084,74 @@ export const spiderwebOverlay = (canvas, ctx) => {
         ctx.restore();
     };
 
-    return () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, () => {
+        ctx.clearRect(0, 0, size.width, size.height);
 
         webs.forEach(web => {
             drawWeb(web.x, web.y, web.size, web.rotation);
         });
-    };
+    }, (scaleX, scaleY) => {
+        scalePositions(webs, scaleX, scaleY);
+    });
 };
 
 /**
  * Creates a starry undeadGraveyard animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.undeadGraveyard
  * @returns {Function} Animation loop function
  */
-export const undeadGraveyard = (canvas, ctx) => {
+export const undeadGraveyard = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, graveCount } = resolveOptions(ANIMATION_OPTIONS.undeadGraveyard, options);
     const graves = [];
     const zombies = [];
     const fog = [];
 
     // Initialize graves
-    for (let i = 0; i < 15; i++) {
+    for (let i = 0; i < graveCount; i++) {
         graves.push({
-            x: Math.random() * canvas.width,
-            y: canvas.height - Math.random() * 100 - 50,
-            width: Math.random() * 30 + 20,
-            height: Math.random() * 40 + 30
+            x: random() * size.width,
+            y: size.height - random() * 100 - 50,
+            width: random() * 30 + 20,
+            height: random() * 40 + 30
         });
     }
 
     // Initialize zombies
-    for (let i = 0; i < 10; i++) {
+    for (let i = 0; i < count; i++) {
         zombies.push({
-            x: Math.random() * canvas.width,
-            y: canvas.height,
-            speed: Math.random() * 0.5 + 0.1,
-            size: Math.random() * 30 + 20
+            x: random() * size.width,
+            y: size.height,
+            speed: random() * 0.5 + 0.1,
+            size: random() * 30 + 20
         });
     }
 
     // Initialize fog
     for (let i = 0; i < 50; i++) {
         fog.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            radius: Math.random() * 100 + 50,
-            speed: Math.random() * 0.2 + 0.1
+            x: random() * size.width,
+            y: random() * size.height,
+            radius: random() * 100 + 50,
+            speed: random() * 0.2 + 0.1
         });
     }
 
-    return () => {
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
         // Dark, eerie sky
-        const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+        const gradient = ctx.createLinearGradient(0, 0, 0, size.height);
         gradient.addColorStop(0, '#0a0a1a');
         gradient.addColorStop(1, '#1a0a1a');
         ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Moon
         ctx.beginPath();
-        ctx.arc(canvas.width * 0.8, canvas.height * 0.2, 40, 0, Math.PI * 2);
+        ctx.arc(size.width * 0.8, size.height * 0.2, 40, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(255, 255, 200, 0.8)';
         ctx.fill();
 
@@ -1753,10 +2178,10 @@ export const undeadGraveyard = (canvas, ctx) => {
             ctx.fillStyle = '#3a5';
             ctx.fill();
 
-            zombie.y -= zombie.speed;
-            if (zombie.y < canvas.height * 0.7) {
-                zombie.y = canvas.height;
-                zombie.x = Math.random() * canvas.width;
+            zombie.y -= zombie.speed * step;
+            if (zombie.y < size.height * 0.7) {
+                zombie.y = size.height;
+                zombie.x = random() * size.width;
             }
         });
 
@@ -1767,35 +2192,48 @@ export const undeadGraveyard = (canvas, ctx) => {
             ctx.arc(particle.x, particle.y, particle.radius, 0, Math.PI * 2);
             ctx.fill();
 
-            particle.x += particle.speed;
-            if (particle.x > canvas.width + particle.radius) {
+            particle.x += particle.speed * step;
+            if (particle.x > size.width + particle.radius) {
                 particle.x = -particle.radius;
             }
         });
-    };
+    }, (scaleX, scaleY, previous) => {
+        // Graves and zombies are anchored to the bottom edge
+        const deltaHeight = size.height - previous.height;
+        [...graves, ...zombies].forEach(item => {
+            item.x *= scaleX;
+            item.y += deltaHeight;
+        });
+        scalePositions(fog, scaleX, scaleY);
+    });
 };
 /**
  * Creates a starry bloodRain animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.bloodRain
  * @returns {Function} Animation loop function
  */
-export const bloodRain = (canvas, ctx) => {
+export const bloodRain = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed } = resolveOptions(ANIMATION_OPTIONS.bloodRain, options);
     const drops = [];
     const splats = [];
 
-    for (let i = 0; i < 200; i++) {
+    for (let i = 0; i < count; i++) {
         drops.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            length: Math.random() * 20 + 10,
-            speed: Math.random() * 5 + 5
+            x: random() * size.width,
+            y: random() * size.height,
+            length: random() * 20 + 10,
+            speed: random() * 5 + 5
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(20, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(20, 0, 0, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw rain
         ctx.strokeStyle = '#800';
@@ -1806,17 +2244,17 @@ export const bloodRain = (canvas, ctx) => {
             ctx.lineTo(drop.x, drop.y + drop.length);
             ctx.stroke();
 
-            drop.y += drop.speed;
+            drop.y += drop.speed * step;
 
-            if (drop.y > canvas.height) {
+            if (drop.y > size.height) {
                 drop.y = 0;
-                drop.x = Math.random() * canvas.width;
+                drop.x = random() * size.width;
 
                 // Create a splat
                 splats.push({
                     x: drop.x,
-                    y: canvas.height,
-                    size: Math.random() * 5 + 2,
+                    y: size.height,
+                    size: random() * 5 + 2,
                     opacity: 1
                 });
             }
@@ -1829,43 +2267,55 @@ export const bloodRain = (canvas, ctx) => {
             ctx.fillStyle = `rgba(128, 0, 0, ${splat.opacity})`;
             ctx.fill();
 
-            splat.opacity -= 0.005;
+            splat.opacity -= 0.005 * step;
             if (splat.opacity <= 0) {
                 splats.splice(index, 1);
             }
         });
-    };
+    }, (scaleX, scaleY, previous) => {
+        scalePositions(drops, scaleX, scaleY);
+        const deltaHeight = size.height - previous.height;
+        splats.forEach(splat => {
+            splat.x *= scaleX;
+            splat.y += deltaHeight;
+        });
+    });
 };
 /**
  * Creates a starry creepyCrawlies animation
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} [options] - Animation options, see ANIMATION_OPTIONS.creepyCrawlies
  * @returns {Function} Animation loop function
  */
-export const creepyCrawlies = (canvas, ctx) => {
+export const creepyCrawlies = (canvas, ctx, options = {}) => {
+    const size = getLogicalSize(canvas);
+    const random = options.random || Math.random;
+    const { count, speed, sizeRange } = resolveOptions(ANIMATION_OPTIONS.creepyCrawlies, options);
     const bugs = [];
     const webNodes = [];
 
-    for (let i = 0; i < 50; i++) {
+    for (let i = 0; i < count; i++) {
         bugs.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            size: Math.random() * 5 + 2,
-            speedX: Math.random() * 2 - 1,
-            speedY: Math.random() * 2 - 1
+            x: random() * size.width,
+            y: random() * size.height,
+            size: randomInRange(sizeRange, random),
+            speedX: random() * 2 - 1,
+            speedY: random() * 2 - 1
         });
     }
 
     for (let i = 0; i < 20; i++) {
         webNodes.push({
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height
+            x: random() * size.width,
+            y: random() * size.height
         });
     }
 
-    return () => {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return withResize(size, (frameInfo) => {
+        const step = speed * getTimeStep(frameInfo);
+        ctx.fillStyle = `rgba(0, 0, 0, ${getFadeAlpha(0.1, getTimeStep(frameInfo))})`;
+        ctx.fillRect(0, 0, size.width, size.height);
 
         // Draw web
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
@@ -1885,17 +2335,60 @@ export const creepyCrawlies = (canvas, ctx) => {
             ctx.arc(bug.x, bug.y, bug.size, 0, Math.PI * 2);
             ctx.fill();
 
-            bug.x += bug.speedX;
-            bug.y += bug.speedY;
+            bug.x += bug.speedX * step;
+            bug.y += bug.speedY * step;
 
-            if (bug.x < 0 || bug.x > canvas.width) bug.speedX *= -1;
-            if (bug.y < 0 || bug.y > canvas.height) bug.speedY *= -1;
+            if (bug.x < 0 || bug.x > size.width) bug.speedX *= -1;
+            if (bug.y < 0 || bug.y > size.height) bug.speedY *= -1;
 
             // Occasionally change direction
-            if (Math.random() < 0.01) {
-                bug.speedX = Math.random() * 2 - 1;
-                bug.speedY = Math.random() * 2 - 1;
+            if (random() < 0.01 * step) {
+                bug.speedX = random() * 2 - 1;
+                bug.speedY = random() * 2 - 1;
             }
         });
-    };
-};
\ No newline at end of file
+    }, (scaleX, scaleY) => {
+        scalePositions([...bugs, ...webNodes], scaleX, scaleY);
+    });
+};
+const HOST_ONLY = ['resolution', 'fps'];
+const WITH_COUNT = ['count', ...HOST_ONLY];
+const WITH_COUNT_AND_EFFECTS = ['count', 'effects', ...HOST_ONLY];
+
+/**
+ * Quality knobs each animation responds to, for hosts that trade quality for
+ * frame rate (see {@link createQualityLadder}). 'count' scales the count option,
+ * 'effects' sets options.reducedDetail; every animation supports the host-side
+ * 'resolution' and 'fps' knobs.
+ */
+export const QUALITY_KNOBS = {
+    starryNight: WITH_COUNT_AND_EFFECTS,
+    floatingBubbles: WITH_COUNT_AND_EFFECTS,
+    gradientWave: HOST_ONLY,
+    particleNetwork: WITH_COUNT_AND_EFFECTS,
+    galaxySpiral: WITH_COUNT,
+    rainbowWaves: HOST_ONLY,
+    auroraBorealis: HOST_ONLY,
+    neonPulse: WITH_COUNT,
+    cosmicDust: WITH_COUNT,
+    electricStorm: HOST_ONLY,
+    quantumField: WITH_COUNT_AND_EFFECTS,
+    geometricShapes: WITH_COUNT,
+    fireflies: WITH_COUNT,
+    matrixRain: HOST_ONLY,
+    dnaHelix: HOST_ONLY,
+    neuralNetwork: WITH_COUNT_AND_EFFECTS,
+    oceanWaves: HOST_ONLY,
+    snowFall: WITH_COUNT,
+    fireflyForest: WITH_COUNT_AND_EFFECTS,
+    realisticClouds: WITH_COUNT,
+    autumnLeaves: WITH_COUNT,
+    realisticRain: WITH_COUNT,
+    fallingFoodFiesta: WITH_COUNT,
+    hauntedForest: WITH_COUNT,
+    ghostlyApparitions: WITH_COUNT,
+    spiderwebOverlay: WITH_COUNT,
+    undeadGraveyard: WITH_COUNT,
+    bloodRain: WITH_COUNT,
+    creepyCrawlies: WITH_COUNT
+};
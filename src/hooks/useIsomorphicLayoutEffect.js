@@ -0,0 +1,14 @@
+/**
+ * @fileoverview useLayoutEffect in the browser, useEffect on the server
+ * @module useIsomorphicLayoutEffect
+ * @requires react
+ */
+
+import { useEffect, useLayoutEffect } from 'react';
+
+/**
+ * Run an effect after mounting but before the browser paints, so state it sets is
+ * part of the first paint without changing the markup the server rendered. On the
+ * server, where effects never run, it is useEffect, which React doesn't warn about.
+ */
+export const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
@@ -17,12 +17,16 @@ import { useState, useEffect, useRef, useCallback } from 'react';
  */
 
 /**
- * Enhanced performance monitoring hook with advanced analytics
+ * Enhanced performance monitoring hook with advanced analytics. Browser APIs are
+ * only read in effects, so the hook is safe to render on the server.
  * @param {Object} options - Configuration options
+ * @param {boolean} [options.enabled=true] - Set to false to skip all monitoring, so components
+ *   can call the hook unconditionally and still turn monitoring off
  * @returns {Object} Performance metrics and controls
  */
 export const usePerformanceMonitor = (options = {}) => {
   const {
+    enabled = true,
     sampleSize = 60,
     warningThreshold = 30,
     autoOptimize = false,
@@ -53,12 +57,19 @@ export const usePerformanceMonitor = (options = {}) => {
   });
 
   const frameTimesRef = useRef([]);
-  const lastFrameTimeRef = useRef(performance.now());
+  // Set on mount; performance.now() is not read during render
+  const lastFrameTimeRef = useRef(0);
   const gpuInfoRef = useRef(null);
   const memoryObserverRef = useRef(null);
 
+  useEffect(() => {
+    lastFrameTimeRef.current = performance.now();
+  }, []);
+
   // Initialize device information
   useEffect(() => {
+    if (!enabled) return;
+
     const getDeviceInfo = async () => {
       const deviceInfo = {
         cores: navigator.hardwareConcurrency || 'unknown',
@@ -101,11 +112,11 @@ export const usePerformanceMonitor = (options = {}) => {
     };
 
     getDeviceInfo();
-  }, [enableGPUMonitoring]);
+  }, [enabled, enableGPUMonitoring]);
 
   // Battery monitoring
   useEffect(() => {
-    if (!enableBatteryMonitoring || !('getBattery' in navigator)) return;
+    if (!enabled || !enableBatteryMonitoring || !('getBattery' in navigator)) return;
 
     navigator.getBattery().then(battery => {
       const updateBatteryInfo = () => {
@@ -125,11 +136,11 @@ export const usePerformanceMonitor = (options = {}) => {
         battery.removeEventListener('chargingchange', updateBatteryInfo);
       };
     });
-  }, [enableBatteryMonitoring]);
+  }, [enabled, enableBatteryMonitoring]);
 
   // Memory monitoring
   useEffect(() => {
-    if (!enableMemoryMonitoring || !performance.memory) return;
+    if (!enabled || !enableMemoryMonitoring || !performance.memory) return;
 
     const updateMemoryInfo = () => {
       const memInfo = performance.memory;
@@ -149,7 +160,7 @@ export const usePerformanceMonitor = (options = {}) => {
     updateMemoryInfo();
     const interval = setInterval(updateMemoryInfo, 1000);
     return () => clearInterval(interval);
-  }, [enableMemoryMonitoring]);
+  }, [enabled, enableMemoryMonitoring]);
 
   const recordFrame = useCallback(() => {
     const now = performance.now();
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Hook for the user's prefers-reduced-motion setting
+ * @module useReducedMotion
+ * @requires react
+ */
+
+import { useState } from 'react';
+import { prefersReducedMotion, watchReducedMotion } from '../utils/reducedMotion';
+import { useIsomorphicLayoutEffect } from './useIsomorphicLayoutEffect';
+
+/**
+ * Track whether the user prefers reduced motion. Updates live when the system
+ * setting changes. The first render returns false, as on the server, so hydration
+ * matches; the setting is read right after mounting, before the first paint, so a
+ * reduced-motion user never sees a frame of full motion.
+ * @returns {boolean} True when prefers-reduced-motion is 'reduce'
+ * @example
+ * const reduceMotion = useReducedMotion();
+ * <AnimatedBackground reducedMotion={reduceMotion ? 'slow' : 'ignore'} />
+ */
+export const useReducedMotion = () => {
+  const [reduced, setReduced] = useState(false);
+
+  useIsomorphicLayoutEffect(() => {
+    setReduced(prefersReducedMotion());
+    return watchReducedMotion(setReduced);
+  }, []);
+
+  return reduced;
+};
@@ -1,4 +1,4 @@
-import React, { useRef, useEffect, useCallback, useMemo } from 'react';
+import React, { useRef, useEffect, useCallback, useState, useImperativeHandle } from 'react';
 import {
     starryNight, floatingBubbles,
     gradientWave, particleNetwork, galaxySpiral,
@@ -13,15 +13,47 @@ import {
     undeadGraveyard,
     bloodRain,
     creepyCrawlies,
+    QUALITY_KNOBS,
 } from './backgroundAnimations';
+import {
+    registerAnimation, unregisterAnimation, listAnimations,
+    getAnimation, getAnimationMetadata, hasAnimation, validateAnimationOptions
+} from './animationRegistry';
+import { ANIMATION_OPTIONS } from './animationOptions';
 import AnimatedText from './AnimatedText';
 import LayeredBackground from './LayeredBackground';
 
 // Import new features
 import { useAnimationControls } from './hooks/useAnimationControls';
 import { usePerformanceMonitor } from './hooks/usePerformanceMonitor';
+import { useReducedMotion } from './hooks/useReducedMotion';
+import { useIsomorphicLayoutEffect } from './hooks/useIsomorphicLayoutEffect';
 import { createInteractionHandler, GestureRecognizer } from './utils/interactionUtils';
 import { ThemeManager, themeManager, COLOR_SCHEMES, THEMES } from './utils/themeSystem';
+import { AudioAnalyzer, AudioReactiveEffects, audioReactiveEffects } from './utils/audioUtils';
+import { createRandom } from './utils/random';
+import { createFrameClock } from './utils/frameClock';
+import { frameScheduler, createFrameScheduler, FRAME_PRIORITY } from './utils/frameScheduler';
+import { resolveMotionMode, drawPosterFrame, SLOW_MOTION_SPEED } from './utils/reducedMotion';
+import { observeVisibility } from './utils/visibility';
+import { resolveTransition, createTransition, TRANSITION_TYPES } from './utils/transitions';
+import {
+    getFallbackChain, setupFromChain, reportAnimationError, STATIC_COLOR, DEFAULT_MAX_CONSECUTIVE_ERRORS
+} from './utils/fallbackChain';
+import { createQualityLadder, applyQualityToOptions, FULL_QUALITY, HOST_QUALITY_KNOBS } from './utils/qualityLadder';
+import { resolveSnapshotOptions, snapshotCanvas } from './utils/snapshot';
+import {
+    resolvePosterFrame, getPosterKey, readPoster, storePoster, getPosterBackground
+} from './utils/posterFrame';
+import { renderFrames } from './utils/renderFrames';
+import { exportGif, exportPngSequence } from './utils/animationExport';
+import { encodeGif, createThemePalette } from './utils/gifEncoder';
+import { encodePng } from './utils/pngEncoder';
+import { supportsWorkerRendering, getWorkerRenderer, exposeAnimationWorker } from './utils/workerRenderer';
+import {
+    getCanvasSize, observeCanvasSize, getCanvasStyle,
+    resolvePixelRatio, setCanvasResolution, getLogicalSize
+} from './utils/canvasUtils';
 
 /**
  * @fileoverview Animated Backgrounds v2.0 - Main entry point
@@ -65,15 +97,61 @@ import { ThemeManager, themeManager, COLOR_SCHEMES, THEMES } from './utils/theme
  * @property {Function} toggle - Toggle play/pause state
  */
 
+/**
+ * @typedef {Object} AnimatedBackgroundHandle
+ * @property {Function} play - Resume after pause(); animationControls can still hold the animation paused
+ * @property {Function} pause - Pause the animation
+ * @property {Function} step - step(n = 1): draw n frames at the fps prop's frame duration, e.g. while paused
+ * @property {Function} reset - Recreate the animation from scratch (with a seed, the same initial scene)
+ * @property {Function} snapshot - snapshot({ type = 'image/png', quality, scale }): resolve to a Blob of the current
+ *   frame; type may be 'image/png', 'image/webp' or 'image/jpeg', scale is in pixels per CSS pixel (the canvas'
+ *   own resolution when not set). snapshot(type, quality) works too
+ * @property {Function} setOptions - setOptions(options): merge options over the options prop and rebuild the animation
+ * @property {Function} getStats - Get {time, frame, fps, isPlaying, width, height, pixelRatio, renderIn, motion,
+ *   quality}, quality being the adaptive quality tier (0 at full quality)
+ * @property {Function} getCanvas - Get the canvas element
+ */
+
 /**
  * Main AnimatedBackground component that renders stunning animated backgrounds
  * with support for themes, interactions, performance monitoring, and controls.
  * 
  * @component
  * @param {Object} props - Component props
- * @param {string} [props.animationName='geometricShapes'] - Name of the animation to display
- * @param {string} [props.fallbackAnimation='geometricShapes'] - Fallback animation if main animation fails
- * @param {number} [props.fps=60] - Target frames per second
+ * @param {string} [props.animationName='geometricShapes'] - Name of a built-in or registered animation
+ * @param {string|Array<string>} [props.fallbackAnimation='geometricShapes'] - Animation, or animations in order,
+ *   used when the main animation is unknown or keeps throwing. 'static-color' fills the canvas with the theme's
+ *   background color and ends the chain; it is tried last when every other animation fails
+ * @param {Function} [props.onError] - onError(error, { animationName, phase }) is called when an animation throws
+ *   during 'setup', 'frame' or 'resize'. Without it errors are logged to the console
+ * @param {number} [props.maxConsecutiveErrors=3] - Failed frames in a row after which the animation is replaced
+ *   by the next one in the fallback chain
+ * @param {'auto'|string|false} [props.placeholder='auto'] - CSS background shown until the first frame is drawn,
+ *   including in server-rendered markup. 'auto' uses the theme's gradient (a dark color without a theme);
+ *   false shows nothing
+ * @param {import('./utils/posterFrame').PosterFrameConfig|string|boolean} [props.posterFrame] - Still shown as
+ *   the canvas background until the first frame is drawn. An image URL is used as is, including in
+ *   server-rendered markup. true or a config ({ time, type, quality, scale, persist }) shows the still captured
+ *   from this scene on an earlier load, or captures it at that animation time for the next one. Use with a
+ *   seed, so the still matches the scene
+ * @param {Function} [props.onReady] - onReady({ animationName, theme, renderIn }) once the first frame is drawn
+ * @param {Function} [props.onFrame] - onFrame({ time, deltaTime, fps }) after every drawn frame. With
+ *   renderIn="worker" it is called with each stats report from the worker instead, twice a second
+ * @param {Function} [props.onAnimationChange] - onAnimationChange(animationName, previousAnimationName) when a
+ *   different animation is set up, by changing animationName or by falling back
+ * @param {Function} [props.onThemeChange] - onThemeChange(theme, previousTheme) when the theme prop changes
+ * @param {Function} [props.onPause] - onPause({ reason }) when drawing stops; reason is 'handle' (the ref's
+ *   pause()), 'controls' (animationControls) or 'hidden' (pauseWhenHidden)
+ * @param {Function} [props.onResume] - onResume({ reason }) when drawing starts again, with the reason it stopped
+ * @param {Function} [props.onPerformanceChange] - onPerformanceChange(level) when the performance level
+ *   ('excellent', 'good', 'fair' or 'poor') changes; needs enablePerformanceMonitoring and the main thread
+ * @param {number} [props.framePriority=FRAME_PRIORITY.RENDER] - Order among everything on the shared frame
+ *   scheduler; FRAME_PRIORITY.IDLE lets other backgrounds draw first when a frame runs out of budget
+ * @param {Function} [props.onQualityChange] - onQualityChange({ tier, maxTier, reduced, settings }) when
+ *   adaptivePerformance changes the quality tier; reduced lists the knobs turned down
+ * @param {Object} [props.options] - Animation options such as count, speed or colors; see ANIMATION_OPTIONS
+ *   for what each built-in animation supports. Invalid options are reported and ignored
+ * @param {number} [props.fps=60] - Maximum frames per second; motion speed does not depend on it
  * @param {string} [props.blendMode='normal'] - Canvas blend mode for visual effects
  * @param {Object} [props.style] - Inline styles for the canvas element
  * @param {boolean} [props.interactive=false] - Enable mouse/touch interactions
@@ -82,8 +160,30 @@ import { ThemeManager, themeManager, COLOR_SCHEMES, THEMES } from './utils/theme
  * @param {string} [props.preset] - Preset configuration name
  * @param {AnimationControls} [props.animationControls] - External animation controls
  * @param {boolean} [props.enablePerformanceMonitoring=false] - Enable real-time performance tracking
- * @param {boolean} [props.adaptivePerformance=false] - Auto-optimize based on device performance
+ * @param {boolean} [props.adaptivePerformance=false] - Lower quality step by step while the measured frame rate
+ *   stays below fps, and raise it again once there is headroom: fewer entities, no glow or connection lines,
+ *   half resolution, then 30fps, as far as the animation supports each (see QUALITY_KNOBS)
  * @param {string} [props.className] - Additional CSS classes
+ * @param {'fullscreen'|'contained'} [props.mode='fullscreen'] - 'fullscreen' covers the viewport,
+ *   'contained' fills the parent element and follows its size (the parent should be positioned)
+ * @param {'auto'|number} [props.pixelRatio='auto'] - Backing store pixels per CSS pixel; 'auto' uses devicePixelRatio
+ * @param {number} [props.maxPixelRatio=2] - Upper bound for the pixel ratio, to limit fill cost on very dense screens
+ * @param {number|string} [props.seed] - Seed for the animation's randomness; the same seed renders the
+ *   same scene every time (e.g. for screenshots and visual regression tests)
+ * @param {'main'|'worker'} [props.renderIn='main'] - Where the animation is drawn. 'worker' transfers
+ *   the canvas to a Web Worker (OffscreenCanvas), keeping heavy scenes off the main thread; falls back
+ *   to 'main' where OffscreenCanvas is not supported
+ * @param {string|URL|Function} [props.worker] - Worker script for renderIn="worker", such as the
+ *   package's dist/animationWorker.js, or a function that returns a Worker. Read once, when the canvas mounts
+ * @param {'auto'|'static'|'slow'|'ignore'} [props.reducedMotion='auto'] - How to honor prefers-reduced-motion.
+ *   'auto' shows a still frame while the user prefers reduced motion, 'static' always shows a still frame,
+ *   'slow' always runs at a quarter speed without flashing effects, 'ignore' always animates
+ * @param {boolean} [props.pauseWhenHidden=true] - Stop drawing while the canvas is scrolled out of view or
+ *   the tab is hidden; the animation resumes where it left off
+ * @param {TransitionConfig|string} [props.transition] - How to change scenes when animationName changes,
+ *   e.g. { type: 'crossfade', duration: 1500 }. Without it the new animation replaces the old one at once
+ * 
+ * @param {React.Ref<AnimatedBackgroundHandle>} [ref] - Receives an imperative handle for code outside React
  * 
  * @returns {JSX.Element} Animated background canvas element
  * 
@@ -135,12 +235,58 @@ import { ThemeManager, themeManager, COLOR_SCHEMES, THEMES } from './utils/theme
  *   fps={30}
  * />
  * 
+ * @example
+ * // Tuned animation options
+ * <AnimatedBackground
+ *   animationName="starryNight"
+ *   options={{ count: 300, speed: 0.5, colors: ['#ffffff', '#a5b4fc'] }}
+ * />
+ * 
+ * @example
+ * // Drawn in a worker, with the worker script bundled by webpack 5 or Vite
+ * <AnimatedBackground
+ *   animationName="galaxySpiral"
+ *   renderIn="worker"
+ *   worker={() => new Worker(new URL('animated-backgrounds/dist/animationWorker.js', import.meta.url))}
+ * />
+ * 
+ * @example
+ * // Driven imperatively, e.g. from keyboard shortcuts
+ * const background = useRef(null);
+ * useEffect(() => {
+ *   const onKey = (event) => {
+ *     if (event.key === 'p') background.current.pause();
+ *     if (event.key === 'n') background.current.step();
+ *   };
+ *   window.addEventListener('keydown', onKey);
+ *   return () => window.removeEventListener('keydown', onKey);
+ * }, []);
+ * <AnimatedBackground ref={background} animationName="starryNight" />
+ * 
+ * @example
+ * // Slideshow that wipes to the next scene every 10 seconds
+ * const scenes = ['starryNight', 'auroraBorealis', 'oceanWaves'];
+ * const [index, setIndex] = useState(0);
+ * useEffect(() => {
+ *   const timer = setInterval(() => setIndex(i => (i + 1) % scenes.length), 10000);
+ *   return () => clearInterval(timer);
+ * }, []);
+ * <AnimatedBackground animationName={scenes[index]} transition={{ type: 'wipe', duration: 1200 }} />
+ * 
+ * @example
+ * // Contained inside a hero section
+ * <section style={{ position: 'relative', isolation: 'isolate', height: 400 }}>
+ *   <AnimatedBackground animationName="starryNight" mode="contained" />
+ *   <h1>Welcome</h1>
+ * </section>
+ * 
  * @since 1.0.0
  * @version 2.0.0
  */
-const AnimatedBackground = React.memo(({
+const AnimatedBackground = React.memo(React.forwardRef(({
     animationName,
     fallbackAnimation = 'geometricShapes',
+    options,
     fps = 60,
     blendMode = 'normal',
     style,
@@ -150,22 +296,174 @@ const AnimatedBackground = React.memo(({
     preset,
     animationControls,
     enablePerformanceMonitoring = false,
-    adaptivePerformance = false
-}) => {
+    adaptivePerformance = false,
+    mode = 'fullscreen',
+    pixelRatio = 'auto',
+    maxPixelRatio = 2,
+    seed,
+    renderIn = 'main',
+    worker,
+    reducedMotion = 'auto',
+    pauseWhenHidden = true,
+    transition,
+    onError,
+    maxConsecutiveErrors = DEFAULT_MAX_CONSECUTIVE_ERRORS,
+    placeholder = 'auto',
+    posterFrame,
+    onReady,
+    onFrame,
+    onAnimationChange,
+    onThemeChange,
+    onPause,
+    onResume,
+    onPerformanceChange,
+    onQualityChange,
+    framePriority = FRAME_PRIORITY.RENDER
+}, ref) => {
     const canvasRef = useRef(null);
+    // Removes the frame loop from the frame scheduler while it runs
     const animationRef = useRef(null);
+    // Current animation frame function; replaced on setup, kept across resizes
+    const frameRef = useRef(null);
     const interactionHandlerRef = useRef(null);
+    // Read by the loop on every frame, so play/pause and speed changes don't restart the animation
+    const controlsRef = useRef(animationControls);
+    controlsRef.current = animationControls;
+    // The transition prop is read when the scene changes; the running transition and the scene it started from
+    const transitionPropRef = useRef(transition);
+    transitionPropRef.current = transition;
+    const transitionRef = useRef(null);
+    const sceneRef = useRef(null);
+    // Error isolation: position in the fallback chain, the animation drawn from it and failed frames in a row
+    const errorHandlingRef = useRef(null);
+    errorHandlingRef.current = { onError, maxConsecutiveErrors };
+    const chainIndexRef = useRef(0);
+    const activeAnimationRef = useRef(null);
+    const failuresRef = useRef(0);
+    // Event callbacks are read when an event happens, so new functions on every render don't restart anything
+    const callbacksRef = useRef(null);
+    callbacksRef.current = {
+        onReady, onFrame, onAnimationChange, onThemeChange, onPause, onResume, onPerformanceChange, onQualityChange
+    };
+    // Why drawing is stopped ('handle', 'controls' or 'hidden'), or null while it runs
+    const pauseReasonRef = useRef(null);
+    const hiddenRef = useRef(false);
+    const previousThemeRef = useRef(theme);
+    const previousPerformanceLevelRef = useRef(null);
+    // Adaptive quality: the tier the ladder chose, null at full quality without adaptivePerformance
+    const qualityRef = useRef(null);
+    // Imperative handle state: pause() and setOptions() overrides
+    const pausedRef = useRef(false);
+    const clockRef = useRef(null);
+    const [optionsOverride, setOptionsOverride] = useState({});
+    // The placeholder background is removed once the animation has drawn
+    const [hasDrawn, setHasDrawn] = useState(false);
+    const hasDrawnRef = useRef(false);
+    // Options are usually passed as an object literal; compare them by value
+    const optionsKey = JSON.stringify({ ...options, ...optionsOverride });
+    // Poster frame: a still cached on an earlier load, and the capture still to take on this one
+    const posterConfig = resolvePosterFrame(posterFrame);
+    const posterFrameKey = JSON.stringify(posterConfig);
+    const getScenePosterKey = ({ width, height }) => {
+        const { time, persist, ...snapshot } = posterConfig;
+        return getPosterKey({
+            animationName,
+            options: JSON.parse(optionsKey),
+            seed,
+            theme,
+            width: Math.round(width),
+            height: Math.round(height),
+            time,
+            ...snapshot
+        });
+    };
+    const [cachedPoster, setCachedPoster] = useState(null);
+    const posterCaptureRef = useRef(null);
+    const interactionConfigKey = JSON.stringify(interactionConfig);
+    const fallbackChainKey = JSON.stringify(getFallbackChain(animationName, fallbackAnimation));
+    // Worker rendering: the canvas is drawn by a worker and only forwards size, controls and input
+    const inWorker = renderIn === 'worker' && Boolean(worker) && supportsWorkerRendering();
+    const workerRef = useRef(worker);
+    const workerRendererRef = useRef(null);
+    // 'full', 'static' or 'slow'; follows the system setting live
+    const motion = resolveMotionMode(reducedMotion, useReducedMotion());
     
     // Initialize performance monitoring if enabled
-    const performanceMonitor = enablePerformanceMonitoring ? usePerformanceMonitor() : null;
+    // Hooks can't be called conditionally; a disabled monitor doesn't measure anything
+    const monitor = usePerformanceMonitor({ enabled: enablePerformanceMonitoring });
+    const performanceMonitor = enablePerformanceMonitoring ? monitor : null;
+
+    /**
+     * Call an event callback prop, if it is set
+     * @param {string} name - Prop name, e.g. 'onFrame'
+     * @param {...*} args - Callback arguments
+     */
+    const emit = (name, ...args) => {
+        const callback = callbacksRef.current[name];
+        if (typeof callback === 'function') {
+            callback(...args);
+        }
+    };
+
+    /**
+     * Record the animation that is now drawn, reporting changes
+     * @param {string} name - Animation name, possibly a fallback
+     */
+    const setActiveAnimation = (name) => {
+        const previous = activeAnimationRef.current;
+        activeAnimationRef.current = name;
+        if (previous && previous !== name) {
+            emit('onAnimationChange', name, previous);
+        }
+    };
+
+    const getQualitySettings = () => (qualityRef.current ? qualityRef.current.settings : FULL_QUALITY);
+
+    // Lower quality tiers draw fewer backing store pixels
+    const getPixelRatio = () => resolvePixelRatio(pixelRatio, maxPixelRatio) * getQualitySettings().resolutionScale;
+
+    const getPauseReason = () => {
+        const controls = controlsRef.current;
+        if (pausedRef.current) return 'handle';
+        if (controls && !controls.isPlaying) return 'controls';
+        if (hiddenRef.current) return 'hidden';
+        return null;
+    };
+
+    /**
+     * Record whether drawing is stopped, firing onPause and onResume on changes
+     * @param {string|null} reason - Why drawing is stopped, or null while it runs
+     */
+    const updatePlayback = (reason) => {
+        const previous = pauseReasonRef.current;
+        pauseReasonRef.current = reason;
+        if (reason && !previous) {
+            emit('onPause', { reason });
+        } else if (!reason && previous) {
+            emit('onResume', { reason: previous });
+        }
+    };
     
     // Apply theme if specified
     useEffect(() => {
         if (theme) {
             themeManager.applyTheme(theme);
         }
+        if (theme !== previousThemeRef.current) {
+            emit('onThemeChange', theme, previousThemeRef.current);
+            previousThemeRef.current = theme;
+        }
     }, [theme]);
 
+    const performanceLevel = performanceMonitor ? performanceMonitor.performanceLevel : null;
+    useEffect(() => {
+        const previous = previousPerformanceLevelRef.current;
+        if (performanceLevel && previous && performanceLevel !== previous) {
+            emit('onPerformanceChange', performanceLevel);
+        }
+        previousPerformanceLevelRef.current = performanceLevel;
+    }, [performanceLevel]);
+
     const blendModes = [
         'normal',
         'multiply',
@@ -184,38 +482,21 @@ const AnimatedBackground = React.memo(({
         'color',
         'luminosity'
     ];
+    const resolvedBlendMode = blendModes.includes(blendMode) ? blendMode : 'normal';
 
-    // Memoize animations object to prevent recreation
-    const animations = useMemo(() => ({
-        starryNight, floatingBubbles, gradientWave, particleNetwork, galaxySpiral,
-        rainbowWaves, geometricShapes, fireflies, matrixRain, quantumField,
-        electricStorm, cosmicDust, neonPulse, auroraBorealis, oceanWaves,
-        neuralNetwork, dnaHelix, snowFall, realisticRain, realisticClouds,
-        fireflyForest, autumnLeaves, fallingFoodFiesta, hauntedForest,
-        ghostlyApparitions,
-        spiderwebOverlay,
-        undeadGraveyard,
-        bloodRain,
-        creepyCrawlies,
-    }), []);
-
-    const setupCanvas = useCallback(() => {
+    /**
+     * Size the canvas and create the first working animation of the fallback chain
+     * @param {number} [startIndex=0] - Fallback chain position to start at
+     * @returns {Function} Frame function
+     */
+    const setupCanvas = useCallback((startIndex = 0) => {
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
+        const { width, height } = getCanvasSize(canvas, mode);
+        setCanvasResolution(canvas, ctx, width, height, getPixelRatio());
 
         // Set blend mode
-        ctx.globalCompositeOperation = blendModes.includes(blendMode)
-            ? blendMode
-            : 'normal';
-
-        let animation = animations[animationName];
-
-        if (!animation) {
-            console.warn(`Animation "${animationName}" not found. Using fallback animation.`);
-            animation = animations[fallbackAnimation] || animations.geometricShapes;
-        }
+        ctx.globalCompositeOperation = resolvedBlendMode;
 
         // Setup interaction handler if interactive mode is enabled
         if (interactive && !interactionHandlerRef.current) {
@@ -223,103 +504,573 @@ const AnimatedBackground = React.memo(({
             interactionHandlerRef.current.attachListeners();
         }
 
-        // Get theme-specific settings if available
-        const themeSettings = theme ? themeManager.getAnimationSettings(animationName) : {};
-        
-        return animation(canvas, ctx, {
-            themeManager: theme ? themeManager : null,
-            interactionHandler: interactionHandlerRef.current,
-            performanceMonitor,
-            adaptivePerformance,
-            ...themeSettings
+        const { frame, index, animationName: activeAnimation } = setupFromChain({
+            chain: JSON.parse(fallbackChainKey),
+            startIndex,
+            canvas,
+            ctx,
+            color: themeManager.getBackgroundColor(1),
+            onError: errorHandlingRef.current.onError,
+            getOptions: (name, chainIndex) => {
+                // Options are meant for the requested animation; fallbacks use their defaults
+                let animationOptions = {};
+                if (chainIndex === 0) {
+                    const { options: validOptions, errors } = validateAnimationOptions(name, JSON.parse(optionsKey));
+                    if (errors.length > 0) {
+                        console.warn(`Invalid options for animation "${name}":\n  ${errors.join('\n  ')}`);
+                    }
+                    animationOptions = validOptions;
+                }
+
+                // Get theme-specific settings if available
+                const themeSettings = theme ? themeManager.getAnimationSettings(name) : {};
+                const { optionsSchema } = getAnimationMetadata(name);
+
+                return applyQualityToOptions({
+                    themeManager: theme ? themeManager : null,
+                    interactionHandler: interactionHandlerRef.current,
+                    performanceMonitor,
+                    adaptivePerformance,
+                    // A fresh generator per setup, so rebuilding the animation reproduces the same scene
+                    random: seed !== undefined ? createRandom(seed) : undefined,
+                    reducedMotion: motion !== 'full',
+                    ...themeSettings,
+                    ...animationOptions
+                }, getQualitySettings(), optionsSchema);
+            }
         });
-    }, [animationName, fallbackAnimation, blendMode, interactive, theme, animations]);
+
+        chainIndexRef.current = index;
+        setActiveAnimation(activeAnimation);
+        failuresRef.current = 0;
+        return frame;
+    }, [fallbackChainKey, optionsKey, resolvedBlendMode, interactive, theme, mode, pixelRatio, maxPixelRatio, seed, motion]);
+
+    useEffect(() => {
+        if (renderIn === 'worker' && !inWorker) {
+            console.warn(worker
+                ? 'renderIn="worker" needs Web Worker and OffscreenCanvas support. Rendering on the main thread.'
+                : 'renderIn="worker" needs a worker script (the worker prop). Rendering on the main thread.');
+        }
+    }, [renderIn, inWorker]);
+
+    const markDrawn = () => {
+        if (!hasDrawnRef.current) {
+            hasDrawnRef.current = true;
+            setHasDrawn(true);
+            emit('onReady', {
+                animationName: activeAnimationRef.current || animationName,
+                theme,
+                renderIn: inWorker ? 'worker' : 'main'
+            });
+        }
+    };
+
+    /**
+     * Count a failed frame, moving on to the next animation in the fallback chain
+     * once the current one has failed too often in a row
+     * @param {Error} error - What the frame function threw
+     */
+    const handleFrameError = (error) => {
+        const { onError: reportTo, maxConsecutiveErrors: maxErrors } = errorHandlingRef.current;
+        // The outgoing scene may be the one failing; cut to the new one
+        transitionRef.current = null;
+        reportAnimationError(reportTo, error, { animationName: activeAnimationRef.current, phase: 'frame' });
+
+        failuresRef.current += 1;
+        if (failuresRef.current >= maxErrors && activeAnimationRef.current !== STATIC_COLOR) {
+            frameRef.current = setupCanvas(chainIndexRef.current + 1);
+        }
+    };
+
+    /**
+     * Draw one frame, compositing the outgoing scene while a transition runs. Errors
+     * thrown by the animation are caught, so they can't stop the frame loop
+     * @param {FrameInfo} frameInfo - Frame to draw
+     * @param {number} [playbackSpeed=1] - Speed the frame's time was scaled by; transitions last their real duration
+     */
+    const drawFrame = (frameInfo, playbackSpeed = 1) => {
+        try {
+            const runningTransition = transitionRef.current;
+            if (!runningTransition) {
+                frameRef.current(frameInfo);
+            } else if (runningTransition.render(frameRef.current, frameInfo, frameInfo.deltaTime / playbackSpeed)) {
+                transitionRef.current = null;
+            }
+            failuresRef.current = 0;
+            markDrawn();
+        } catch (error) {
+            handleFrameError(error);
+        }
+    };
+
+    /**
+     * Stop a running transition, leaving only the current scene on the canvas
+     */
+    const endTransition = () => {
+        if (transitionRef.current) {
+            transitionRef.current.finish(frameRef.current);
+            transitionRef.current = null;
+        }
+    };
+
+    /**
+     * Size the canvas backing store, keeping the running scene when the animation
+     * can resize itself and rebuilding it otherwise
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    const resizeCanvas = (width, height) => {
+        const canvas = canvasRef.current;
+        // Resizing clears both scenes' pixels; cut to the new scene
+        transitionRef.current = null;
+        const ctx = canvas.getContext('2d');
+        setCanvasResolution(canvas, ctx, width, height, getPixelRatio());
+        // Resizing resets the context state, including the blend mode
+        ctx.globalCompositeOperation = resolvedBlendMode;
+
+        const frame = frameRef.current;
+        let keepScene = false;
+        try {
+            keepScene = Boolean(frame) && typeof frame.resize === 'function' && frame.resize(width, height) !== false;
+        } catch (error) {
+            reportAnimationError(errorHandlingRef.current.onError, error, {
+                animationName: activeAnimationRef.current,
+                phase: 'resize'
+            });
+        }
+        if (!keepScene) {
+            frameRef.current = setupCanvas(chainIndexRef.current);
+        }
+    };
+
+    /**
+     * Apply a quality tier chosen by the adaptive quality ladder
+     * @param {import('./utils/qualityLadder').QualityState} quality - New tier and its settings
+     * @param {Object} clock - Frame clock of the running loop
+     */
+    const applyQuality = (quality, clock) => {
+        const previous = getQualitySettings();
+        const { settings } = quality;
+        qualityRef.current = quality;
+
+        if (settings.countScale !== previous.countScale || settings.reducedDetail !== previous.reducedDetail) {
+            // Animations read their count and detail level when they are created
+            frameRef.current = setupCanvas(chainIndexRef.current);
+        } else if (settings.resolutionScale !== previous.resolutionScale) {
+            const { width, height } = getLogicalSize(canvasRef.current);
+            resizeCanvas(width, height);
+        }
+        clock.setFps(Math.min(fps, settings.maxFps));
+        emit('onQualityChange', quality);
+    };
+
+    /**
+     * Encode the frame currently on the canvas
+     * @param {import('./utils/snapshot').SnapshotOptions} settings - Resolved snapshot options
+     * @returns {Promise<Blob>} Encoded image
+     */
+    const takeSnapshot = (settings) => {
+        const canvas = canvasRef.current;
+        if (!canvas) {
+            return Promise.reject(new Error('AnimatedBackground is not mounted'));
+        }
+        return inWorker ? workerRendererRef.current.snapshot(settings) : snapshotCanvas(canvas, settings);
+    };
+
+    /**
+     * Capture the poster frame once the animation has reached its time
+     * @param {number} time - Animation time of the latest frame
+     */
+    const capturePoster = (time) => {
+        const pending = posterCaptureRef.current;
+        if (!pending || time < pending.time) return;
+
+        posterCaptureRef.current = null;
+        takeSnapshot(pending.snapshot)
+            .then(blob => storePoster(pending.key, blob, pending.persist))
+            .catch(error => console.warn('The poster frame could not be captured:', error));
+    };
+
+    // Poster frame: show the still cached for this scene, or capture it for the next load.
+    // Read after mounting, so hydration matches the server markup, but before the first paint.
+    useIsomorphicLayoutEffect(() => {
+        const config = JSON.parse(posterFrameKey);
+        posterCaptureRef.current = null;
+        if (!config || config.url) return;
+
+        const { time, persist, ...snapshot } = config;
+        const key = getScenePosterKey(getCanvasSize(canvasRef.current, mode));
+
+        const cached = readPoster(key);
+        if (cached) {
+            setCachedPoster(cached);
+        } else {
+            posterCaptureRef.current = { key, time, persist, snapshot };
+        }
+    }, [posterFrameKey, animationName, optionsKey, seed, theme, mode]);
 
     // Animation setup effect - only runs when animation or setup changes
     useEffect(() => {
-        const animation = setupCanvas();
-        let lastTime = 0;
-        const frameInterval = 1000 / fps;
+        if (inWorker) return undefined;
+
+        // Changing scenes keeps the outgoing animation running until the transition is over
+        endTransition();
+        const transitionConfig = resolveTransition(transitionPropRef.current, motion);
+        if (transitionConfig && frameRef.current && sceneRef.current !== animationName) {
+            transitionRef.current = createTransition(
+                canvasRef.current,
+                frameRef.current,
+                transitionConfig,
+                seed !== undefined ? createRandom(`${seed}:transition`) : undefined
+            );
+        }
+
+        // Every scene starts at full quality; the ladder works with the knobs of the animation it was created for
+        const previousQuality = qualityRef.current;
+        qualityRef.current = null;
+        frameRef.current = setupCanvas();
+        sceneRef.current = animationName;
+        const clock = createFrameClock({ fps });
+        clockRef.current = clock;
+
+        let ladder = null;
+        if (adaptivePerformance && motion !== 'static') {
+            const metadata = getAnimationMetadata(activeAnimationRef.current);
+            ladder = createQualityLadder({
+                knobs: metadata ? metadata.qualityKnobs : HOST_QUALITY_KNOBS,
+                fps,
+                onChange: quality => applyQuality(quality, clock)
+            });
+            qualityRef.current = ladder.getState();
+        }
+        if (previousQuality && previousQuality.tier > 0) {
+            emit('onQualityChange', ladder
+                ? ladder.getState()
+                : { tier: 0, maxTier: 0, reduced: [], settings: FULL_QUALITY });
+        }
+
+        if (motion === 'static') {
+            drawPosterFrame(drawFrame);
+            return undefined;
+        }
+
+        const motionSpeed = motion === 'slow' ? SLOW_MOTION_SPEED : 1;
 
         const loop = (currentTime) => {
             // Check animation controls
-            if (animationControls && !animationControls.isPlaying) {
-                animationRef.current = requestAnimationFrame(loop);
+            const controls = controlsRef.current;
+            const pauseReason = getPauseReason();
+            updatePlayback(pauseReason);
+            if (pauseReason) {
+                clock.pause();
                 return;
             }
 
-            animationRef.current = requestAnimationFrame(loop);
+            // Speed scales animation time, so it works independently of the fps cap
+            const playbackSpeed = (controls ? controls.speed : 1) * motionSpeed;
+            const frameInfo = clock.tick(currentTime, playbackSpeed);
 
-            const deltaTime = currentTime - lastTime;
-            const speedMultiplier = animationControls ? animationControls.speed : 1;
-            const adjustedFrameInterval = frameInterval / speedMultiplier;
-
-            if (deltaTime >= adjustedFrameInterval) {
-                lastTime = currentTime - (deltaTime % adjustedFrameInterval);
-                
+            if (frameInfo) {
                 // Record frame for performance monitoring
                 if (performanceMonitor) {
                     performanceMonitor.recordFrame();
                 }
                 
-                animation();
-
-                // Adaptive performance adjustments
-                if (adaptivePerformance && performanceMonitor) {
-                    const { avgFps, performanceLevel } = performanceMonitor;
-                    if (performanceLevel === 'poor' && avgFps < 20) {
-                        // Automatically reduce complexity or fps
-                        console.warn('Poor performance detected. Consider reducing animation complexity.');
-                    }
+                drawFrame(frameInfo, playbackSpeed);
+                capturePoster(frameInfo.time);
+                if (callbacksRef.current.onFrame) {
+                    emit('onFrame', { time: frameInfo.time, deltaTime: frameInfo.deltaTime, fps: clock.getStats().fps });
+                }
+
+                // Trade detail for frame rate while the measured rate stays below the target
+                if (ladder) {
+                    ladder.update(clock.getStats().fps, currentTime);
                 }
             }
         };
 
-        animationRef.current = requestAnimationFrame(loop);
-
-        return () => {
+        const startLoop = () => {
+            if (!animationRef.current) {
+                animationRef.current = frameScheduler.add(loop, { priority: framePriority, name: 'AnimatedBackground' });
+            }
+        };
+        const stopLoop = () => {
             if (animationRef.current) {
-                cancelAnimationFrame(animationRef.current);
+                animationRef.current();
+                animationRef.current = null;
             }
         };
-    }, [setupCanvas, fps, animationControls]); // Removed changing dependencies
+
+        startLoop();
+
+        // Stop the loop entirely while the canvas can't be seen. Pausing the clock
+        // makes the first frame after resuming advance by one interval, not the time spent hidden
+        const stopWatchingVisibility = pauseWhenHidden
+            ? observeVisibility(canvasRef.current, (visible) => {
+                // The loop reports resuming once it runs again
+                hiddenRef.current = !visible;
+                if (visible) {
+                    startLoop();
+                } else {
+                    stopLoop();
+                    clock.pause();
+                    updatePlayback(getPauseReason());
+                }
+            })
+            : () => {};
+
+        return () => {
+            stopLoop();
+            stopWatchingVisibility();
+            hiddenRef.current = false;
+        };
+    }, [setupCanvas, fps, inWorker, motion, pauseWhenHidden, adaptivePerformance, framePriority]);
 
     // Resize handling effect - separate from animation
     useEffect(() => {
-        const handleResize = () => {
-            if (canvasRef.current) {
-                canvasRef.current.width = window.innerWidth;
-                canvasRef.current.height = window.innerHeight;
-                setupCanvas();
+        if (inWorker) return undefined;
+
+        const handleResize = ({ width, height }) => {
+            const canvas = canvasRef.current;
+            if (!canvas) return;
+
+            // ResizeObserver reports the initial size on observe; ignore no-op resizes
+            const current = getLogicalSize(canvas);
+            if (current.width === width && current.height === height) return;
+
+            resizeCanvas(width, height);
+            // Resizing clears the canvas; a still frame has to be drawn again
+            if (motion === 'static') {
+                drawPosterFrame(drawFrame);
             }
         };
 
-        window.addEventListener('resize', handleResize);
+        const stopObserving = observeCanvasSize(canvasRef.current, mode, handleResize);
 
         return () => {
+            // setupCanvas creates a new handler on the next run; a kept one would have no listeners
             if (interactionHandlerRef.current) {
                 interactionHandlerRef.current.removeListeners();
+                interactionHandlerRef.current = null;
+            }
+            stopObserving();
+        };
+    }, [setupCanvas, mode, pixelRatio, maxPixelRatio, resolvedBlendMode, inWorker, motion]);
+
+    // Worker rendering: hand the canvas to a worker once, for as long as it is mounted
+    useEffect(() => {
+        if (!inWorker) return undefined;
+
+        const renderer = getWorkerRenderer(canvasRef.current, workerRef.current);
+        workerRendererRef.current = renderer;
+        let lastStatsTime = 0;
+        renderer.setHandlers({
+            onError: (error, info) => reportAnimationError(errorHandlingRef.current.onError, error, info),
+            onAnimationChange: setActiveAnimation,
+            onQualityChange: (quality) => {
+                qualityRef.current = quality;
+                emit('onQualityChange', quality);
+            },
+            onDrawn: markDrawn,
+            onStats: ({ time, fps: measuredFps }) => {
+                capturePoster(time);
+                emit('onFrame', { time, deltaTime: time - lastStatsTime, fps: measuredFps });
+                lastStatsTime = time;
+            }
+        });
+        // The main thread's scene belonged to the previous canvas element
+        frameRef.current = null;
+        transitionRef.current = null;
+
+        return () => {
+            workerRendererRef.current = null;
+            renderer.release();
+        };
+    }, [inWorker]);
+
+    // Worker rendering: (re)create the animation in the worker and forward resizes
+    useEffect(() => {
+        if (!inWorker) return undefined;
+
+        const canvas = canvasRef.current;
+        const renderer = workerRendererRef.current;
+        const getSize = ({ width, height }) => ({
+            width,
+            height,
+            pixelRatio: resolvePixelRatio(pixelRatio, maxPixelRatio)
+        });
+
+        renderer.setup({
+            animationName,
+            // The chain starts with animationName
+            fallbackAnimation: JSON.parse(fallbackChainKey).slice(1),
+            maxConsecutiveErrors,
+            options: JSON.parse(optionsKey),
+            seed,
+            theme,
+            blendMode: resolvedBlendMode,
+            fps,
+            adaptivePerformance,
+            motion,
+            transition: resolveTransition(transitionPropRef.current, motion),
+            interactive,
+            interactionConfig: JSON.parse(interactionConfigKey)
+        }, getSize(getCanvasSize(canvas, mode)));
+
+        const handleResize = (size) => {
+            const current = getLogicalSize(canvas);
+            if (current.width === size.width && current.height === size.height) return;
+            renderer.resize(getSize(size));
+        };
+
+        let interactionHandler = null;
+        if (interactive) {
+            // Pointer events still arrive on the page; the worker only receives the resulting points
+            interactionHandler = createInteractionHandler(canvas, JSON.parse(interactionConfigKey), points => {
+                renderer.setInteractionPoints(points);
+            });
+            interactionHandler.attachListeners();
+        }
+
+        const stopObserving = observeCanvasSize(canvas, mode, handleResize);
+
+        return () => {
+            if (interactionHandler) {
+                interactionHandler.removeListeners();
             }
-            window.removeEventListener('resize', handleResize);
+            stopObserving();
+        };
+    }, [inWorker, animationName, fallbackChainKey, maxConsecutiveErrors, optionsKey, seed, theme, resolvedBlendMode,
+        fps, adaptivePerformance, interactive, interactionConfigKey, mode, pixelRatio, maxPixelRatio, motion]);
+
+    // Worker rendering: stop the worker's loop while the canvas can't be seen
+    useEffect(() => {
+        if (!inWorker || !pauseWhenHidden) return undefined;
+
+        const stopWatchingVisibility = observeVisibility(canvasRef.current, (visible) => {
+            hiddenRef.current = !visible;
+            workerRendererRef.current.setVisible(visible);
+            updatePlayback(getPauseReason());
+        });
+
+        return () => {
+            stopWatchingVisibility();
+            hiddenRef.current = false;
         };
-    }, [setupCanvas]);
+    }, [inWorker, pauseWhenHidden]);
+
+    // Worker rendering: forward play/pause and speed
+    const sendWorkerControls = () => {
+        const controls = controlsRef.current;
+        workerRendererRef.current.setControls({
+            isPlaying: (!controls || controls.isPlaying) && !pausedRef.current,
+            speed: controls ? controls.speed : 1
+        });
+        updatePlayback(getPauseReason());
+    };
+    const isPlaying = animationControls ? animationControls.isPlaying : true;
+    const speed = animationControls ? animationControls.speed : 1;
+    useEffect(() => {
+        if (inWorker) {
+            sendWorkerControls();
+        }
+    }, [inWorker, isPlaying, speed]);
+
+    useImperativeHandle(ref, () => ({
+        play() {
+            pausedRef.current = false;
+            if (inWorker) sendWorkerControls();
+        },
+
+        pause() {
+            pausedRef.current = true;
+            if (inWorker) sendWorkerControls();
+        },
+
+        step(count = 1) {
+            const deltaTime = 1000 / fps;
+            if (inWorker) {
+                workerRendererRef.current.step(count, deltaTime);
+                return;
+            }
+            if (!frameRef.current || !clockRef.current) return;
+            for (let i = 0; i < count; i++) {
+                drawFrame(clockRef.current.step(deltaTime), 1);
+            }
+        },
+
+        reset() {
+            if (inWorker) {
+                workerRendererRef.current.reset();
+                return;
+            }
+            if (!canvasRef.current || !clockRef.current) return;
+            transitionRef.current = null;
+            frameRef.current = setupCanvas();
+            clockRef.current.reset();
+            // Draw the initial scene right away, so a paused background doesn't stay blank
+            if (motion === 'static') {
+                drawPosterFrame(drawFrame);
+            } else {
+                drawFrame(clockRef.current.step(0));
+            }
+        },
+
+        snapshot(typeOrOptions, quality) {
+            return takeSnapshot(resolveSnapshotOptions(typeOrOptions, quality));
+        },
+
+        setOptions(newOptions) {
+            setOptionsOverride(current => ({ ...current, ...newOptions }));
+        },
+
+        getStats() {
+            const canvas = canvasRef.current;
+            const controls = controlsRef.current;
+            let clockStats = { time: 0, frame: 0, fps: 0 };
+            if (inWorker) {
+                clockStats = workerRendererRef.current.getStats();
+            } else if (clockRef.current) {
+                clockStats = clockRef.current.getStats();
+            }
+            const size = canvas ? getLogicalSize(canvas) : { width: 0, height: 0, pixelRatio: 1 };
+
+            return {
+                ...clockStats,
+                isPlaying: motion !== 'static' && !pausedRef.current && (!controls || controls.isPlaying),
+                width: size.width,
+                height: size.height,
+                pixelRatio: size.pixelRatio,
+                renderIn: inWorker ? 'worker' : 'main',
+                motion,
+                quality: qualityRef.current ? qualityRef.current.tier : 0
+            };
+        },
+
+        getCanvas() {
+            return canvasRef.current;
+        }
+    }), [inWorker, fps, motion, setupCanvas]);
+
+    const placeholderBackground = placeholder === 'auto' ? themeManager.getPlaceholderBackground(theme) : placeholder;
+    const posterImage = posterConfig && (posterConfig.url || cachedPoster);
+    const bootBackground = posterImage ? getPosterBackground(posterImage, placeholderBackground) : placeholderBackground;
 
     return (
         <canvas
+            // A canvas can only be transferred to a worker once; switching modes needs a new element
+            key={inWorker ? 'worker' : 'main'}
             ref={canvasRef}
             style={{
-                position: 'fixed',
-                top: 0,
-                left: 0,
-                width: '100%',
-                height: '100%',
-                zIndex: -1,
+                ...getCanvasStyle(mode),
                 pointerEvents: interactive ? 'auto' : 'none',
+                ...(bootBackground && !hasDrawn ? { background: bootBackground } : {}),
                 ...style
             }}
         />
     );
-});
+}));
 
 export {
     // Main components
@@ -350,11 +1101,36 @@ export {
     bloodRain,
     creepyCrawlies,
     
+    // Animation registry
+    registerAnimation,
+    unregisterAnimation,
+    listAnimations,
+    getAnimation,
+    getAnimationMetadata,
+    hasAnimation,
+    validateAnimationOptions,
+    ANIMATION_OPTIONS,
+    QUALITY_KNOBS,
+    
     // New hooks
     useAnimationControls,
     usePerformanceMonitor,
+    useReducedMotion,
     
     // Utilities
+    getLogicalSize,
+    createRandom,
+    renderFrames,
+    exposeAnimationWorker,
+    exportGif,
+    exportPngSequence,
+    encodeGif,
+    encodePng,
+    createThemePalette,
+    TRANSITION_TYPES,
+    frameScheduler,
+    createFrameScheduler,
+    FRAME_PRIORITY,
     createInteractionHandler,
     GestureRecognizer,
     
@@ -362,5 +1138,10 @@ export {
     ThemeManager,
     themeManager,
     COLOR_SCHEMES,
-    THEMES
+    THEMES,
+
+    // Audio
+    AudioAnalyzer,
+    AudioReactiveEffects,
+    audioReactiveEffects
 };
\ No newline at end of file
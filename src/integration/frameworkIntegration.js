@@ -3,13 +3,98 @@
  * @module FrameworkIntegration
  */
 
-import { AnimatedBackground } from '../backgroundAnimations.js';
 import { themeManager } from '../utils/themeSystem.js';
 import { audioReactiveEffects } from '../utils/audioUtils.js';
 import { intelligentOptimizer } from '../utils/aiFeatures.js';
 import { physicsEngine } from '../utils/physicsEngine.js';
 import { animationSequencer } from '../utils/animationSequencer.js';
 import { projectManager } from '../utils/projectManager.js';
+import { getAnimation, hasAnimation, listAnimations } from '../animationRegistry.js';
+import { frameScheduler } from '../utils/frameScheduler.js';
+import { createFrameClock } from '../utils/frameClock.js';
+import { getLogicalSize } from '../utils/canvasUtils.js';
+
+/**
+ * Runs a registered animation on a canvas, outside of the React components
+ */
+class CanvasAnimation {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} options - Animation name, theme, and options passed to the animation factory
+   */
+  constructor(canvas, { animation, theme, ...options } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.theme = theme;
+    this.options = options;
+    this.clock = createFrameClock({ fps: options.fps });
+    this.removeTask = null;
+    this.onUpdate = null;
+    this.setAnimation(animation);
+  }
+
+  /**
+   * Create the frame function of a registered animation
+   * @param {string} animation - Registered animation name
+   */
+  setAnimation(animation) {
+    const factory = getAnimation(animation);
+    if (!factory) {
+      throw new Error(`Unknown animation: ${animation}`);
+    }
+    this.animation = animation;
+    this.frame = factory(this.canvas, this.ctx, { ...this.options, themeManager });
+  }
+
+  start() {
+    if (this.removeTask) return;
+    this.removeTask = frameScheduler.add((timestamp) => {
+      const frameInfo = this.clock.tick(timestamp);
+      if (!frameInfo) return;
+
+      this.frame(frameInfo);
+      if (this.onUpdate) {
+        this.onUpdate({ animation: this.animation, theme: this.theme, ...this.clock.getStats() });
+      }
+    }, { name: 'AnimatedBackgroundManager' });
+  }
+
+  stop() {
+    if (this.removeTask) {
+      this.removeTask();
+      this.removeTask = null;
+    }
+    this.clock.pause();
+  }
+
+  /**
+   * Switch to another registered animation, starting it from the beginning
+   * @param {string} animation - Registered animation name
+   */
+  changeAnimation(animation) {
+    this.setAnimation(animation);
+    this.clock.reset();
+    const { width, height } = getLogicalSize(this.canvas);
+    this.ctx.clearRect(0, 0, width, height);
+  }
+
+  /**
+   * Remember the theme name; animations read colors from themeManager, which the caller updates
+   * @param {string} theme - Theme name
+   */
+  updateTheme(theme) {
+    this.theme = theme;
+  }
+
+  getFPS() {
+    return this.clock.getStats().fps;
+  }
+
+  destroy() {
+    this.stop();
+    this.onUpdate = null;
+  }
+}
 
 /**
  * React Hook for Animated Backgrounds
@@ -46,7 +131,7 @@ export function useAnimatedBackground(options = {}) {
         }
 
         // Create animated background instance
-        const bg = new AnimatedBackground(canvasRef.current, {
+        const bg = new CanvasAnimation(canvasRef.current, {
           animation,
           theme,
           ...customConfig
@@ -168,7 +253,7 @@ export function createAnimatedBackground(options = {}) {
         await intelligentOptimizer.initialize();
       }
 
-      const bg = new AnimatedBackground(canvasRef.value, {
+      const bg = new CanvasAnimation(canvasRef.value, {
         animation,
         theme,
         ...customConfig
@@ -269,6 +354,10 @@ export class AnimatedBackgroundManager {
    */
   async initialize() {
     try {
+      if (!hasAnimation(this.options.animation)) {
+        throw new Error(`Unknown animation: ${this.options.animation}`);
+      }
+
       // Initialize AI optimizer
       if (this.options.enableAI) {
         await intelligentOptimizer.initialize();
@@ -300,7 +389,7 @@ export class AnimatedBackgroundManager {
       }
 
       // Create main animated background
-      this.instance = new AnimatedBackground(this.canvas, {
+      this.instance = new CanvasAnimation(this.canvas, {
         animation: this.options.animation,
         theme: this.options.theme
       });
@@ -375,19 +464,30 @@ export class AnimatedBackgroundManager {
    * Update animation
    */
   updateAnimation(animationType) {
+    if (!hasAnimation(animationType)) {
+      this.trigger('onError', new Error(`Unknown animation: ${animationType}`));
+      return;
+    }
+
     if (this.instance) {
       this.instance.changeAnimation(animationType);
       this.trigger('onAnimationChange', animationType);
     }
   }
 
+  /**
+   * Get the animations that can be passed to updateAnimation
+   */
+  getAvailableAnimations() {
+    return listAnimations();
+  }
+
   /**
    * Get current performance metrics
    */
   getPerformanceMetrics() {
     const metrics = {
       fps: this.instance ? this.instance.getFPS() : 0,
-      particleCount: this.instance ? this.instance.getParticleCount() : 0,
       isOptimized: false
     };
 
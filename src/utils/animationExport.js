@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Export animations as animated GIFs and PNG sequences
+ * @module AnimationExport
+ */
+
+import { renderFrames } from './renderFrames.js';
+import { encodeGif, createThemePalette, createDefaultPalette } from './gifEncoder.js';
+import { encodePng } from './pngEncoder.js';
+import { themeManager } from './themeSystem.js';
+
+/**
+ * @typedef {Object} PngSequenceFile
+ * @property {string} name - File name, e.g. 'starryNight-0007.png'
+ * @property {Uint8Array} data - PNG file contents
+ */
+
+/**
+ * @typedef {Object} PngSequenceManifest
+ * @property {string} animationName - Exported animation
+ * @property {number} width - Frame width in pixels
+ * @property {number} height - Frame height in pixels
+ * @property {number} fps - Frames per second
+ * @property {number} duration - Length in milliseconds
+ * @property {number|string} [seed] - Seed the frames were rendered with
+ * @property {string} [theme] - Theme the frames were rendered with
+ * @property {Object} options - Animation options
+ * @property {Array<{file: string, frame: number, time: number}>} frames - Frames in playback order
+ */
+
+/**
+ * Export an animation as an animated GIF. Frames are rendered with
+ * {@link renderFrames} and quantized to a palette built from the active theme
+ * colors (see createThemePalette), or to an even RGB palette when no theme is active.
+ * @param {Object} config - Same configuration as renderFrames; format is ignored
+ * @param {number} [config.loop=0] - How often the GIF repeats, 0 loops forever
+ * @param {Array<Array<number>|string>} [config.palette] - Custom palette of up to 256 colors
+ * @returns {Promise<Uint8Array>} GIF file contents
+ * @example
+ * const gif = await exportGif({
+ *   animationName: 'neonPulse', width: 480, height: 270, fps: 20, duration: 3000, seed: 7, theme: 'cyberpunk'
+ * });
+ * const url = URL.createObjectURL(new Blob([gif], { type: 'image/gif' }));
+ */
+export const exportGif = async ({ loop = 0, palette, ...config }) => {
+  const frames = [];
+  for await (const { imageData } of renderFrames({ ...config, format: 'imageData' })) {
+    frames.push(imageData);
+  }
+
+  const colors = palette || (themeManager.hasTheme()
+    ? createThemePalette(themeManager.getCurrentColors())
+    : createDefaultPalette());
+
+  return encodeGif(frames, { fps: config.fps, loop, palette: colors });
+};
+
+/**
+ * Export an animation as numbered PNG files plus a manifest describing them,
+ * ready to be written to a folder or uploaded one by one (no zip step needed).
+ * @param {Object} config - Same configuration as renderFrames; format is ignored
+ * @param {string} [config.prefix] - File name prefix; the animation name when not set
+ * @returns {Promise<{manifest: PngSequenceManifest, files: Array<PngSequenceFile>}>} Files and manifest
+ * @example
+ * // Node
+ * const { manifest, files } = await exportPngSequence({
+ *   animationName: 'snowFall', width: 640, height: 360, duration: 2000, seed: 3, canvas: createCanvas(640, 360)
+ * });
+ * files.forEach(({ name, data }) => fs.writeFileSync(path.join(dir, name), data));
+ * fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+ */
+export const exportPngSequence = async ({ prefix, ...config }) => {
+  const { animationName, fps = 30, duration, seed, theme, options = {} } = config;
+  const frameCount = Math.round(duration / (1000 / fps));
+  const digits = Math.max(4, String(frameCount - 1).length);
+  const baseName = prefix || animationName;
+
+  const files = [];
+  const frames = [];
+  let size = { width: 0, height: 0 };
+
+  for await (const { frame, time, imageData } of renderFrames({ ...config, format: 'imageData' })) {
+    const name = `${baseName}-${String(frame).padStart(digits, '0')}.png`;
+    files.push({ name, data: encodePng(imageData) });
+    frames.push({ file: name, frame, time });
+    size = { width: imageData.width, height: imageData.height };
+  }
+
+  return {
+    manifest: {
+      animationName,
+      ...size,
+      fps,
+      duration,
+      seed,
+      theme,
+      options,
+      frames
+    },
+    files
+  };
+};
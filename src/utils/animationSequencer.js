@@ -3,6 +3,8 @@
  * @module AnimationSequencer
  */
 
+import { frameScheduler, FRAME_PRIORITY } from './frameScheduler';
+
 /**
  * Animation keyframe class
  */
@@ -274,7 +276,8 @@ export class AnimationSequencer {
     this.onPlayStateChange = null;
     this.onTrackUpdate = null;
     
-    this.animationFrame = null;
+    // Removes the per-frame update from the frame scheduler while playing
+    this.removeFrameTask = null;
   }
 
   /**
@@ -334,6 +337,13 @@ export class AnimationSequencer {
     this.startTime = performance.now() - this.currentTime / this.playbackSpeed;
     
     this.update();
+    // Timelines advance before the backgrounds that read them draw
+    if (this.isPlaying && !this.removeFrameTask) {
+      this.removeFrameTask = frameScheduler.add(() => this.update(), {
+        priority: FRAME_PRIORITY.UPDATE,
+        name: 'AnimationSequencer'
+      });
+    }
     this.notifyPlayStateChange();
   }
 
@@ -346,9 +356,9 @@ export class AnimationSequencer {
     this.isPaused = true;
     this.pauseTime = this.currentTime;
     
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
+    if (this.removeFrameTask) {
+      this.removeFrameTask();
+      this.removeFrameTask = null;
     }
     
     this.notifyPlayStateChange();
@@ -363,9 +373,9 @@ export class AnimationSequencer {
     this.currentTime = 0;
     this.pauseTime = 0;
     
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
+    if (this.removeFrameTask) {
+      this.removeFrameTask();
+      this.removeFrameTask = null;
     }
     
     this.notifyPlayStateChange();
@@ -441,9 +451,6 @@ export class AnimationSequencer {
     }
     
     this.notifyTimeUpdate();
-    
-    // Schedule next frame
-    this.animationFrame = requestAnimationFrame(() => this.update());
   }
 
   /**
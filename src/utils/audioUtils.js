@@ -3,6 +3,8 @@
  * @module AudioUtils
  */
 
+import { frameScheduler, FRAME_PRIORITY } from './frameScheduler';
+
 /**
  * Audio analyzer class for real-time audio processing
  */
@@ -17,6 +19,8 @@ export class AudioAnalyzer {
     this.sensitivity = 1.0;
     this.smoothing = 0.8;
     this.callbacks = [];
+    // Removes the per-frame analysis from the frame scheduler while listening
+    this.removeFrameTask = null;
   }
 
   /**
@@ -58,7 +62,11 @@ export class AudioAnalyzer {
     if (!this.analyzer || this.isListening) return;
     
     this.isListening = true;
-    this.processAudio();
+    // Audio is read first in every frame, so the animations drawn after it react to the same frame's data
+    this.removeFrameTask = frameScheduler.add(() => this.processAudio(), {
+      priority: FRAME_PRIORITY.INPUT,
+      name: 'AudioAnalyzer'
+    });
   }
 
   /**
@@ -66,6 +74,10 @@ export class AudioAnalyzer {
    */
   stopListening() {
     this.isListening = false;
+    if (this.removeFrameTask) {
+      this.removeFrameTask();
+      this.removeFrameTask = null;
+    }
   }
 
   /**
@@ -87,8 +99,6 @@ export class AudioAnalyzer {
     };
     
     this.callbacks.forEach(callback => callback(audioData));
-    
-    requestAnimationFrame(() => this.processAudio());
   }
 
   /**
@@ -385,5 +395,81 @@ export const audioModifiers = {
   }
 };
 
+/**
+ * @typedef {Object} AudioBinding
+ * @property {'volume'|'bass'|'mid'|'treble'|'beat'} feature - Audio feature driving the property
+ * @property {number} [min] - Property value in silence
+ * @property {number} [max] - Property value at full level
+ * @property {number} [release=200] - Milliseconds the level takes to fall back, so beats pulse instead of flicker
+ */
+
+/**
+ * Audio features bindings can follow; beat is 1 on a detected beat and 0 otherwise
+ */
+export const AUDIO_FEATURES = ['volume', 'bass', 'mid', 'treble', 'beat'];
+
+/**
+ * Properties audio can drive, with their default range. Opacity and speed
+ * multiply the layer's own value; blur adds pixels.
+ */
+const AUDIO_BINDING_DEFAULTS = {
+  opacity: { min: 0.2, max: 1 },
+  speed: { min: 0.5, max: 2 },
+  blur: { min: 0, max: 8 }
+};
+
+const DEFAULT_RELEASE = 200;
+
+/**
+ * Create audio bindings: properties that follow audio features, each with an
+ * envelope that rises at once and falls back over its release time
+ * @param {Object<string, AudioBinding|string>} [bindings] - Bindings by property, or just the feature name
+ * @param {number} index - Layer index, for warnings
+ * @returns {Object|null} Bindings with update(audioData, deltaTime), or null for no bindings
+ * @example
+ * const bindings = createAudioBindings({ opacity: 'bass', speed: { feature: 'mid', max: 3 } }, 0);
+ * // once per frame, with the data from AudioAnalyzer.onAudioData
+ * const { opacity, speed } = bindings.update(audioData, deltaTime);
+ */
+export const createAudioBindings = (bindings, index) => {
+  if (!bindings) return null;
+
+  const resolved = Object.keys(bindings).map(property => {
+    const defaults = AUDIO_BINDING_DEFAULTS[property];
+    if (!defaults) {
+      console.warn(`Audio cannot drive "${property}" in layer ${index}. Use one of ${Object.keys(AUDIO_BINDING_DEFAULTS).join(', ')}.`);
+      return null;
+    }
+    const binding = typeof bindings[property] === 'string' ? { feature: bindings[property] } : bindings[property] || {};
+    if (!AUDIO_FEATURES.includes(binding.feature)) {
+      console.warn(`Invalid audio feature "${binding.feature}" for ${property} in layer ${index}. Use one of ${AUDIO_FEATURES.join(', ')}.`);
+      return null;
+    }
+    const { min = defaults.min, max = defaults.max, release = DEFAULT_RELEASE } = binding;
+    return { property, feature: binding.feature, min, max, release, level: 0 };
+  }).filter(Boolean);
+
+  if (resolved.length === 0) return null;
+
+  return {
+    /**
+     * Follow the latest audio data
+     * @param {Object} audioData - Audio data from AudioAnalyzer
+     * @param {number} deltaTime - Milliseconds since the last update
+     * @returns {Object<string, number>} Value per bound property
+     */
+    update(audioData, deltaTime) {
+      const values = {};
+      resolved.forEach(binding => {
+        const input = binding.feature === 'beat' ? (audioData.beat ? 1 : 0) : Math.min(1, audioData[binding.feature] || 0);
+        const decayed = binding.release > 0 ? binding.level * Math.exp(-deltaTime / binding.release) : 0;
+        binding.level = Math.max(input, decayed);
+        values[binding.property] = binding.min + (binding.max - binding.min) * binding.level;
+      });
+      return values;
+    }
+  };
+};
+
 // Export singleton instance
 export const audioReactiveEffects = new AudioReactiveEffects(); 
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Canvas sizing utilities shared by the background components
+ * @module CanvasUtils
+ */
+
+/**
+ * @typedef {'fullscreen'|'contained'} RenderMode
+ * 'fullscreen' sizes the canvas from the viewport, 'contained' fills the
+ * canvas' parent element.
+ */
+
+/**
+ * @typedef {Object} CanvasSize
+ * @property {number} width - Width in CSS pixels
+ * @property {number} height - Height in CSS pixels
+ */
+
+/**
+ * Get the size a background canvas should have for the given render mode
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {RenderMode} [mode='fullscreen'] - Render mode
+ * @returns {CanvasSize} Size in CSS pixels
+ */
+export const getCanvasSize = (canvas, mode = 'fullscreen') => {
+  if (mode === 'contained' && canvas.parentElement) {
+    const parent = canvas.parentElement;
+    return {
+      width: parent.clientWidth,
+      height: parent.clientHeight
+    };
+  }
+
+  return {
+    width: window.innerWidth,
+    height: window.innerHeight
+  };
+};
+
+/**
+ * Watch the element that determines the canvas size and call back when it changes.
+ * Contained canvases observe their parent with a ResizeObserver (falling back to
+ * window resize events where ResizeObserver is unavailable); fullscreen canvases
+ * listen for window resize events.
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {RenderMode} mode - Render mode
+ * @param {Function} onResize - Called with the new {@link CanvasSize}
+ * @returns {Function} Cleanup function that stops observing
+ */
+export const observeCanvasSize = (canvas, mode, onResize) => {
+  const handleResize = () => onResize(getCanvasSize(canvas, mode));
+
+  if (mode === 'contained' && canvas.parentElement && typeof ResizeObserver !== 'undefined') {
+    const observer = new ResizeObserver(handleResize);
+    observer.observe(canvas.parentElement);
+    return () => observer.disconnect();
+  }
+
+  window.addEventListener('resize', handleResize);
+  return () => window.removeEventListener('resize', handleResize);
+};
+
+/**
+ * Get the base positioning styles for a background canvas
+ * @param {RenderMode} [mode='fullscreen'] - Render mode
+ * @returns {Object} Inline style object
+ */
+export const getCanvasStyle = (mode = 'fullscreen') => ({
+  position: mode === 'contained' ? 'absolute' : 'fixed',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+  zIndex: -1
+});
+
+/**
+ * Logical (CSS pixel) sizes of canvases whose backing store has been scaled
+ * @type {WeakMap<HTMLCanvasElement, Object>}
+ */
+const logicalSizes = new WeakMap();
+
+/**
+ * @typedef {Object} LogicalSize
+ * @property {number} width - Drawing width in CSS pixels
+ * @property {number} height - Drawing height in CSS pixels
+ * @property {number} pixelRatio - Backing store pixels per CSS pixel
+ */
+
+/**
+ * Resolve a pixelRatio prop to the ratio used for the canvas backing store
+ * @param {'auto'|number} [pixelRatio='auto'] - 'auto' uses window.devicePixelRatio
+ * @param {number} [maxPixelRatio=Infinity] - Upper bound for the resolved ratio
+ * @returns {number} Resolved pixel ratio
+ */
+export const resolvePixelRatio = (pixelRatio = 'auto', maxPixelRatio = Infinity) => {
+  let ratio = pixelRatio;
+
+  if (pixelRatio === 'auto') {
+    ratio = typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+  }
+
+  if (typeof ratio !== 'number' || !(ratio > 0)) {
+    console.warn(`Invalid pixelRatio "${pixelRatio}". Using 1.`);
+    ratio = 1;
+  }
+
+  return Math.min(ratio, maxPixelRatio);
+};
+
+/**
+ * Size a canvas backing store for the given pixel ratio and scale its context
+ * so drawing code keeps working in CSS pixel coordinates.
+ * Note that resizing a canvas resets its context state (transform, blend mode).
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ * @param {number} [pixelRatio=1] - Backing store pixels per CSS pixel
+ * @returns {LogicalSize} The canvas' logical size
+ */
+export const setCanvasResolution = (canvas, ctx, width, height, pixelRatio = 1) => {
+  canvas.width = Math.round(width * pixelRatio);
+  canvas.height = Math.round(height * pixelRatio);
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+  return setLogicalSize(canvas, width, height, pixelRatio);
+};
+
+/**
+ * Record the logical size of a canvas without touching its backing store, for
+ * canvases drawn elsewhere (e.g. transferred to a worker with transferControlToOffscreen)
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ * @param {number} [pixelRatio=1] - Backing store pixels per CSS pixel
+ * @returns {LogicalSize} The canvas' logical size
+ */
+export const setLogicalSize = (canvas, width, height, pixelRatio = 1) => {
+  const size = logicalSizes.get(canvas) || {};
+  size.width = width;
+  size.height = height;
+  size.pixelRatio = pixelRatio;
+  logicalSizes.set(canvas, size);
+
+  return size;
+};
+
+/**
+ * Get the logical (CSS pixel) size of a canvas. The returned object stays
+ * current when the canvas is resized, so animations can keep a reference to it.
+ * Canvases that were never passed to {@link setCanvasResolution} report their
+ * backing store size.
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @returns {LogicalSize} Live logical size
+ */
+export const getLogicalSize = (canvas) => {
+  if (logicalSizes.has(canvas)) {
+    return logicalSizes.get(canvas);
+  }
+
+  return {
+    get width() { return canvas.width; },
+    get height() { return canvas.height; },
+    pixelRatio: 1
+  };
+};
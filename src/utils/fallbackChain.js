@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Fall back through a chain of animations when one fails
+ * @module FallbackChain
+ */
+
+import { getAnimation } from '../animationRegistry.js';
+import { getLogicalSize } from './canvasUtils.js';
+
+/**
+ * Fallback chain entry that fills the canvas with a solid color. It cannot fail,
+ * so it ends every chain.
+ */
+export const STATIC_COLOR = 'static-color';
+
+/**
+ * Failed frames in a row after which an animation is replaced by the next one in its chain
+ */
+export const DEFAULT_MAX_CONSECUTIVE_ERRORS = 3;
+
+/**
+ * Build the list of animations to try, in order
+ * @param {string} animationName - Requested animation
+ * @param {string|Array<string>} [fallbackAnimation] - Fallback animation, or several to try in order
+ * @returns {Array<string>} Animation names, ending with STATIC_COLOR
+ * @example
+ * getFallbackChain('neuralNetwork', ['particleNetwork', 'gradientWave']);
+ * // ['neuralNetwork', 'particleNetwork', 'gradientWave', 'static-color']
+ */
+export const getFallbackChain = (animationName, fallbackAnimation) => {
+  const fallbacks = Array.isArray(fallbackAnimation) ? fallbackAnimation : [fallbackAnimation];
+  const chain = [animationName, ...fallbacks].filter(Boolean);
+  if (!chain.includes(STATIC_COLOR)) {
+    chain.push(STATIC_COLOR);
+  }
+  return chain.slice(0, chain.indexOf(STATIC_COLOR) + 1);
+};
+
+/**
+ * Solid color "animation" at the end of a fallback chain
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to fill
+ * @param {CanvasRenderingContext2D} ctx - Its context
+ * @param {string} color - CSS color
+ * @returns {Function} Frame function
+ */
+const createStaticColor = (canvas, ctx, color) => {
+  const frame = () => {
+    const { width, height } = getLogicalSize(canvas);
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  };
+  frame.resize = () => true;
+  return frame;
+};
+
+/**
+ * Report an animation error to onError, or to the console without one
+ * @param {Function} [onError] - onError(error, { animationName, phase }) callback
+ * @param {Error} error - What was thrown
+ * @param {Object} info - { animationName, phase }, phase being 'setup', 'frame' or 'resize'
+ */
+export const reportAnimationError = (onError, error, info) => {
+  if (typeof onError === 'function') {
+    onError(error, info);
+  } else {
+    console.error(`Animation "${info.animationName}" failed during ${info.phase}:`, error);
+  }
+};
+
+/**
+ * Set up the first animation in a chain that exists and doesn't throw
+ * @param {Object} params - Setup parameters
+ * @param {Array<string>} params.chain - Animation names, see getFallbackChain
+ * @param {number} [params.startIndex=0] - Chain position to start at, e.g. past an animation that keeps failing
+ * @param {HTMLCanvasElement|OffscreenCanvas} params.canvas - Canvas to draw on
+ * @param {CanvasRenderingContext2D} params.ctx - Its context
+ * @param {Function} params.getOptions - getOptions(animationName, index) returns the factory options
+ * @param {string} params.color - Fill color for STATIC_COLOR
+ * @param {Function} [params.onError] - Receives setup errors, see reportAnimationError
+ * @returns {{frame: Function, index: number, animationName: string}} The animation that was set up
+ */
+export const setupFromChain = ({ chain, startIndex = 0, canvas, ctx, getOptions, color, onError }) => {
+  for (let index = Math.min(startIndex, chain.length - 1); index < chain.length; index++) {
+    const animationName = chain[index];
+    if (animationName === STATIC_COLOR) {
+      return { frame: createStaticColor(canvas, ctx, color), index, animationName };
+    }
+
+    const animation = getAnimation(animationName);
+    if (!animation) {
+      console.warn(`Animation "${animationName}" not found. Using fallback animation.`);
+      continue;
+    }
+
+    try {
+      return { frame: animation(canvas, ctx, getOptions(animationName, index)), index, animationName };
+    } catch (error) {
+      reportAnimationError(onError, error, { animationName, phase: 'setup' });
+    }
+  }
+
+  // getFallbackChain always ends with STATIC_COLOR
+  throw new Error('Fallback chain must end with "static-color"');
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Frame timing for the animation loops
+ * @module FrameClock
+ */
+
+/**
+ * @typedef {Object} FrameInfo
+ * @property {number} time - Animation time in milliseconds; the sum of all deltaTimes so far
+ * @property {number} deltaTime - Animation time since the previous frame in milliseconds,
+ *   already scaled by the playback speed
+ * @property {number} frame - Index of the frame, starting at 0
+ */
+
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} time - Animation time in milliseconds
+ * @property {number} frame - Number of frames drawn so far
+ * @property {number} fps - Frames per second measured over the last second of playback; 0 while paused
+ */
+
+/**
+ * Longest time step a single frame may take, in milliseconds. Longer gaps (a
+ * background tab, a breakpoint, a long task) are clamped so animations do not
+ * jump ahead.
+ */
+export const MAX_FRAME_DELTA = 100;
+
+/**
+ * requestAnimationFrame timestamps jitter by a fraction of a millisecond; frames
+ * that arrive this close to the interval still count as due.
+ */
+const FRAME_TOLERANCE = 1;
+
+/**
+ * Create a clock that turns requestAnimationFrame timestamps into {@link FrameInfo}
+ * for the animation frame functions, throttled to a target frame rate.
+ * @param {Object} [options] - Clock options
+ * @param {number} [options.fps=60] - Maximum frames per second
+ * @returns {Object} Frame clock
+ * @example
+ * const clock = createFrameClock({ fps: 30 });
+ * const loop = (timestamp) => {
+ *   requestAnimationFrame(loop);
+ *   const frameInfo = clock.tick(timestamp, speed);
+ *   if (frameInfo) frame(frameInfo);
+ * };
+ */
+export const createFrameClock = ({ fps = 60 } = {}) => {
+  let frameInterval = 1000 / fps;
+  let lastTime = null;
+  let time = 0;
+  let frame = 0;
+  // Measured frame rate: frames delivered since windowStart
+  let measuredFps = 0;
+  let windowStart = null;
+  let windowFrames = 0;
+
+  return {
+    /**
+     * Advance the clock to a timestamp
+     * @param {number} timestamp - requestAnimationFrame timestamp in milliseconds
+     * @param {number} [speed=1] - Playback speed; scales deltaTime
+     * @returns {FrameInfo|null} Info for the frame to draw, or null when no frame is due yet
+     */
+    tick(timestamp, speed = 1) {
+      if (lastTime === null) {
+        // First frame, or the first after a pause: advance one interval
+        lastTime = timestamp - frameInterval;
+      }
+
+      const elapsed = timestamp - lastTime;
+      if (elapsed < frameInterval - FRAME_TOLERANCE) {
+        return null;
+      }
+
+      // Carry the overshoot into the next interval so the average rate matches fps
+      lastTime = timestamp - (Math.max(0, elapsed - frameInterval) % frameInterval);
+
+      const deltaTime = Math.min(elapsed, MAX_FRAME_DELTA) * speed;
+      time += deltaTime;
+
+      if (windowStart === null) windowStart = timestamp;
+      windowFrames++;
+      if (timestamp - windowStart >= 1000) {
+        measuredFps = (windowFrames * 1000) / (timestamp - windowStart);
+        windowStart = timestamp;
+        windowFrames = 0;
+      }
+
+      return { time, deltaTime, frame: frame++ };
+    },
+
+    /**
+     * Advance by a fixed amount of animation time, independently of wall time,
+     * e.g. to step through a paused animation frame by frame
+     * @param {number} deltaTime - Animation time to advance by in milliseconds
+     * @returns {FrameInfo} Info for the frame to draw
+     */
+    step(deltaTime) {
+      time += deltaTime;
+      return { time, deltaTime, frame: frame++ };
+    },
+
+    /**
+     * Change the maximum frame rate without resetting the animation time,
+     * e.g. when adaptive quality lowers it
+     * @param {number} nextFps - Maximum frames per second
+     */
+    setFps(nextFps) {
+      frameInterval = 1000 / nextFps;
+    },
+
+    /**
+     * Get the current animation time, frame count and measured frame rate
+     * @returns {FrameStats} Stats
+     */
+    getStats() {
+      return { time, frame, fps: measuredFps };
+    },
+
+    /**
+     * Stop counting wall time until the next tick, e.g. while playback is paused,
+     * so the pause is not reported as elapsed time
+     */
+    pause() {
+      lastTime = null;
+      measuredFps = 0;
+      windowStart = null;
+      windowFrames = 0;
+    },
+
+    /**
+     * Restart animation time and the frame count at 0
+     */
+    reset() {
+      lastTime = null;
+      time = 0;
+      frame = 0;
+      measuredFps = 0;
+      windowStart = null;
+      windowFrames = 0;
+    }
+  };
+};
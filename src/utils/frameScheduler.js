@@ -0,0 +1,159 @@
+/**
+ * @fileoverview One requestAnimationFrame loop shared by everything that animates
+ * @module FrameScheduler
+ */
+
+/**
+ * Task priorities, run in this order within a frame. Input and update tasks
+ * always run; render and idle tasks may be skipped for a frame once the frame
+ * budget is used up.
+ */
+export const FRAME_PRIORITY = {
+  // Reading input that later tasks react to, e.g. audio analysis
+  INPUT: 0,
+  // Advancing state, e.g. sequencer timelines and theme transitions
+  UPDATE: 1,
+  // Drawing backgrounds
+  RENDER: 2,
+  // Drawing that can wait, e.g. decorative backgrounds below the fold
+  IDLE: 3
+};
+
+/**
+ * Milliseconds of task work per frame after which render and idle tasks are
+ * deferred to the next frame. A 60Hz frame lasts 16.7ms; the rest is left to the browser.
+ */
+export const DEFAULT_FRAME_BUDGET = 12;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Resolved on use, so the module can be imported where there is no requestAnimationFrame (server rendering)
+const defaultRequestFrame = (callback) => (
+  typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(now()), 1000 / 60)
+);
+
+const defaultCancelFrame = (id) => (
+  typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame(id) : clearTimeout(id)
+);
+
+/**
+ * Create a frame scheduler: tasks added to it run once per animation frame, in
+ * order of priority and then of registration, from a single requestAnimationFrame
+ * loop that only runs while there are tasks.
+ *
+ * Use the shared {@link frameScheduler} so all animations on a page tick together;
+ * create your own only for a separate loop, e.g. in tests.
+ * @param {Object} [options] - Scheduler options
+ * @param {number} [options.budget=DEFAULT_FRAME_BUDGET] - Milliseconds of work per frame, see setBudget
+ * @param {Function} [options.requestFrame] - requestAnimationFrame replacement
+ * @param {Function} [options.cancelFrame] - cancelAnimationFrame replacement
+ * @returns {Object} Scheduler with add, setBudget and getStats
+ */
+export const createFrameScheduler = ({
+  budget = DEFAULT_FRAME_BUDGET,
+  requestFrame = defaultRequestFrame,
+  cancelFrame = defaultCancelFrame
+} = {}) => {
+  let frameBudget = budget;
+  let tasks = [];
+  let nextId = 0;
+  let pendingFrame = null;
+  let stats = { tasks: 0, frameTime: 0, deferred: 0 };
+
+  const tick = (timestamp) => {
+    pendingFrame = null;
+    const start = now();
+    let deferred = 0;
+
+    // Tasks added while the frame runs start on the next one
+    tasks.slice().forEach(task => {
+      if (task.removed) return;
+
+      // A deferred task runs on the next frame regardless of the budget, so nothing starves
+      if (task.priority >= FRAME_PRIORITY.RENDER && !task.deferred && now() - start > frameBudget) {
+        task.deferred = true;
+        deferred++;
+        return;
+      }
+      task.deferred = false;
+
+      try {
+        task.callback(timestamp);
+      } catch (error) {
+        // One failing task must not stop the others
+        console.error(`Frame task "${task.name}" failed:`, error);
+      }
+    });
+
+    stats = { tasks: tasks.length, frameTime: now() - start, deferred };
+    if (tasks.length > 0 && pendingFrame === null) {
+      pendingFrame = requestFrame(tick);
+    }
+  };
+
+  return {
+    /**
+     * Run a callback on every animation frame until it is removed
+     * @param {Function} callback - Called with the frame's requestAnimationFrame timestamp
+     * @param {Object} [options] - Task options
+     * @param {number} [options.priority=FRAME_PRIORITY.RENDER] - Lower runs earlier, see FRAME_PRIORITY
+     * @param {string} [options.name='anonymous'] - Name used in error messages
+     * @returns {Function} Removes the task
+     * @example
+     * const remove = frameScheduler.add((timestamp) => draw(timestamp), { priority: FRAME_PRIORITY.RENDER });
+     * // later
+     * remove();
+     */
+    add(callback, { priority = FRAME_PRIORITY.RENDER, name = 'anonymous' } = {}) {
+      if (typeof callback !== 'function') {
+        throw new Error('Frame tasks must be functions');
+      }
+
+      const task = { id: nextId++, callback, priority, name, removed: false, deferred: false };
+      tasks = [...tasks, task].sort((a, b) => a.priority - b.priority || a.id - b.id);
+      if (pendingFrame === null) {
+        pendingFrame = requestFrame(tick);
+      }
+
+      return () => {
+        if (task.removed) return;
+        task.removed = true;
+        tasks = tasks.filter(other => other !== task);
+        if (tasks.length === 0 && pendingFrame !== null) {
+          cancelFrame(pendingFrame);
+          pendingFrame = null;
+        }
+      };
+    },
+
+    /**
+     * Set how many milliseconds of work a frame may take before render and idle
+     * tasks are deferred; Infinity never defers
+     * @param {number} nextBudget - Frame budget in milliseconds
+     */
+    setBudget(nextBudget) {
+      if (typeof nextBudget !== 'number' || !(nextBudget > 0)) {
+        console.warn(`Invalid frame budget "${nextBudget}". Frame budgets must be positive numbers.`);
+        return;
+      }
+      frameBudget = nextBudget;
+    },
+
+    /**
+     * Get stats of the last frame
+     * @returns {{tasks: number, frameTime: number, deferred: number}} Registered tasks, milliseconds
+     *   the tasks took and tasks deferred to the next frame
+     */
+    getStats() {
+      return stats;
+    }
+  };
+};
+
+/**
+ * The scheduler shared by AnimatedBackground, LayeredBackground, AnimationSequencer,
+ * AudioAnalyzer, WebGLParticleSystem and ThemeManager transitions
+ */
+export const frameScheduler = createFrameScheduler();
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Animated GIF encoder with fixed-palette quantization, in plain JavaScript
+ * @module GifEncoder
+ */
+
+/**
+ * @typedef {Object} FrameImage
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8ClampedArray|Uint8Array} data - RGBA pixels, as in ImageData
+ */
+
+const PALETTE_SIZE = 256;
+const MAX_CODE = 4096;
+
+/**
+ * Parse a hex, rgb() or rgba() color into [r, g, b]
+ * @param {string} color - CSS color
+ * @returns {Array<number>|null} RGB channels, or null when the format is not supported
+ */
+const parseColor = (color) => {
+  if (typeof color !== 'string') return null;
+
+  if (color.startsWith('#')) {
+    let hex = color.slice(1);
+    if (hex.length <= 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    const value = parseInt(hex.slice(0, 6), 16);
+    return Number.isNaN(value) ? null : [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  const match = color.match(/^rgba?\(([^)]*)\)$/);
+  if (match) {
+    return match[1].split(',').slice(0, 3).map(channel => Math.round(parseFloat(channel)) & 255);
+  }
+
+  return null;
+};
+
+/**
+ * Build a 256-color palette that covers the RGB cube evenly
+ * (6 red x 7 green x 6 blue levels plus 4 grays)
+ * @returns {Array<Array<number>>} Palette as [r, g, b] entries
+ */
+export const createDefaultPalette = () => {
+  const palette = [];
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        palette.push([Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5)]);
+      }
+    }
+  }
+  [64, 128, 192, 224].forEach(gray => palette.push([gray, gray, gray]));
+  return palette;
+};
+
+/**
+ * Build a 256-color palette from a handful of theme colors. Each color gets a
+ * ramp from black through the color to white, so glows and fades stay smooth,
+ * and the remaining entries hold a gray ramp.
+ * @param {Array<string>} colors - CSS colors, e.g. themeManager.getCurrentColors()
+ * @returns {Array<Array<number>>} Palette as [r, g, b] entries
+ * @example
+ * const palette = createThemePalette(themeManager.getCurrentColors());
+ */
+export const createThemePalette = (colors) => {
+  const baseColors = colors.map(parseColor).filter(Boolean);
+  if (baseColors.length === 0) {
+    return createDefaultPalette();
+  }
+
+  const grayCount = 16;
+  const levels = Math.floor((PALETTE_SIZE - grayCount) / baseColors.length);
+  const palette = [];
+
+  baseColors.forEach(([r, g, b]) => {
+    for (let i = 0; i < levels; i++) {
+      // 0..1 darkens from black up to the color, 1..2 lightens towards white
+      const t = (i / (levels - 1)) * 2;
+      const mix = (channel) => Math.round(t <= 1 ? channel * t : channel + (255 - channel) * (t - 1));
+      palette.push([mix(r), mix(g), mix(b)]);
+    }
+  });
+
+  for (let i = 0; palette.length < PALETTE_SIZE; i++) {
+    const gray = Math.round((i / (grayCount - 1)) * 255);
+    palette.push([gray, gray, gray]);
+  }
+
+  return palette.slice(0, PALETTE_SIZE);
+};
+
+/**
+ * Create a function that maps RGB values to the index of the nearest palette color.
+ * Lookups are cached at 5 bits per channel.
+ * @param {Array<Array<number>>} palette - Palette as [r, g, b] entries
+ * @returns {Function} (r, g, b) => palette index
+ */
+const createQuantizer = (palette) => {
+  const cache = new Int16Array(32768).fill(-1);
+
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] >= 0) return cache[key];
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = palette[i][0] - r;
+      const dg = palette[i][1] - g;
+      const db = palette[i][2] - b;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+
+    cache[key] = best;
+    return best;
+  };
+};
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  /**
+   * Append one byte
+   * @param {number} value - Byte value
+   */
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  /**
+   * Append a 16-bit little-endian value
+   * @param {number} value - Value to write
+   */
+  short(value) {
+    this.byte(value & 255);
+    this.byte((value >> 8) & 255);
+  }
+
+  /**
+   * Append an ASCII string
+   * @param {string} text - Text to write
+   */
+  text(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.byte(text.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Get the written bytes
+   * @returns {Uint8Array} Bytes
+   */
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * LZW-compress palette indices and write them as GIF image data sub-blocks
+ * @param {ByteWriter} writer - Output
+ * @param {Uint8Array} indices - Palette index per pixel
+ */
+const writeImageData = (writer, indices) => {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    writer.byte(block.length);
+    block.forEach(value => writer.byte(value));
+    block.length = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 255);
+      if (block.length === 255) flushBlock();
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block.push(bitBuffer & 255);
+  }
+  if (block.length > 0) flushBlock();
+  writer.byte(0);
+};
+
+/**
+ * Encode frames as an animated GIF. Every frame is quantized to one shared
+ * palette; transparent pixels are composited onto black.
+ * @param {Array<FrameImage>} frames - Frames to encode, all the same size (e.g. ImageData)
+ * @param {Object} [options] - Encoder options
+ * @param {number} [options.fps=30] - Playback rate; GIF delays are rounded to 1/100 s
+ * @param {number} [options.loop=0] - How often to repeat, 0 loops forever
+ * @param {Array<Array<number>|string>} [options.palette] - Up to 256 colors, as [r, g, b] or CSS
+ *   colors; see {@link createThemePalette}. Defaults to {@link createDefaultPalette}
+ * @returns {Uint8Array} GIF file contents
+ * @throws {Error} When there are no frames or the frames differ in size
+ */
+export const encodeGif = (frames, { fps = 30, loop = 0, palette } = {}) => {
+  if (!frames || frames.length === 0) {
+    throw new Error('encodeGif needs at least one frame');
+  }
+
+  const { width, height } = frames[0];
+  const colors = (palette || createDefaultPalette())
+    .map(color => (Array.isArray(color) ? color : parseColor(color)))
+    .filter(Boolean)
+    .slice(0, PALETTE_SIZE);
+  if (colors.length === 0) {
+    throw new Error('encodeGif needs a palette with at least one valid color');
+  }
+  const quantize = createQuantizer(colors);
+  const delay = Math.max(2, Math.round(100 / fps));
+
+  const writer = new ByteWriter();
+
+  // Header and logical screen descriptor with a 256-entry global color table
+  writer.text('GIF89a');
+  writer.short(width);
+  writer.short(height);
+  writer.byte(0xf7);
+  writer.byte(0);
+  writer.byte(0);
+  for (let i = 0; i < PALETTE_SIZE; i++) {
+    const [r, g, b] = colors[i] || [0, 0, 0];
+    writer.byte(r);
+    writer.byte(g);
+    writer.byte(b);
+  }
+
+  // Looping (NETSCAPE2.0 application extension)
+  writer.byte(0x21);
+  writer.byte(0xff);
+  writer.byte(11);
+  writer.text('NETSCAPE2.0');
+  writer.byte(3);
+  writer.byte(1);
+  writer.short(loop);
+  writer.byte(0);
+
+  frames.forEach((frame, frameIndex) => {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error(`Frame ${frameIndex} is ${frame.width}x${frame.height}, expected ${width}x${height}`);
+    }
+
+    // Graphic control extension: frame delay
+    writer.byte(0x21);
+    writer.byte(0xf9);
+    writer.byte(4);
+    writer.byte(0);
+    writer.short(delay);
+    writer.byte(0);
+    writer.byte(0);
+
+    // Image descriptor covering the whole canvas
+    writer.byte(0x2c);
+    writer.short(0);
+    writer.short(0);
+    writer.short(width);
+    writer.short(height);
+    writer.byte(0);
+
+    const { data } = frame;
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const alpha = data[i * 4 + 3] / 255;
+      indices[i] = quantize(
+        Math.round(data[i * 4] * alpha),
+        Math.round(data[i * 4 + 1] * alpha),
+        Math.round(data[i * 4 + 2] * alpha)
+      );
+    }
+
+    writeImageData(writer, indices);
+  });
+
+  writer.byte(0x3b);
+  return writer.toBytes();
+};
@@ -3,6 +3,8 @@
  * @module InteractionUtils
  */
 
+import { getLogicalSize } from './canvasUtils';
+
 /**
  * @typedef {Object} InteractionPoint
  * @property {number} x - X coordinate
@@ -19,33 +21,48 @@
  * @property {boolean} continuous - Whether effect continues after interaction ends
  */
 
+/**
+ * Interaction settings used for the keys a config leaves out
+ */
+const INTERACTION_DEFAULTS = {
+  effect: 'attract',
+  strength: 0.5,
+  radius: 100,
+  continuous: false
+};
+
 /**
  * Creates an interaction handler for canvas animations
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {InteractionConfig} config - Interaction configuration
+ * @param {Function} [onChange] - Called with the new interaction points whenever they change
  * @returns {Object} Interaction handler with event listeners and state
  */
-export const createInteractionHandler = (canvas, config = {}) => {
-  const {
-    effect = 'attract',
-    strength = 0.5,
-    radius = 100,
-    continuous = false
-  } = config;
+export const createInteractionHandler = (canvas, config = {}, onChange) => {
+  // Settings are read whenever they are used, so updateConfig and setConfig apply right away
+  let currentConfig = config;
+  const setting = key => (currentConfig[key] !== undefined ? currentConfig[key] : INTERACTION_DEFAULTS[key]);
 
   let isInteracting = false;
   let interactionPoints = [];
   let touchPoints = new Map();
 
+  const setInteractionPoints = (points) => {
+    interactionPoints = points;
+    if (onChange) onChange(points);
+  };
+
   /**
    * Get normalized coordinates from event
    * @param {Event} event - Mouse or touch event
    * @returns {InteractionPoint|null} Normalized interaction point
    */
   const getInteractionPoint = (event) => {
+    // Animations work in logical (CSS pixel) coordinates, not backing store pixels
     const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
+    const size = getLogicalSize(canvas);
+    const scaleX = size.width / rect.width;
+    const scaleY = size.height / rect.height;
 
     if (event.type.startsWith('touch')) {
       const touch = event.touches[0] || event.changedTouches[0];
@@ -65,6 +82,22 @@ export const createInteractionHandler = (canvas, config = {}) => {
     }
   };
 
+  /**
+   * Get logical coordinates for a single touch
+   * @param {Touch} touch - Touch from a touch event
+   * @returns {InteractionPoint} Interaction point
+   */
+  const getTouchPoint = (touch) => {
+    const rect = canvas.getBoundingClientRect();
+    const size = getLogicalSize(canvas);
+    return {
+      x: (touch.clientX - rect.left) * (size.width / rect.width),
+      y: (touch.clientY - rect.top) * (size.height / rect.height),
+      force: touch.force || 0.5,
+      type: 'touch'
+    };
+  };
+
   /**
    * Calculate interaction force between two points
    * @param {Object} particle - Particle with x, y coordinates
@@ -75,15 +108,16 @@ export const createInteractionHandler = (canvas, config = {}) => {
     const dx = interactionPoint.x - particle.x;
     const dy = interactionPoint.y - particle.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
+    const radius = setting('radius');
     
     if (distance === 0 || distance > radius) {
       return { fx: 0, fy: 0, distance };
     }
 
     const normalizedDistance = distance / radius;
-    let forceMagnitude = (1 - normalizedDistance) * strength * interactionPoint.force;
+    let forceMagnitude = (1 - normalizedDistance) * setting('strength') * interactionPoint.force;
 
-    switch (effect) {
+    switch (setting('effect')) {
       case 'attract':
         forceMagnitude *= 1;
         break;
@@ -134,47 +168,35 @@ export const createInteractionHandler = (canvas, config = {}) => {
   const handleMouseDown = (event) => {
     isInteracting = true;
     const point = getInteractionPoint(event);
-    if (point) interactionPoints = [point];
+    if (point) setInteractionPoints([point]);
   };
 
   const handleMouseMove = (event) => {
-    if (isInteracting || continuous) {
+    if (isInteracting || setting('continuous')) {
       const point = getInteractionPoint(event);
-      if (point) interactionPoints = [point];
+      if (point) setInteractionPoints([point]);
     }
   };
 
   const handleMouseUp = () => {
     isInteracting = false;
-    if (!continuous) interactionPoints = [];
+    if (!setting('continuous')) setInteractionPoints([]);
   };
 
   const handleTouchStart = (event) => {
     event.preventDefault();
-    Array.from(event.touches).forEach((touch, index) => {
-      const point = {
-        x: (touch.clientX - canvas.getBoundingClientRect().left) * (canvas.width / canvas.getBoundingClientRect().width),
-        y: (touch.clientY - canvas.getBoundingClientRect().top) * (canvas.height / canvas.getBoundingClientRect().height),
-        force: touch.force || 0.5,
-        type: 'touch'
-      };
-      touchPoints.set(touch.identifier, point);
+    Array.from(event.touches).forEach((touch) => {
+      touchPoints.set(touch.identifier, getTouchPoint(touch));
     });
-    interactionPoints = Array.from(touchPoints.values());
+    setInteractionPoints(Array.from(touchPoints.values()));
   };
 
   const handleTouchMove = (event) => {
     event.preventDefault();
     Array.from(event.touches).forEach((touch) => {
-      const point = {
-        x: (touch.clientX - canvas.getBoundingClientRect().left) * (canvas.width / canvas.getBoundingClientRect().width),
-        y: (touch.clientY - canvas.getBoundingClientRect().top) * (canvas.height / canvas.getBoundingClientRect().height),
-        force: touch.force || 0.5,
-        type: 'touch'
-      };
-      touchPoints.set(touch.identifier, point);
+      touchPoints.set(touch.identifier, getTouchPoint(touch));
     });
-    interactionPoints = Array.from(touchPoints.values());
+    setInteractionPoints(Array.from(touchPoints.values()));
   };
 
   const handleTouchEnd = (event) => {
@@ -182,7 +204,7 @@ export const createInteractionHandler = (canvas, config = {}) => {
     Array.from(event.changedTouches).forEach((touch) => {
       touchPoints.delete(touch.identifier);
     });
-    interactionPoints = Array.from(touchPoints.values());
+    setInteractionPoints(Array.from(touchPoints.values()));
   };
 
   // Attach event listeners
@@ -216,9 +238,15 @@ export const createInteractionHandler = (canvas, config = {}) => {
     removeListeners,
     calculateInteractionForce,
     getInteractionPoints: () => interactionPoints,
+    // Replace the points, e.g. with points forwarded from the main thread to a worker
+    setInteractionPoints,
     isInteracting: () => isInteracting,
     updateConfig: (newConfig) => {
-      Object.assign(config, newConfig);
+      Object.assign(currentConfig, newConfig);
+    },
+    // Replace the whole config; keys it leaves out go back to their defaults
+    setConfig: (newConfig) => {
+      currentConfig = { ...newConfig };
     }
   };
 };
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Per-layer filters, tints and color grading, applied when a layer is composited
+ * @module LayerFilter
+ */
+
+/**
+ * @typedef {Object} LayerFilterConfig
+ * @property {number} [blur] - Blur radius in pixels
+ * @property {number} [brightness] - 1 leaves the layer unchanged
+ * @property {number} [contrast] - 1 leaves the layer unchanged
+ * @property {number} [grayscale] - 0 to 1
+ * @property {number} [hueRotate] - Hue rotation in degrees
+ * @property {number} [invert] - 0 to 1
+ * @property {number} [saturate] - 1 leaves the layer unchanged
+ * @property {number} [sepia] - 0 to 1
+ * @property {{x: number, y: number, blur: number, color: string}} [dropShadow] - Shadow of the layer's content
+ */
+
+/**
+ * @typedef {Object} TintConfig
+ * @property {string} color - CSS color
+ * @property {number} [amount=0.5] - Strength of the tint (0-1)
+ * @property {string} [mode='color'] - Blend mode the color is applied with: 'color' keeps the layer's
+ *   brightness, 'multiply' darkens, 'screen' lightens, 'source-over' paints it flat
+ */
+
+/**
+ * @typedef {Object} ColorGradeConfig
+ * Lookup tables per channel: output levels (0-1) spread evenly over the input range,
+ * as in SVG's feComponentTransfer. Channels without a table are left unchanged.
+ * @property {Array<number>} [red] - Red channel table
+ * @property {Array<number>} [green] - Green channel table
+ * @property {Array<number>} [blue] - Blue channel table
+ */
+
+/**
+ * CSS filter function for each filter option
+ */
+const FILTER_FUNCTIONS = {
+  blur: value => `blur(${value}px)`,
+  brightness: value => `brightness(${value})`,
+  contrast: value => `contrast(${value})`,
+  grayscale: value => `grayscale(${value})`,
+  hueRotate: value => `hue-rotate(${value}deg)`,
+  invert: value => `invert(${value})`,
+  saturate: value => `saturate(${value})`,
+  sepia: value => `sepia(${value})`,
+  dropShadow: ({ x = 0, y = 0, blur = 0, color = 'rgba(0, 0, 0, 0.5)' }) => (
+    `drop-shadow(${x}px ${y}px ${blur}px ${color})`
+  )
+};
+
+export const FILTER_NAMES = Object.keys(FILTER_FUNCTIONS);
+
+const TINT_MODES = [
+  'color', 'multiply', 'screen', 'overlay', 'soft-light', 'hard-light', 'hue', 'saturation', 'source-over'
+];
+
+const GRADE_CHANNELS = { red: 'feFuncR', green: 'feFuncG', blue: 'feFuncB' };
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Warnings already shown; layers are resolved again whenever the layers prop changes
+ */
+const shownWarnings = new Set();
+
+const warnOnce = (message) => {
+  if (!shownWarnings.has(message)) {
+    shownWarnings.add(message);
+    console.warn(message);
+  }
+};
+
+/**
+ * Check whether 2D canvases can apply CSS filters (Safari before 18 can't)
+ * @param {CanvasRenderingContext2D} ctx - Any 2D context
+ * @returns {boolean} True when ctx.filter is supported
+ */
+export const supportsCanvasFilter = ctx => typeof ctx.filter === 'string';
+
+/**
+ * Turn a layer's filter option into a CSS filter string
+ * @param {LayerFilterConfig|string} [filter] - Filter options, or a CSS filter string used as is
+ * @param {number} index - Layer index, for warnings
+ * @returns {string|null} CSS filter, or null for no filter
+ * @example
+ * resolveLayerFilter({ saturate: 1.4, hueRotate: -20 }, 0); // 'saturate(1.4) hue-rotate(-20deg)'
+ */
+export const resolveLayerFilter = (filter, index) => {
+  if (!filter) return null;
+  if (typeof filter === 'string') return filter;
+
+  const parts = Object.keys(filter).map(name => {
+    const value = filter[name];
+    const toCss = FILTER_FUNCTIONS[name];
+    if (!toCss) {
+      warnOnce(`Unknown filter "${name}" in layer ${index}. Use one of ${FILTER_NAMES.join(', ')}.`);
+      return null;
+    }
+    const valid = name === 'dropShadow' ? value && typeof value === 'object' : isFiniteNumber(value);
+    if (!valid) {
+      warnOnce(`Invalid filter ${name} "${value}" in layer ${index}. Ignoring it.`);
+      return null;
+    }
+    return toCss(value);
+  }).filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
+/**
+ * Validate a layer's tint option
+ * @param {TintConfig|string} [tint] - Tint options, or just the color
+ * @param {number} index - Layer index, for warnings
+ * @returns {TintConfig|null} Tint with defaults filled in, or null for no tint
+ */
+export const resolveTint = (tint, index) => {
+  if (!tint) return null;
+
+  const config = typeof tint === 'string' ? { color: tint } : tint;
+  let { amount = 0.5, mode = 'color' } = config;
+  if (typeof config.color !== 'string') {
+    warnOnce(`Tint in layer ${index} needs a color.`);
+    return null;
+  }
+  if (!isFiniteNumber(amount) || amount < 0 || amount > 1) {
+    warnOnce(`Invalid tint amount "${amount}" in layer ${index}. Using 0.5.`);
+    amount = 0.5;
+  }
+  if (!TINT_MODES.includes(mode)) {
+    warnOnce(`Invalid tint mode "${mode}" in layer ${index}. Use one of ${TINT_MODES.join(', ')}. Using color.`);
+    mode = 'color';
+  }
+  return { color: config.color, amount, mode };
+};
+
+/**
+ * Tint the layer on a canvas. The color is blended over the whole canvas, then
+ * cut back to the layer's own shape, so transparent areas stay transparent.
+ * @param {CanvasRenderingContext2D} ctx - Context holding only the layer
+ * @param {TintConfig} tint - Resolved tint
+ * @param {number} width - Logical width
+ * @param {number} height - Logical height
+ * @param {Function} drawLayer - Draws the layer onto ctx again, for its shape
+ */
+export const applyTint = (ctx, tint, width, height, drawLayer) => {
+  ctx.save();
+  ctx.globalCompositeOperation = tint.mode;
+  ctx.globalAlpha = tint.amount;
+  ctx.fillStyle = tint.color;
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.globalAlpha = 1;
+  drawLayer(ctx);
+  ctx.restore();
+};
+
+let nextGradeId = 0;
+
+/**
+ * Create the SVG filter a layer's color grade is applied with. Canvases reference
+ * it by URL in their filter, which needs a browser that supports url() in canvas
+ * filters; elsewhere the layer is drawn ungraded.
+ * @param {ColorGradeConfig} [grade] - Color grade
+ * @param {number} index - Layer index, for warnings
+ * @returns {{filter: string, remove: Function}|null} CSS filter referencing the SVG filter and a
+ *   function that removes it from the document, or null for no grade
+ */
+export const createColorGrade = (grade, index) => {
+  if (!grade || typeof document === 'undefined') return null;
+
+  const channels = Object.keys(GRADE_CHANNELS).filter(channel => {
+    const table = grade[channel];
+    if (table === undefined) return false;
+    const valid = Array.isArray(table) && table.length >= 2 && table.every(value => isFiniteNumber(value) && value >= 0 && value <= 1);
+    if (!valid) {
+      warnOnce(`Invalid color grade ${channel} table "${table}" in layer ${index}. Use at least two levels from 0 to 1.`);
+    }
+    return valid;
+  });
+  if (channels.length === 0) return null;
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const id = `animated-backgrounds-grade-${nextGradeId++}`;
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('width', '0');
+  svg.setAttribute('height', '0');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.style.position = 'absolute';
+
+  const filter = document.createElementNS(svgNs, 'filter');
+  filter.setAttribute('id', id);
+  filter.setAttribute('color-interpolation-filters', 'sRGB');
+  const transfer = document.createElementNS(svgNs, 'feComponentTransfer');
+  channels.forEach(channel => {
+    const func = document.createElementNS(svgNs, GRADE_CHANNELS[channel]);
+    func.setAttribute('type', 'table');
+    func.setAttribute('tableValues', grade[channel].join(' '));
+    transfer.appendChild(func);
+  });
+  filter.appendChild(transfer);
+  svg.appendChild(filter);
+  document.body.appendChild(svg);
+
+  return {
+    filter: `url(#${id})`,
+    remove: () => svg.remove()
+  };
+};
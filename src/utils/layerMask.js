@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Masks that confine a layer to a region: shapes, alpha ramps, images, text or another layer
+ * @module LayerMask
+ */
+
+/**
+ * @typedef {Object} LayerMaskConfig
+ * @property {'circle'|'rect'|'linear-gradient'|'radial-gradient'|'image'|'text'|'layer'} type - Mask type
+ * @property {boolean} [invert=false] - Hide the layer inside the mask instead of outside it
+ * @property {number} [feather=0] - Soft edge in pixels for shapes, images and text
+ *
+ * Positions and sizes are fractions of the canvas: x and y of its width and height,
+ * radius of its shorter side. Per type:
+ * - circle: x=0.5, y=0.5, radius=0.4
+ * - rect: x=0, y=0, width=1, height=1 (top left corner and size), cornerRadius=0 in pixels
+ * - linear-gradient: angle=180 in degrees as in CSS (180 fades from top to bottom), stops
+ * - radial-gradient: x=0.5, y=0.5, radius=0.5, stops
+ * - image: src (URL; its alpha is the mask), fit='cover' ('cover', 'contain' or 'stretch')
+ * - text: text (lines separated by \n), x=0.5, y=0.5, fontFamily='sans-serif', fontWeight='bold',
+ *   fontSize in pixels (fills 80% of the width when not set)
+ * - layer: layer (index or key of the layer whose current frame is the mask)
+ *
+ * Gradient stops are [offset, alpha] pairs; the default [[0, 1], [1, 0]] fades from opaque to transparent.
+ */
+
+/**
+ * Defaults per mask type; options not listed here are ignored
+ */
+const MASK_DEFAULTS = {
+  circle: { x: 0.5, y: 0.5, radius: 0.4, feather: 0 },
+  rect: { x: 0, y: 0, width: 1, height: 1, cornerRadius: 0, feather: 0 },
+  'linear-gradient': { angle: 180, stops: [[0, 1], [1, 0]] },
+  'radial-gradient': { x: 0.5, y: 0.5, radius: 0.5, stops: [[0, 1], [1, 0]] },
+  image: { src: undefined, fit: 'cover', feather: 0 },
+  text: {
+    text: undefined, x: 0.5, y: 0.5, fontFamily: 'sans-serif', fontWeight: 'bold', fontSize: undefined, feather: 0
+  },
+  layer: { layer: undefined }
+};
+
+export const MASK_TYPES = Object.keys(MASK_DEFAULTS);
+
+const IMAGE_FITS = ['cover', 'contain', 'stretch'];
+
+/**
+ * Share of the canvas width an auto-sized text mask fills
+ */
+const TEXT_FILL = 0.8;
+
+const LINE_HEIGHT = 1.1;
+
+const isValidStops = stops => Array.isArray(stops) && stops.length > 0 && stops.every(stop => (
+  Array.isArray(stop) && stop.length === 2 && stop.every(value => typeof value === 'number' && value >= 0 && value <= 1)
+));
+
+/**
+ * Validate a layer's mask config
+ * @param {LayerMaskConfig} [mask] - Mask config
+ * @param {number} index - Index of the masked layer
+ * @param {number} layerCount - Number of layers, for layer masks
+ * @returns {LayerMaskConfig|null} Config with defaults filled in, or null for no (or an unusable) mask
+ */
+export const resolveMask = (mask, index, layerCount) => {
+  if (!mask) return null;
+
+  const defaults = MASK_DEFAULTS[mask.type];
+  if (!defaults) {
+    console.warn(`Unknown mask type "${mask.type}" in layer ${index}. Use one of ${MASK_TYPES.join(', ')}.`);
+    return null;
+  }
+
+  const config = { type: mask.type, invert: Boolean(mask.invert) };
+  Object.keys(defaults).forEach(key => {
+    const value = mask[key];
+    const fallback = defaults[key];
+    const numeric = typeof fallback === 'number' || key === 'fontSize';
+    const valid = value !== undefined && (
+      key === 'stops' ? isValidStops(value) : !numeric || (typeof value === 'number' && Number.isFinite(value))
+    );
+    if (value !== undefined && !valid) {
+      console.warn(`Invalid mask ${key} "${value}" in layer ${index}. Using the default.`);
+    }
+    config[key] = valid ? value : fallback;
+  });
+
+  if (config.type === 'image' && typeof config.src !== 'string') {
+    console.warn(`Image mask in layer ${index} needs a src.`);
+    return null;
+  }
+  if (config.type === 'image' && !IMAGE_FITS.includes(config.fit)) {
+    console.warn(`Invalid mask fit "${config.fit}" in layer ${index}. Use one of ${IMAGE_FITS.join(', ')}. Using cover.`);
+    config.fit = 'cover';
+  }
+  if (config.type === 'text' && (typeof config.text !== 'string' || config.text === '')) {
+    console.warn(`Text mask in layer ${index} needs a text.`);
+    return null;
+  }
+  if (config.type === 'layer') {
+    const source = config.layer;
+    const validIndex = Number.isInteger(source) && source >= 0 && source < layerCount && source !== index;
+    if (!validIndex && !(typeof source === 'string' && source !== '')) {
+      console.warn(`Layer mask in layer ${index} must name another layer by index or key, got "${source}".`);
+      return null;
+    }
+  }
+  return config;
+};
+
+/**
+ * Fill a rectangle with rounded corners
+ */
+const fillRoundedRect = (ctx, x, y, width, height, radius) => {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+  ctx.fill();
+};
+
+const addStops = (gradient, stops) => {
+  stops.forEach(([offset, alpha]) => gradient.addColorStop(offset, `rgba(0, 0, 0, ${alpha})`));
+  return gradient;
+};
+
+/**
+ * Draw an image scaled to the canvas
+ */
+const drawFitted = (ctx, image, fit, width, height) => {
+  if (fit === 'stretch') {
+    ctx.drawImage(image, 0, 0, width, height);
+    return;
+  }
+  const scaleX = width / image.naturalWidth;
+  const scaleY = height / image.naturalHeight;
+  const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  const drawWidth = image.naturalWidth * scale;
+  const drawHeight = image.naturalHeight * scale;
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+const drawText = (ctx, config, width, height) => {
+  const lines = config.text.split('\n');
+  const fontFor = size => `${config.fontWeight} ${size}px ${config.fontFamily}`;
+
+  let { fontSize } = config;
+  if (fontSize === undefined) {
+    // Measure at a reference size and scale the widest line to the fill width
+    ctx.font = fontFor(100);
+    const widest = Math.max(...lines.map(line => ctx.measureText(line).width));
+    fontSize = widest > 0 ? (100 * width * TEXT_FILL) / widest : 100;
+    // ...unless the lines would not fit the height
+    fontSize = Math.min(fontSize, (height * TEXT_FILL) / (lines.length * LINE_HEIGHT));
+  }
+
+  ctx.font = fontFor(fontSize);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const top = config.y * height - ((lines.length - 1) * fontSize * LINE_HEIGHT) / 2;
+  lines.forEach((line, index) => {
+    ctx.fillText(line, config.x * width, top + index * fontSize * LINE_HEIGHT);
+  });
+};
+
+/**
+ * Draw a mask's alpha onto a cleared canvas. Layer masks are drawn by the host,
+ * which has the layer canvases.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on, scaled to logical pixels
+ * @param {LayerMaskConfig} config - Resolved mask config
+ * @param {number} width - Logical width
+ * @param {number} height - Logical height
+ * @param {HTMLImageElement} [image] - Loaded image, for image masks
+ */
+export const drawMask = (ctx, config, width, height, image) => {
+  const shorterSide = Math.min(width, height);
+  ctx.save();
+  ctx.fillStyle = '#000';
+  if (config.feather > 0) {
+    ctx.filter = `blur(${config.feather}px)`;
+  }
+
+  switch (config.type) {
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(config.x * width, config.y * height, config.radius * shorterSide, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case 'rect':
+      fillRoundedRect(ctx, config.x * width, config.y * height, config.width * width, config.height * height, config.cornerRadius);
+      break;
+    case 'linear-gradient': {
+      // The gradient line spans the canvas along the angle, as in CSS
+      const angle = (config.angle * Math.PI) / 180;
+      const length = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+      const dx = (Math.sin(angle) * length) / 2;
+      const dy = (-Math.cos(angle) * length) / 2;
+      const cx = width / 2;
+      const cy = height / 2;
+      ctx.fillStyle = addStops(ctx.createLinearGradient(cx - dx, cy - dy, cx + dx, cy + dy), config.stops);
+      ctx.fillRect(0, 0, width, height);
+      break;
+    }
+    case 'radial-gradient': {
+      const x = config.x * width;
+      const y = config.y * height;
+      ctx.fillStyle = addStops(ctx.createRadialGradient(x, y, 0, x, y, config.radius * shorterSide), config.stops);
+      ctx.fillRect(0, 0, width, height);
+      break;
+    }
+    case 'image':
+      if (image) {
+        drawFitted(ctx, image, config.fit, width, height);
+      }
+      break;
+    case 'text':
+      drawText(ctx, config, width, height);
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+};
+
+/**
+ * Load the image of an image mask. Cross-origin images must allow CORS, or the
+ * canvas can no longer be read (snapshots fail).
+ * @param {string} src - Image URL
+ * @param {Function} onLoad - Called with the image once it has loaded
+ * @returns {Function} Cleanup function that ignores a pending load
+ */
+export const loadMaskImage = (src, onLoad) => {
+  let cancelled = false;
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    if (!cancelled) onLoad(image);
+  };
+  image.onerror = () => {
+    if (!cancelled) console.warn(`Mask image "${src}" could not be loaded`);
+  };
+  image.src = src;
+  return () => {
+    cancelled = true;
+  };
+};
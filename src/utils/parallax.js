@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Scroll- and pointer-driven parallax and depth of field for layers
+ * @module Parallax
+ */
+
+/**
+ * @typedef {Object} ParallaxConfig
+ * @property {number} [scroll=0] - Pixels the layer shifts per pixel scrolled, in the direction the page
+ *   moves; bigger values read as nearer layers
+ * @property {number} [pointer=0] - Share of the pointer's distance from the canvas center the layer
+ *   shifts by, away from the pointer; bigger values read as nearer layers
+ * @property {'both'|'x'|'y'} [axis='both'] - Axes the layer shifts along
+ */
+
+/**
+ * @typedef {Object} DepthOfFieldConfig
+ * @property {number} [blur=4] - Blur in pixels of the layer farthest from the focus
+ * @property {number} [focus] - Depth that stays sharp; the nearest layer's depth when not set
+ */
+
+export const PARALLAX_AXES = ['both', 'x', 'y'];
+
+/**
+ * Time constant of the pointer easing in milliseconds: layers follow the pointer
+ * smoothly instead of jumping with every event
+ */
+const POINTER_EASING = 120;
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Warnings already shown; parallax and depth of field are resolved again on later renders
+ */
+const shownWarnings = new Set();
+
+const warnOnce = (message) => {
+  if (!shownWarnings.has(message)) {
+    shownWarnings.add(message);
+    console.warn(message);
+  }
+};
+
+/**
+ * Validate a layer's parallax config
+ * @param {ParallaxConfig} [parallax] - Parallax config
+ * @param {number} index - Layer index, for warnings
+ * @returns {ParallaxConfig|null} Config with defaults filled in, or null for a layer without parallax
+ */
+export const resolveParallax = (parallax, index) => {
+  if (!parallax) return null;
+
+  let { scroll = 0, pointer = 0, axis = 'both' } = parallax;
+  if (!isFiniteNumber(scroll)) {
+    warnOnce(`Invalid parallax scroll "${scroll}" in layer ${index}. Using 0.`);
+    scroll = 0;
+  }
+  if (!isFiniteNumber(pointer)) {
+    warnOnce(`Invalid parallax pointer "${pointer}" in layer ${index}. Using 0.`);
+    pointer = 0;
+  }
+  if (!PARALLAX_AXES.includes(axis)) {
+    warnOnce(`Invalid parallax axis "${axis}" in layer ${index}. Use one of ${PARALLAX_AXES.join(', ')}. Using both.`);
+    axis = 'both';
+  }
+
+  return scroll === 0 && pointer === 0 ? null : { scroll, pointer, axis };
+};
+
+/**
+ * Depth of a layer: how strongly it moves with scrolling and the pointer. Layers
+ * without parallax sit at depth 0, the far background.
+ * @param {ParallaxConfig|null} parallax - Resolved parallax config
+ * @returns {number} Depth
+ */
+export const getLayerDepth = parallax => (
+  parallax ? Math.max(Math.abs(parallax.scroll), Math.abs(parallax.pointer)) : 0
+);
+
+/**
+ * Validate the depthOfField prop
+ * @param {DepthOfFieldConfig|boolean} [depthOfField] - Depth of field config, or true for the defaults
+ * @returns {DepthOfFieldConfig|null} Config with defaults filled in, or null for no depth of field
+ */
+export const resolveDepthOfField = (depthOfField) => {
+  if (!depthOfField) return null;
+
+  const config = depthOfField === true ? {} : depthOfField;
+  let { blur = 4, focus } = config;
+  if (!isFiniteNumber(blur) || blur < 0) {
+    warnOnce(`Invalid depth of field blur "${blur}". Using 4.`);
+    blur = 4;
+  }
+  if (focus !== undefined && !isFiniteNumber(focus)) {
+    warnOnce(`Invalid depth of field focus "${focus}". Focusing the nearest layer.`);
+    focus = undefined;
+  }
+  return { blur, focus };
+};
+
+/**
+ * Blur of each layer: none at the focus depth, growing with the distance from it
+ * up to the configured blur for the layer farthest away
+ * @param {Array<number>} depths - Layer depths, see getLayerDepth
+ * @param {DepthOfFieldConfig|null} depthOfField - Resolved depth of field config
+ * @returns {Array<number>} Blur in pixels per layer
+ * @example
+ * getDepthOfFieldBlurs([0, 0.2, 0.6], { blur: 6 }); // [6, 4, 0]
+ */
+export const getDepthOfFieldBlurs = (depths, depthOfField) => {
+  if (!depthOfField || depths.length === 0) return depths.map(() => 0);
+
+  const focus = depthOfField.focus !== undefined ? depthOfField.focus : Math.max(...depths);
+  const distances = depths.map(depth => Math.abs(depth - focus));
+  const farthest = Math.max(...distances);
+  return distances.map(distance => (farthest > 0 ? depthOfField.blur * distance / farthest : 0));
+};
+
+/**
+ * Track the page scroll and the pointer position relative to a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas the pointer position is measured against
+ * @returns {Object} Tracker with update(deltaTime), getOffset(parallax) and stop()
+ * @example
+ * const tracker = createParallaxTracker(canvas);
+ * // once per frame
+ * tracker.update(deltaTime);
+ * const { x, y } = tracker.getOffset(layer.parallax);
+ * // when done
+ * tracker.stop();
+ */
+export const createParallaxTracker = (canvas) => {
+  let scrollX = window.scrollX;
+  let scrollY = window.scrollY;
+  // Pointer distance from the canvas center: the latest event, and where the layers have eased to
+  const target = { x: 0, y: 0 };
+  const pointer = { x: 0, y: 0 };
+
+  const handleScroll = () => {
+    scrollX = window.scrollX;
+    scrollY = window.scrollY;
+  };
+
+  const handlePointerMove = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    target.x = event.clientX - (rect.left + rect.width / 2);
+    target.y = event.clientY - (rect.top + rect.height / 2);
+  };
+
+  // Layers drift back to rest when the pointer leaves the window
+  const handlePointerOut = (event) => {
+    if (!event.relatedTarget) {
+      target.x = 0;
+      target.y = 0;
+    }
+  };
+
+  // Listen on the window: backgrounds usually sit behind the content and don't receive pointer events
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  window.addEventListener('pointermove', handlePointerMove, { passive: true });
+  document.addEventListener('pointerout', handlePointerOut);
+
+  return {
+    /**
+     * Ease the pointer offset toward the latest pointer position
+     * @param {number} deltaTime - Milliseconds since the last frame
+     */
+    update(deltaTime) {
+      const amount = 1 - Math.exp(-deltaTime / POINTER_EASING);
+      pointer.x += (target.x - pointer.x) * amount;
+      pointer.y += (target.y - pointer.y) * amount;
+    },
+
+    /**
+     * Get a layer's offset for the current scroll and pointer position
+     * @param {ParallaxConfig|null} parallax - Resolved parallax config
+     * @returns {{x: number, y: number}} Offset in logical pixels
+     */
+    getOffset(parallax) {
+      if (!parallax) return { x: 0, y: 0 };
+
+      const { scroll, axis } = parallax;
+      return {
+        x: axis === 'y' ? 0 : -scrollX * scroll - pointer.x * parallax.pointer,
+        y: axis === 'x' ? 0 : -scrollY * scroll - pointer.y * parallax.pointer
+      };
+    },
+
+    stop() {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('pointermove', handlePointerMove);
+      document.removeEventListener('pointerout', handlePointerOut);
+    }
+  };
+};
+
+/**
+ * Draw an image shifted by an offset, wrapping it around at the edges so the
+ * area stays covered however far the layer shifts
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on
+ * @param {CanvasImageSource} image - Image to draw, e.g. a layer canvas
+ * @param {number} offsetX - Horizontal offset in logical pixels
+ * @param {number} offsetY - Vertical offset in logical pixels
+ * @param {number} width - Logical width of the drawn area
+ * @param {number} height - Logical height of the drawn area
+ */
+export const drawWrapped = (ctx, image, offsetX, offsetY, width, height) => {
+  // Whole pixels, so the seams between the copies don't show
+  const x = Math.round(((offsetX % width) + width) % width);
+  const y = Math.round(((offsetY % height) + height) % height);
+  const columns = x === 0 || x === width ? [0] : [x - width, x];
+  const rows = y === 0 || y === height ? [0] : [y - height, y];
+
+  rows.forEach(top => {
+    columns.forEach(left => ctx.drawImage(image, left, top, width, height));
+  });
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview PNG encoding of RGBA pixels, in plain JavaScript
+ * @module PngEncoder
+ */
+
+/**
+ * Largest payload of one stored (uncompressed) deflate block
+ */
+const MAX_STORED_BLOCK = 65535;
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a byte range, as used by PNG chunks
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @param {number} start - First byte
+ * @param {number} end - One past the last byte
+ * @returns {number} Checksum
+ */
+const crc32 = (bytes, start, end) => {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Adler-32 checksum, as used by zlib streams
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Checksum
+ */
+const adler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Wrap raw bytes in a zlib stream made of stored deflate blocks
+ * @param {Uint8Array} raw - Bytes to wrap
+ * @returns {Uint8Array} zlib stream
+ */
+const zlibStore = (raw) => {
+  const blockCount = Math.max(1, Math.ceil(raw.length / MAX_STORED_BLOCK));
+  const out = new Uint8Array(2 + raw.length + blockCount * 5 + 4);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+
+  out[offset++] = 0x78;
+  out[offset++] = 0x01;
+
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * MAX_STORED_BLOCK;
+    const length = Math.min(MAX_STORED_BLOCK, raw.length - start);
+    out[offset++] = block === blockCount - 1 ? 1 : 0;
+    view.setUint16(offset, length, true);
+    view.setUint16(offset + 2, ~length & 0xffff, true);
+    offset += 4;
+    out.set(raw.subarray(start, start + length), offset);
+    offset += length;
+  }
+
+  view.setUint32(offset, adler32(raw));
+  return out;
+};
+
+/**
+ * Encode RGBA pixels as a PNG file. The image data is stored without
+ * compression, which keeps the encoder small and fast; recompress the files
+ * with any PNG optimizer when size matters.
+ * @param {Object} image - Image to encode, e.g. ImageData
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {Uint8ClampedArray|Uint8Array} image.data - RGBA pixels
+ * @returns {Uint8Array} PNG file contents
+ * @throws {Error} When the pixel data does not match the size
+ */
+export const encodePng = ({ width, height, data }) => {
+  if (!data || data.length !== width * height * 4) {
+    throw new Error(`encodePng expects ${width}x${height} RGBA pixels`);
+  }
+
+  // Each scanline starts with filter type 0 (none)
+  const rowLength = width * 4;
+  const raw = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+
+  const chunks = [
+    ['IHDR', header],
+    ['IDAT', zlibStore(raw)],
+    ['IEND', new Uint8Array(0)]
+  ];
+
+  const size = PNG_SIGNATURE.length + chunks.reduce((total, [, body]) => total + body.length + 12, 0);
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  out.set(PNG_SIGNATURE);
+  let offset = PNG_SIGNATURE.length;
+
+  chunks.forEach(([type, body]) => {
+    view.setUint32(offset, body.length);
+    for (let i = 0; i < 4; i++) {
+      out[offset + 4 + i] = type.charCodeAt(i);
+    }
+    out.set(body, offset + 8);
+    view.setUint32(offset + 8 + body.length, crc32(out, offset + 4, offset + 8 + body.length));
+    offset += body.length + 12;
+  });
+
+  return out;
+};
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Poster frames: stills of a background shown while its canvas boots
+ * @module PosterFrame
+ */
+
+/**
+ * @typedef {Object} PosterFrameConfig
+ * @property {number} [time=0] - Animation time in milliseconds at which the still is captured
+ * @property {'image/png'|'image/webp'|'image/jpeg'} [type='image/webp'] - Image MIME type
+ * @property {number} [quality=0.8] - Quality for lossy formats (0-1)
+ * @property {number} [scale=0.5] - Pixels per CSS pixel; the poster is stretched over the canvas
+ * @property {boolean} [persist=true] - Keep the poster in localStorage, so it is there on the next visit
+ */
+
+/**
+ * localStorage key prefix of cached posters
+ */
+const STORAGE_PREFIX = 'animated-backgrounds:poster:';
+
+/**
+ * localStorage key of the list of stored poster keys, least recently used first
+ */
+const STORAGE_INDEX = 'animated-backgrounds:posters';
+
+/**
+ * Most posters kept in localStorage. Keys include the canvas size, so every window
+ * size adds one; the least recently used are dropped to leave the app its quota.
+ */
+export const MAX_STORED_POSTERS = 8;
+
+/**
+ * Posters captured or loaded during this page's lifetime, by scene key
+ * @type {Map<string, string>}
+ */
+const posters = new Map();
+
+/**
+ * Resolve the posterFrame prop
+ * @param {PosterFrameConfig|string|boolean} [posterFrame] - Poster config, true for the defaults, or an image URL
+ * @returns {PosterFrameConfig|{url: string}|null} Config with defaults filled in, the URL, or null for no poster
+ */
+export const resolvePosterFrame = (posterFrame) => {
+  if (!posterFrame) return null;
+  if (typeof posterFrame === 'string') return { url: posterFrame };
+
+  const config = posterFrame === true ? {} : posterFrame;
+  let { time = 0 } = config;
+  const { type = 'image/webp', quality = 0.8, scale = 0.5, persist = true } = config;
+  if (typeof time !== 'number' || !(time >= 0)) {
+    console.warn(`Invalid poster frame time "${time}". Using 0.`);
+    time = 0;
+  }
+  return { time, type, quality, scale, persist };
+};
+
+/**
+ * Build the cache key of a scene's poster. Without a seed a scene differs on
+ * every load, so its poster only resembles the live background.
+ * @param {Object} scene - Everything that determines the picture, e.g. animation, options, seed, theme and size
+ * @returns {string} Cache key
+ */
+export const getPosterKey = (scene) => JSON.stringify(scene);
+
+const getStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+};
+
+const readIndex = (storage) => {
+  try {
+    const index = JSON.parse(storage.getItem(STORAGE_INDEX));
+    return Array.isArray(index) ? index : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Mark a stored poster as the most recently used, dropping the least recently
+ * used ones over MAX_STORED_POSTERS
+ * @param {Storage} storage - localStorage
+ * @param {string} key - Scene key
+ */
+const touchStoredPoster = (storage, key) => {
+  const index = readIndex(storage).filter(other => other !== key);
+  index.push(key);
+  index.splice(0, index.length - MAX_STORED_POSTERS).forEach(oldKey => {
+    storage.removeItem(STORAGE_PREFIX + oldKey);
+  });
+  storage.setItem(STORAGE_INDEX, JSON.stringify(index));
+};
+
+/**
+ * Look up a cached poster
+ * @param {string} key - Scene key, see getPosterKey
+ * @returns {string|null} Data URL of the poster, or null
+ */
+export const readPoster = (key) => {
+  if (posters.has(key)) return posters.get(key);
+
+  const storage = getStorage();
+  const stored = storage ? storage.getItem(STORAGE_PREFIX + key) : null;
+  if (stored) {
+    posters.set(key, stored);
+    try {
+      touchStoredPoster(storage, key);
+    } catch (error) {
+      // Storage became read-only or full; the poster is still served
+    }
+  }
+  return stored;
+};
+
+/**
+ * Cache a captured poster
+ * @param {string} key - Scene key, see getPosterKey
+ * @param {Blob} blob - Encoded still
+ * @param {boolean} [persist=true] - Also keep it in localStorage
+ * @returns {Promise<string>} Data URL of the poster
+ */
+export const storePoster = (key, blob, persist = true) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const url = reader.result;
+    posters.set(key, url);
+
+    const storage = persist ? getStorage() : null;
+    if (storage) {
+      try {
+        storage.setItem(STORAGE_PREFIX + key, url);
+        touchStoredPoster(storage, key);
+      } catch (error) {
+        // Over quota: the poster still serves this page
+        console.warn('The poster frame could not be stored:', error);
+      }
+    }
+    resolve(url);
+  };
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Get the CSS background that shows a poster over a placeholder
+ * @param {string} url - Poster image URL
+ * @param {string|false} [placeholder] - CSS background behind the poster
+ * @returns {string} CSS background value
+ */
+export const getPosterBackground = (url, placeholder) => {
+  const image = `url("${url}") center / 100% 100% no-repeat`;
+  return placeholder ? `${image}, ${placeholder}` : image;
+};
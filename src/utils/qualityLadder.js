@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Adaptive quality: trade detail for frame rate, one step at a time
+ * @module QualityLadder
+ */
+
+/**
+ * Quality knobs in the order they are turned down: fewer entities first, a lower
+ * frame rate last. 'count' and 'effects' need support from the animation (see
+ * QUALITY_KNOBS in backgroundAnimations); 'resolution' and 'fps' work for every animation.
+ */
+export const QUALITY_KNOB_ORDER = ['count', 'effects', 'resolution', 'fps'];
+
+/**
+ * Knobs the host turns down on its own, for animations that don't declare any
+ */
+export const HOST_QUALITY_KNOBS = ['resolution', 'fps'];
+
+/**
+ * @typedef {Object} QualitySettings
+ * @property {number} countScale - Factor for the animation's count option
+ * @property {boolean} reducedDetail - Passed to the animation as options.reducedDetail: skip glow and connection lines
+ * @property {number} resolutionScale - Factor for the canvas pixel ratio
+ * @property {number} maxFps - Frame rate cap
+ */
+
+/**
+ * @typedef {Object} QualityState
+ * @property {number} tier - 0 for full quality, up to maxTier
+ * @property {number} maxTier - Lowest quality tier for this animation (the number of knobs it supports)
+ * @property {Array<string>} reduced - Knobs turned down at this tier
+ * @property {QualitySettings} settings - Settings the host applies
+ */
+
+/**
+ * Settings at full quality
+ * @type {QualitySettings}
+ */
+export const FULL_QUALITY = {
+  countScale: 1,
+  reducedDetail: false,
+  resolutionScale: 1,
+  maxFps: Infinity
+};
+
+/**
+ * What turning down each knob changes
+ */
+const KNOB_SETTINGS = {
+  count: { countScale: 0.5 },
+  effects: { reducedDetail: true },
+  resolution: { resolutionScale: 0.5 },
+  fps: { maxFps: 30 }
+};
+
+/**
+ * Measured frame rate, as a share of the target, below which quality goes down
+ */
+const DOWNGRADE_RATIO = 0.8;
+
+/**
+ * Measured frame rate, as a share of the target, from which quality may go up again
+ */
+const UPGRADE_RATIO = 0.95;
+
+/**
+ * How long the frame rate must stay low before quality goes down, in milliseconds
+ */
+const DOWNGRADE_AFTER = 2000;
+
+/**
+ * How long the frame rate must stay high before quality goes up, in milliseconds.
+ * Doubles, up to MAX_UPGRADE_AFTER, whenever an upgrade is undone right away.
+ */
+const UPGRADE_AFTER = 10000;
+const MAX_UPGRADE_AFTER = 120000;
+
+/**
+ * Time after a change during which measurements are ignored: the measured frame
+ * rate covers the last second, and a rebuilt scene needs a moment to settle
+ */
+const SETTLE_TIME = 2000;
+
+/**
+ * Settings at a tier: the first `tier` knobs turned down
+ * @param {Array<string>} knobs - Knobs the animation supports, see QUALITY_KNOB_ORDER
+ * @param {number} tier - Quality tier
+ * @returns {QualitySettings} Settings
+ */
+export const getQualitySettings = (knobs, tier) => (
+  Object.assign({}, FULL_QUALITY, ...knobs.slice(0, tier).map(knob => KNOB_SETTINGS[knob]))
+);
+
+/**
+ * Apply quality settings to the options passed to an animation factory
+ * @param {Object} options - Factory options
+ * @param {QualitySettings} settings - Quality settings
+ * @param {Object} [optionsSchema] - The animation's options schema, for the default count
+ * @returns {Object} Factory options with reducedDetail set and count scaled
+ */
+export const applyQualityToOptions = (options, settings, optionsSchema) => {
+  const result = { ...options, reducedDetail: settings.reducedDetail };
+  if (settings.countScale === 1) return result;
+
+  const countSchema = optionsSchema && optionsSchema.properties && optionsSchema.properties.count;
+  const count = options.count !== undefined ? options.count : countSchema && countSchema.default;
+  if (typeof count === 'number' && count > 0) {
+    result.count = Math.max(1, Math.round(count * settings.countScale));
+  }
+  return result;
+};
+
+/**
+ * Create a ladder that lowers quality while the measured frame rate stays below
+ * the target and raises it again once there is headroom. It only decides; the
+ * host applies the settings it reports.
+ * @param {Object} params - Ladder parameters
+ * @param {Array<string>} params.knobs - Knobs the animation supports; unknown ones are ignored
+ * @param {number} params.fps - Target frame rate (the host's fps cap)
+ * @param {Function} params.onChange - Called with the new {@link QualityState} on every change
+ * @returns {Object} Ladder with update(measuredFps, timestamp) and getState()
+ * @example
+ * const ladder = createQualityLadder({ knobs: ['count', 'resolution', 'fps'], fps: 60, onChange: applyQuality });
+ * // in the frame loop
+ * ladder.update(clock.getStats().fps, timestamp);
+ */
+export const createQualityLadder = ({ knobs, fps, onChange }) => {
+  const ladderKnobs = QUALITY_KNOB_ORDER.filter(knob => knobs.includes(knob));
+  let tier = 0;
+  let settings = FULL_QUALITY;
+  let lowSince = null;
+  let highSince = null;
+  let settleUntil = -Infinity;
+  let upgradeAfter = UPGRADE_AFTER;
+  let lastUpgrade = -Infinity;
+
+  const getState = () => ({
+    tier,
+    maxTier: ladderKnobs.length,
+    reduced: ladderKnobs.slice(0, tier),
+    settings
+  });
+
+  const setTier = (next, timestamp) => {
+    tier = next;
+    settings = getQualitySettings(ladderKnobs, tier);
+    lowSince = null;
+    highSince = null;
+    settleUntil = timestamp + SETTLE_TIME;
+    onChange(getState());
+  };
+
+  return {
+    /**
+     * Feed the latest measurement
+     * @param {number} measuredFps - Measured frame rate; 0 while paused or not yet measured
+     * @param {number} timestamp - Current time in milliseconds
+     */
+    update(measuredFps, timestamp) {
+      if (!measuredFps) {
+        lowSince = null;
+        highSince = null;
+        return;
+      }
+      if (timestamp < settleUntil) return;
+
+      const ratio = measuredFps / Math.min(fps, settings.maxFps);
+
+      if (ratio < DOWNGRADE_RATIO && tier < ladderKnobs.length) {
+        highSince = null;
+        if (lowSince === null) lowSince = timestamp;
+        if (timestamp - lowSince >= DOWNGRADE_AFTER) {
+          // Undoing an upgrade right away means there was no headroom; wait longer next time
+          if (timestamp - lastUpgrade < DOWNGRADE_AFTER + SETTLE_TIME) {
+            upgradeAfter = Math.min(upgradeAfter * 2, MAX_UPGRADE_AFTER);
+          }
+          setTier(tier + 1, timestamp);
+        }
+      } else if (ratio >= UPGRADE_RATIO && tier > 0) {
+        lowSince = null;
+        if (highSince === null) highSince = timestamp;
+        if (timestamp - highSince >= upgradeAfter) {
+          lastUpgrade = timestamp;
+          setTier(tier - 1, timestamp);
+        }
+      } else {
+        lowSince = null;
+        highSince = null;
+      }
+    },
+
+    getState
+  };
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Seeded pseudo-random number generation for reproducible animations
+ * @module Random
+ */
+
+/**
+ * Hash a seed to a 32-bit unsigned integer (FNV-1a over the seed's string form)
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit hash
+ */
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator. The returned function is a drop-in
+ * replacement for Math.random: it returns numbers in [0, 1), and generators
+ * created with the same seed return the same sequence.
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Random number generator
+ * @example
+ * const random = createRandom(42);
+ * random(); // always the same first value for seed 42
+ */
+export const createRandom = (seed) => {
+  if (typeof seed !== 'number' && typeof seed !== 'string') {
+    console.warn(`Invalid seed "${seed}". Seeds must be numbers or strings; using Math.random.`);
+    return Math.random;
+  }
+
+  // mulberry32
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
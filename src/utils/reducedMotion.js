@@ -0,0 +1,100 @@
+/**
+ * @fileoverview prefers-reduced-motion support shared by the components
+ * @module ReducedMotion
+ */
+
+/**
+ * @typedef {'auto'|'static'|'slow'|'ignore'} ReducedMotionSetting
+ * 'auto' follows the user's prefers-reduced-motion setting and shows a still frame
+ * when it is set, 'static' always shows a still frame, 'slow' always runs at reduced
+ * speed without flashing effects, and 'ignore' always animates normally.
+ */
+
+/**
+ * @typedef {'full'|'static'|'slow'} MotionMode
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const REDUCED_MOTION_SETTINGS = ['auto', 'static', 'slow', 'ignore'];
+
+/**
+ * Invalid settings already warned about; components resolve their setting on every render
+ */
+const warnedSettings = new Set();
+
+/**
+ * Speed multiplier applied in 'slow' mode
+ */
+export const SLOW_MOTION_SPEED = 0.25;
+
+/**
+ * Number of frames an animation is advanced by before it is shown as a still
+ * frame, so particles have spread out and trails have built up
+ */
+export const POSTER_FRAME_COUNT = 60;
+
+/**
+ * Check whether the user asked the system to minimize motion
+ * @returns {boolean} True when prefers-reduced-motion is 'reduce'
+ */
+export const prefersReducedMotion = () => (
+  typeof window !== 'undefined' &&
+  typeof window.matchMedia === 'function' &&
+  window.matchMedia(REDUCED_MOTION_QUERY).matches
+);
+
+/**
+ * Call back whenever the prefers-reduced-motion setting changes
+ * @param {Function} onChange - Called with true when reduced motion is preferred
+ * @returns {Function} Cleanup function that stops watching
+ */
+export const watchReducedMotion = (onChange) => {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return () => {};
+  }
+
+  const query = window.matchMedia(REDUCED_MOTION_QUERY);
+  const handleChange = (event) => onChange(event.matches);
+
+  // Safari before 14 only supports the deprecated addListener
+  if (typeof query.addEventListener === 'function') {
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }
+
+  query.addListener(handleChange);
+  return () => query.removeListener(handleChange);
+};
+
+/**
+ * Work out how a component should move
+ * @param {ReducedMotionSetting} setting - The component's reducedMotion prop
+ * @param {boolean} reducedMotionPreferred - Whether the user prefers reduced motion
+ * @returns {MotionMode} 'full', 'static' or 'slow'
+ */
+export const resolveMotionMode = (setting, reducedMotionPreferred) => {
+  if (!REDUCED_MOTION_SETTINGS.includes(setting)) {
+    if (!warnedSettings.has(setting)) {
+      warnedSettings.add(setting);
+      console.warn(`Invalid reducedMotion "${setting}". Use one of ${REDUCED_MOTION_SETTINGS.join(', ')}; using "auto".`);
+    }
+    return reducedMotionPreferred ? 'static' : 'full';
+  }
+
+  if (setting === 'auto') return reducedMotionPreferred ? 'static' : 'full';
+  if (setting === 'ignore') return 'full';
+  return setting;
+};
+
+/**
+ * Advance an animation by {@link POSTER_FRAME_COUNT} frames at 60 fps, leaving a
+ * representative still frame on the canvas
+ * @param {Function} frame - Frame function, called with {time, deltaTime, frame}
+ */
+export const drawPosterFrame = (frame) => {
+  const frameDuration = 1000 / 60;
+  for (let i = 0; i < POSTER_FRAME_COUNT; i++) {
+    frame({ time: i * frameDuration, deltaTime: i === 0 ? 0 : frameDuration, frame: i });
+  }
+};
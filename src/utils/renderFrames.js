@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Offline, frame-accurate rendering of animations for video and GIF export
+ * @module RenderFrames
+ */
+
+import { getAnimation, validateAnimationOptions } from '../animationRegistry.js';
+import { setCanvasResolution } from './canvasUtils.js';
+import { createRandom } from './random.js';
+import { themeManager } from './themeSystem.js';
+
+/**
+ * @typedef {Object} RenderedFrame
+ * @property {number} frame - Index of the frame, starting at 0
+ * @property {number} time - Timestamp of the frame in milliseconds (frame / fps)
+ * @property {ImageData} [imageData] - Frame pixels, when format is 'imageData'
+ * @property {Blob} [blob] - Encoded frame, when format is 'blob'
+ */
+
+/**
+ * Create the canvas frames are drawn onto when none is supplied
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ * @returns {OffscreenCanvas} Canvas
+ */
+const createOffscreenCanvas = (width, height) => {
+  if (typeof OffscreenCanvas === 'undefined') {
+    throw new Error('renderFrames needs OffscreenCanvas support; pass a canvas (e.g. from node-canvas) instead');
+  }
+  return new OffscreenCanvas(width, height);
+};
+
+/**
+ * Encode the current canvas contents
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+ * @param {string} type - Image MIME type
+ * @returns {Promise<Blob>} Encoded image
+ */
+const canvasToBlob = (canvas, type) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type });
+  }
+  if (typeof canvas.toBlob === 'function') {
+    return new Promise(resolve => canvas.toBlob(resolve, type));
+  }
+  throw new Error('This canvas cannot produce Blobs; use format "imageData" instead');
+};
+
+/**
+ * Render an animation frame by frame at exact timestamps, without a display or
+ * requestAnimationFrame. Frame N is drawn at N / fps seconds with a fixed time step,
+ * so with a seed the output is identical on every run.
+ *
+ * Uses the same factory contract as AnimatedBackground, so registered custom
+ * animations render too. In Node, pass a canvas from a canvas implementation such
+ * as node-canvas.
+ * @param {Object} config - Render configuration
+ * @param {string} config.animationName - Name of a built-in or registered animation
+ * @param {number} config.width - Width in CSS pixels
+ * @param {number} config.height - Height in CSS pixels
+ * @param {number} [config.fps=30] - Frames per second of the output
+ * @param {number} config.duration - Length of the output in milliseconds
+ * @param {number|string} [config.seed] - Seed for the animation's randomness
+ * @param {Object} [config.options] - Animation options, as for AnimatedBackground
+ * @param {string} [config.theme] - Theme name to apply
+ * @param {number} [config.pixelRatio=1] - Output pixels per CSS pixel
+ * @param {HTMLCanvasElement|OffscreenCanvas|Object} [config.canvas] - Canvas to draw onto;
+ *   an OffscreenCanvas is created when not set
+ * @param {'imageData'|'blob'} [config.format='imageData'] - What each frame yields
+ * @param {string} [config.type='image/png'] - Image MIME type when format is 'blob'
+ * @returns {AsyncGenerator<RenderedFrame>} The rendered frames
+ * @throws {Error} When the animation is unknown or the arguments are invalid
+ * @example
+ * // Browser: collect PNG blobs
+ * for await (const { blob } of renderFrames({
+ *   animationName: 'starryNight', width: 1280, height: 720, fps: 30, duration: 5000, seed: 42, format: 'blob'
+ * })) {
+ *   blobs.push(blob);
+ * }
+ *
+ * @example
+ * // Node with node-canvas
+ * const { createCanvas } = require('canvas');
+ * const frames = renderFrames({
+ *   animationName: 'matrixRain', width: 640, height: 360, duration: 2000, seed: 1,
+ *   canvas: createCanvas(640, 360)
+ * });
+ * for await (const { frame, imageData } of frames) { ... }
+ */
+export async function* renderFrames({
+  animationName,
+  width,
+  height,
+  fps = 30,
+  duration,
+  seed,
+  options = {},
+  theme,
+  pixelRatio = 1,
+  canvas,
+  format = 'imageData',
+  type = 'image/png'
+}) {
+  const factory = getAnimation(animationName);
+  if (!factory) {
+    throw new Error(`Unknown animation: ${animationName}`);
+  }
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('renderFrames needs a positive width and height');
+  }
+  if (!(fps > 0) || !(duration >= 0)) {
+    throw new Error('renderFrames needs a positive fps and a duration of 0 or more');
+  }
+  if (format !== 'imageData' && format !== 'blob') {
+    throw new Error(`Unknown frame format "${format}". Use "imageData" or "blob".`);
+  }
+
+  const target = canvas || createOffscreenCanvas(Math.round(width * pixelRatio), Math.round(height * pixelRatio));
+  const ctx = target.getContext('2d');
+  setCanvasResolution(target, ctx, width, height, pixelRatio);
+
+  const { options: animationOptions, errors } = validateAnimationOptions(animationName, options);
+  if (errors.length > 0) {
+    console.warn(`Invalid options for animation "${animationName}":\n  ${errors.join('\n  ')}`);
+  }
+
+  if (theme) {
+    themeManager.applyTheme(theme);
+  }
+
+  const drawFrame = factory(target, ctx, {
+    themeManager: theme ? themeManager : null,
+    random: seed !== undefined ? createRandom(seed) : undefined,
+    ...(theme ? themeManager.getAnimationSettings(animationName) : {}),
+    ...animationOptions
+  });
+
+  const frameDuration = 1000 / fps;
+  const frameCount = Math.round(duration / frameDuration);
+
+  for (let index = 0; index < frameCount; index++) {
+    const time = index * frameDuration;
+    // The first frame shows the initial scene; every later frame advances one fixed step
+    drawFrame({ time, deltaTime: index === 0 ? 0 : frameDuration, frame: index });
+
+    if (format === 'blob') {
+      yield { frame: index, time, blob: await canvasToBlob(target, type) };
+    } else {
+      yield { frame: index, time, imageData: ctx.getImageData(0, 0, target.width, target.height) };
+    }
+  }
+}
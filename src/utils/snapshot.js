@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Encode the current frame of a canvas as an image
+ * @module Snapshot
+ */
+
+import { getLogicalSize } from './canvasUtils';
+
+/**
+ * @typedef {Object} SnapshotOptions
+ * @property {'image/png'|'image/webp'|'image/jpeg'} [type='image/png'] - Image MIME type
+ * @property {number} [quality] - Quality for lossy formats (0-1)
+ * @property {number} [scale] - Output pixels per CSS pixel, e.g. 0.5 for a small preview or 2 for
+ *   a sharp OpenGraph image; the canvas' own resolution when not set
+ */
+
+/**
+ * Image types snapshots can be encoded as
+ */
+export const SNAPSHOT_TYPES = ['image/png', 'image/webp', 'image/jpeg'];
+
+/**
+ * Validate snapshot arguments. Accepts the options object or, as before, a type and quality.
+ * @param {SnapshotOptions|string} [typeOrOptions] - Snapshot options, or just the type
+ * @param {number} [quality] - Quality when the first argument is a type
+ * @returns {SnapshotOptions} Options with defaults filled in
+ * @example
+ * resolveSnapshotOptions({ type: 'image/webp', quality: 0.8, scale: 0.5 });
+ * resolveSnapshotOptions('image/jpeg', 0.9); // { type: 'image/jpeg', quality: 0.9, scale: undefined }
+ */
+export const resolveSnapshotOptions = (typeOrOptions, quality) => {
+  const options = typeof typeOrOptions === 'string' ? { type: typeOrOptions, quality } : typeOrOptions || {};
+  let { type = 'image/png', scale } = options;
+
+  if (!SNAPSHOT_TYPES.includes(type)) {
+    console.warn(`Unsupported snapshot type "${type}". Use one of ${SNAPSHOT_TYPES.join(', ')}. Using image/png.`);
+    type = 'image/png';
+  }
+  if (scale !== undefined && (typeof scale !== 'number' || !(scale > 0))) {
+    console.warn(`Invalid snapshot scale "${scale}". Snapshot scales must be positive numbers.`);
+    scale = undefined;
+  }
+
+  return { type, quality: options.quality, scale };
+};
+
+/**
+ * Encode the current canvas contents
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+ * @param {string} type - Image MIME type
+ * @param {number} [quality] - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export const canvasToBlob = (canvas, type, quality) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  if (typeof canvas.toBlob === 'function') {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (
+        blob ? resolve(blob) : reject(new Error('The canvas could not be encoded'))
+      ), type, quality);
+    });
+  }
+  return Promise.reject(new Error('This canvas cannot produce Blobs'));
+};
+
+/**
+ * Create a canvas of the same kind as another one
+ * @param {HTMLCanvasElement|OffscreenCanvas} like - Canvas whose kind to match
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas
+ */
+const createCanvasLike = (like, width, height) => {
+  if (typeof like.convertToBlob !== 'function' && typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+};
+
+/**
+ * Encode the frame currently on a canvas, optionally at another resolution
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to capture
+ * @param {SnapshotOptions} options - Resolved options, see {@link resolveSnapshotOptions}
+ * @returns {Promise<Blob>} Encoded image
+ */
+export const snapshotCanvas = (canvas, { type, quality, scale }) => {
+  if (scale === undefined) {
+    return canvasToBlob(canvas, type, quality);
+  }
+
+  const { width, height } = getLogicalSize(canvas);
+  const target = createCanvasLike(canvas, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const ctx = target.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(canvas, 0, 0, target.width, target.height);
+  return canvasToBlob(target, type, quality);
+};
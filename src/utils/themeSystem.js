@@ -3,6 +3,8 @@
  * @module ThemeSystem
  */
 
+import { frameScheduler, FRAME_PRIORITY } from './frameScheduler.js';
+
 /**
  * @typedef {Object} ColorScheme
  * @property {string} name - Theme name
@@ -436,6 +438,19 @@ export class ThemeManager {
     this.customThemes.set(name, config);
   }
 
+  /**
+   * Create a separate manager with its own current theme, e.g. for one layer of a
+   * LayeredBackground. It shares this manager's custom themes.
+   * @param {string} themeName - Theme to apply to the new manager
+   * @returns {ThemeManager} New theme manager
+   */
+  createScope(themeName) {
+    const scope = new ThemeManager();
+    scope.customThemes = this.customThemes;
+    scope.applyTheme(themeName);
+    return scope;
+  }
+
   /**
    * Get effect color from current theme
    * @param {string} effectType - 'glow', 'highlight', or 'shadow'
@@ -520,6 +535,23 @@ export class ThemeManager {
     return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity})`;
   }
 
+  /**
+   * CSS background that stands in for an animation until it has drawn, e.g. in
+   * server-rendered markup. It only depends on the theme name, not on the applied
+   * theme, so the server and the client render the same value.
+   * @param {string} [themeName] - Theme name
+   * @returns {string} CSS background: the theme's primary gradient, or a dark slate without a theme
+   */
+  getPlaceholderBackground(themeName) {
+    const theme = themeName ? THEMES[themeName] || this.customThemes.get(themeName) : null;
+    if (!theme || !theme.colorScheme) return 'rgb(15, 23, 42)';
+
+    const { colors = [], gradients = {} } = theme.colorScheme;
+    const [from, to] = gradients.primary || colors;
+    if (!from) return 'rgb(15, 23, 42)';
+    return to ? `linear-gradient(135deg, ${from}, ${to})` : from;
+  }
+
   /**
    * Get current theme name
    * @returns {string} Current theme name or 'default'
@@ -563,6 +595,7 @@ export class ThemeManager {
     const startColors = [...this.currentColors];
     const targetColors = THEMES[newTheme].colorScheme.colors;
     
+    let removeFrameTask = null;
     const transitionStep = () => {
       const elapsed = Date.now() - startTime;
       const progress = Math.min(elapsed / duration, 1);
@@ -574,15 +607,18 @@ export class ThemeManager {
         return this.interpolateColor(startColor, targetColor, easedProgress);
       });
       
-      if (progress < 1) {
-        requestAnimationFrame(transitionStep);
-      } else {
+      if (progress >= 1) {
         this.currentTheme = newTheme;
         this.isTransitioning = false;
+        if (removeFrameTask) removeFrameTask();
       }
     };
     
     transitionStep();
+    if (this.isTransitioning) {
+      // Colors change before the backgrounds that read them draw
+      removeFrameTask = frameScheduler.add(transitionStep, { priority: FRAME_PRIORITY.UPDATE, name: 'ThemeManager' });
+    }
   }
 
   /**
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Transitions between two animations on the same canvas
+ * @module Transitions
+ */
+
+/**
+ * @typedef {Object} TransitionConfig
+ * @property {'crossfade'|'wipe'|'dissolve'|'zoom'} [type='crossfade'] - How the new scene replaces the old one
+ * @property {number} [duration=1000] - Length of the transition in milliseconds
+ */
+
+/**
+ * Size of the squares the dissolve transition reveals, in CSS pixels
+ */
+const DISSOLVE_CELL_SIZE = 24;
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/**
+ * Composite functions: draw the outgoing and incoming scene at a progress from 0 to 1.
+ * The context is cleared and in source-over mode; width and height are in CSS pixels.
+ */
+const TRANSITIONS = {
+  crossfade: (ctx, from, to, progress, width, height) => {
+    ctx.drawImage(from, 0, 0, width, height);
+    ctx.globalAlpha = progress;
+    ctx.drawImage(to, 0, 0, width, height);
+  },
+
+  wipe: (ctx, from, to, progress, width, height) => {
+    ctx.drawImage(from, 0, 0, width, height);
+    ctx.beginPath();
+    ctx.rect(0, 0, width * progress, height);
+    ctx.clip();
+    ctx.drawImage(to, 0, 0, width, height);
+  },
+
+  dissolve: (ctx, from, to, progress, width, height, cells) => {
+    ctx.drawImage(from, 0, 0, width, height);
+    ctx.beginPath();
+    cells.forEach(cell => {
+      if (cell.threshold < progress) {
+        ctx.rect(cell.x, cell.y, DISSOLVE_CELL_SIZE, DISSOLVE_CELL_SIZE);
+      }
+    });
+    ctx.clip();
+    ctx.drawImage(to, 0, 0, width, height);
+  },
+
+  zoom: (ctx, from, to, progress, width, height) => {
+    const drawScaled = (image, scale, alpha) => {
+      ctx.globalAlpha = alpha;
+      ctx.drawImage(
+        image,
+        (width - width * scale) / 2, (height - height * scale) / 2,
+        width * scale, height * scale
+      );
+    };
+    drawScaled(from, 1 + progress * 0.5, 1 - progress);
+    drawScaled(to, 0.8 + progress * 0.2, progress);
+  }
+};
+
+/**
+ * Names of the supported transition types
+ */
+export const TRANSITION_TYPES = Object.keys(TRANSITIONS);
+
+/**
+ * Validate a transition prop and adapt it to the motion mode: still frames cut
+ * straight to the next scene, and slowed motion only cross-fades
+ * @param {TransitionConfig|string|null} [transition] - Transition config, or just a type name
+ * @param {'full'|'static'|'slow'} [motion='full'] - Motion mode, see resolveMotionMode
+ * @returns {TransitionConfig|null} Transition with defaults filled in, or null for hard cuts
+ */
+export const resolveTransition = (transition, motion = 'full') => {
+  if (!transition || motion === 'static') return null;
+
+  const config = typeof transition === 'string' ? { type: transition } : transition;
+  const { type = 'crossfade', duration = 1000 } = config;
+
+  if (!TRANSITIONS[type]) {
+    console.warn(`Unknown transition "${type}". Use one of ${TRANSITION_TYPES.join(', ')}.`);
+    return null;
+  }
+  if (typeof duration !== 'number' || !(duration > 0)) {
+    console.warn(`Invalid transition duration "${duration}". Transition durations must be positive numbers.`);
+    return null;
+  }
+
+  return { type: motion === 'slow' ? 'crossfade' : type, duration };
+};
+
+/**
+ * Create a canvas to hold a scene's pixels, matching a canvas' backing store size
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to match
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Buffer canvas
+ */
+const createBuffer = (canvas) => {
+  if (typeof document !== 'undefined') {
+    const buffer = document.createElement('canvas');
+    buffer.width = canvas.width;
+    buffer.height = canvas.height;
+    return buffer;
+  }
+  return new OffscreenCanvas(canvas.width, canvas.height);
+};
+
+/**
+ * Replace a canvas' pixels with another canvas' pixels, ignoring the target's
+ * transform and blend mode
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLCanvasElement|OffscreenCanvas} source - Canvas to copy
+ */
+const copyPixels = (ctx, source) => {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'copy';
+  ctx.drawImage(source, 0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.restore();
+};
+
+/**
+ * Start a transition away from the scene currently on a canvas. Call this
+ * before the canvas is set up for the next animation: it keeps the current
+ * pixels and the outgoing frame function.
+ *
+ * Animations draw straight onto the canvas they were created with and often
+ * rely on what they drew before (trails). During the transition both scenes
+ * therefore take turns on the canvas, each starting from its own saved pixels,
+ * before the two are composited.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas both animations draw on
+ * @param {Function} outgoing - Frame function of the animation being replaced
+ * @param {TransitionConfig} config - Resolved transition, see {@link resolveTransition}
+ * @param {Function} [random=Math.random] - Random source for the dissolve pattern
+ * @returns {Object} Transition with render(incoming, frameInfo, deltaTime) and finish(incoming, frameInfo)
+ */
+export const createTransition = (canvas, outgoing, { type, duration }, random = Math.random) => {
+  const ctx = canvas.getContext('2d');
+  const from = createBuffer(canvas);
+  const fromCtx = from.getContext('2d');
+  copyPixels(fromCtx, canvas);
+
+  let to = null;
+  let toCtx = null;
+  let cells = null;
+  let elapsed = 0;
+
+  /**
+   * Run one frame function on the canvas, starting from and saving into a buffer
+   */
+  const drawScene = (frame, frameInfo, bufferCtx) => {
+    copyPixels(ctx, bufferCtx.canvas);
+    frame(frameInfo);
+    copyPixels(bufferCtx, canvas);
+  };
+
+  /**
+   * End the transition now: restore the new animation's own pixels and draw its frame
+   * @param {Function} incoming - Frame function of the new animation
+   * @param {FrameInfo} [frameInfo] - Frame to draw
+   */
+  const finish = (incoming, frameInfo) => {
+    if (to && to.width === canvas.width && to.height === canvas.height) {
+      copyPixels(ctx, to);
+    }
+    if (frameInfo) {
+      incoming(frameInfo);
+    }
+  };
+
+  return {
+    /**
+     * Draw one transition frame
+     * @param {Function} incoming - Frame function of the new animation
+     * @param {FrameInfo} frameInfo - Frame to draw, passed to both animations
+     * @param {number} deltaTime - Real time since the previous frame in milliseconds
+     * @returns {boolean} True once the transition is over and the canvas shows only the new animation
+     */
+    render(incoming, frameInfo, deltaTime) {
+      const { width, height } = ctx.canvas;
+      if (!to) {
+        // The canvas has just been set up for the new animation, so it starts out empty
+        to = createBuffer(canvas);
+        toCtx = to.getContext('2d');
+      }
+
+      elapsed += deltaTime;
+      if (elapsed >= duration || from.width !== width || from.height !== height) {
+        // Done, or the canvas was resized and the saved scene no longer fits
+        finish(incoming, frameInfo);
+        return true;
+      }
+
+      drawScene(outgoing, frameInfo, fromCtx);
+      drawScene(incoming, frameInfo, toCtx);
+
+      const transform = ctx.getTransform();
+      const logicalWidth = width / transform.a;
+      const logicalHeight = height / transform.d;
+      if (type === 'dissolve' && !cells) {
+        cells = [];
+        for (let y = 0; y < logicalHeight; y += DISSOLVE_CELL_SIZE) {
+          for (let x = 0; x < logicalWidth; x += DISSOLVE_CELL_SIZE) {
+            cells.push({ x, y, threshold: random() });
+          }
+        }
+      }
+
+      ctx.save();
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.clearRect(0, 0, logicalWidth, logicalHeight);
+      TRANSITIONS[type](ctx, from, to, easeInOutCubic(elapsed / duration), logicalWidth, logicalHeight, cells);
+      ctx.restore();
+      return false;
+    },
+
+    finish
+  };
+};
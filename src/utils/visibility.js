@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Detect when a canvas cannot be seen, so its animation can pause
+ * @module Visibility
+ */
+
+/**
+ * Watch whether an element can be seen: it must intersect the viewport and its
+ * page must not be hidden (a background tab or minimized window). Uses
+ * IntersectionObserver and the visibilitychange event where available.
+ * @param {Element} element - Element to watch
+ * @param {Function} onChange - Called with true or false whenever visibility changes
+ * @returns {Function} Cleanup function that stops watching
+ * @example
+ * const stop = observeVisibility(canvas, visible => (visible ? resume() : pause()));
+ */
+export const observeVisibility = (element, onChange) => {
+  let intersecting = true;
+  let pageVisible = typeof document === 'undefined' || !document.hidden;
+  let visible = intersecting && pageVisible;
+
+  const update = () => {
+    const next = intersecting && pageVisible;
+    if (next !== visible) {
+      visible = next;
+      onChange(visible);
+    }
+  };
+
+  const handleVisibilityChange = () => {
+    pageVisible = !document.hidden;
+    update();
+  };
+
+  let observer = null;
+  if (typeof IntersectionObserver !== 'undefined') {
+    observer = new IntersectionObserver((entries) => {
+      intersecting = entries[entries.length - 1].isIntersecting;
+      update();
+    });
+    observer.observe(element);
+  }
+
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+
+  // The page may already be hidden when watching starts
+  if (!visible) {
+    onChange(false);
+  }
+
+  return () => {
+    if (observer) observer.disconnect();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+  };
+};
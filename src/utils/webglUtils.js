@@ -3,6 +3,8 @@
  * @module WebGLUtils
  */
 
+import { frameScheduler, FRAME_PRIORITY } from './frameScheduler';
+
 /**
  * WebGL shader manager
  */
@@ -116,6 +118,8 @@ export class WebGLParticleSystem {
     
     this.time = 0;
     this.isRunning = false;
+    // Removes the render loop from the frame scheduler while running
+    this.removeFrameTask = null;
     
     this.initializeShaders();
     this.initializeBuffers();
@@ -413,14 +417,11 @@ export class WebGLParticleSystem {
     
     this.isRunning = true;
     
-    const animate = () => {
-      if (!this.isRunning) return;
-      
-      this.render();
-      requestAnimationFrame(animate);
-    };
-    
-    animate();
+    this.render();
+    this.removeFrameTask = frameScheduler.add(() => this.render(), {
+      priority: FRAME_PRIORITY.RENDER,
+      name: 'WebGLParticleSystem'
+    });
   }
 
   /**
@@ -428,6 +429,10 @@ export class WebGLParticleSystem {
    */
   stop() {
     this.isRunning = false;
+    if (this.removeFrameTask) {
+      this.removeFrameTask();
+      this.removeFrameTask = null;
+    }
   }
 
   /**
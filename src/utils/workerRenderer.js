@@ -0,0 +1,583 @@
+/**
+ * @fileoverview Run animations in a Web Worker on an OffscreenCanvas
+ * @module WorkerRenderer
+ */
+
+import { validateAnimationOptions, getAnimationMetadata } from '../animationRegistry';
+import { setCanvasResolution, setLogicalSize } from './canvasUtils';
+import { createInteractionHandler } from './interactionUtils';
+import { createFrameClock } from './frameClock';
+import { createRandom } from './random';
+import { themeManager } from './themeSystem';
+import { drawPosterFrame, SLOW_MOTION_SPEED } from './reducedMotion';
+import { createTransition } from './transitions';
+import { snapshotCanvas } from './snapshot';
+import { createQualityLadder, applyQualityToOptions, FULL_QUALITY, HOST_QUALITY_KNOBS } from './qualityLadder';
+import {
+  getFallbackChain, setupFromChain, STATIC_COLOR, DEFAULT_MAX_CONSECUTIVE_ERRORS
+} from './fallbackChain';
+
+/**
+ * @typedef {Object} WorkerAnimationConfig
+ * @property {string} animationName - Name of a built-in animation, or one registered in the worker
+ * @property {string|Array<string>} [fallbackAnimation='geometricShapes'] - Fallback chain after animationName,
+ *   see getFallbackChain
+ * @property {number} [maxConsecutiveErrors=3] - Failed frames in a row before falling back
+ * @property {Object} [options] - Animation options
+ * @property {number|string} [seed] - Seed for the animation's randomness
+ * @property {string} [theme] - Theme name
+ * @property {string} [blendMode='normal'] - Canvas blend mode
+ * @property {number} [fps=60] - Maximum frames per second
+ * @property {boolean} [adaptivePerformance=false] - Lower quality while the frame rate stays below fps,
+ *   see createQualityLadder
+ * @property {'full'|'static'|'slow'} [motion='full'] - Motion mode, see resolveMotionMode
+ * @property {Object|null} [transition] - Resolved transition used when animationName changes, see resolveTransition
+ * @property {boolean} [interactive=false] - Whether pointer input is forwarded
+ * @property {Object} [interactionConfig] - Interaction configuration
+ */
+
+/**
+ * Messages sent from the page to the worker
+ */
+const MESSAGES = {
+  INIT: 'init',
+  SETUP: 'setup',
+  RESIZE: 'resize',
+  CONTROLS: 'controls',
+  VISIBILITY: 'visibility',
+  POINTER: 'pointer',
+  STEP: 'step',
+  RESET: 'reset',
+  SNAPSHOT: 'snapshot'
+};
+
+/**
+ * Messages sent from the worker to the page
+ */
+const REPLIES = {
+  STATS: 'stats',
+  DRAWN: 'drawn',
+  SNAPSHOT: 'snapshot',
+  ERROR: 'error',
+  ANIMATION: 'animation',
+  QUALITY: 'quality'
+};
+
+/**
+ * How often a running worker reports its frame stats, in milliseconds
+ */
+const STATS_INTERVAL = 500;
+
+/**
+ * How long a released renderer waits before terminating its worker. Effects that
+ * are torn down and immediately re-run on the same canvas (React StrictMode)
+ * pick the renderer up again, since a canvas can only be transferred once.
+ */
+const RELEASE_DELAY = 100;
+
+/**
+ * Check whether this browser can render animations in a worker
+ * @returns {boolean} True when Workers and OffscreenCanvas transfer are available
+ */
+export const supportsWorkerRendering = () => (
+  typeof Worker !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+);
+
+/**
+ * Handle AnimatedBackground's messages inside a worker: draw the configured
+ * animation on the transferred OffscreenCanvas in the worker's own frame loop.
+ *
+ * The package ships dist/animationWorker.js, a worker that calls this with the
+ * built-in animations. Call it from your own worker script to render custom
+ * animations or themes registered there.
+ * @param {DedicatedWorkerGlobalScope} [scope=self] - Worker global scope
+ * @example
+ * // background.worker.js
+ * import { exposeAnimationWorker, registerAnimation } from 'animated-backgrounds';
+ *
+ * registerAnimation('myAnimation', myAnimation);
+ * exposeAnimationWorker();
+ */
+export const exposeAnimationWorker = (scope = self) => {
+  const requestFrame = typeof scope.requestAnimationFrame === 'function'
+    ? scope.requestAnimationFrame.bind(scope)
+    : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+  let canvas = null;
+  let ctx = null;
+  let frame = null;
+  let chainIndex = 0;
+  let activeAnimation = null;
+  let failures = 0;
+  let transition = null;
+  let clock = null;
+  let ladder = null;
+  let quality = null;
+  let config = {};
+  let size = { width: 0, height: 0, pixelRatio: 1 };
+  let controls = { isPlaying: true, speed: 1 };
+  let interactionHandler = null;
+  let visible = true;
+  let running = false;
+  let lastStatsTime = -Infinity;
+  let hasDrawn = false;
+
+  const postStats = () => {
+    scope.postMessage({ type: REPLIES.STATS, stats: clock.getStats() });
+  };
+
+  // Errors are reported to the page, which passes them to onError or logs them
+  const reportError = (error, info) => {
+    scope.postMessage({
+      type: REPLIES.ERROR,
+      error: { name: error && error.name, message: error && error.message, stack: error && error.stack },
+      info
+    });
+  };
+
+  const getQualitySettings = () => (quality ? quality.settings : FULL_QUALITY);
+
+  // Lower quality tiers draw fewer backing store pixels
+  const getPixelRatio = () => size.pixelRatio * getQualitySettings().resolutionScale;
+
+  const createAnimation = (startIndex) => {
+    setCanvasResolution(canvas, ctx, size.width, size.height, getPixelRatio());
+    ctx.globalCompositeOperation = config.blendMode || 'normal';
+
+    const { animationName, fallbackAnimation = 'geometricShapes', theme, seed } = config;
+    const created = setupFromChain({
+      chain: getFallbackChain(animationName, fallbackAnimation),
+      startIndex,
+      canvas,
+      ctx,
+      color: themeManager.getBackgroundColor(1),
+      onError: reportError,
+      getOptions: (name, index) => {
+        let animationOptions = {};
+        if (index === 0) {
+          const { options: validOptions, errors } = validateAnimationOptions(name, config.options);
+          if (errors.length > 0) {
+            console.warn(`Invalid options for animation "${name}":\n  ${errors.join('\n  ')}`);
+          }
+          animationOptions = validOptions;
+        }
+        return applyQualityToOptions({
+          themeManager: theme ? themeManager : null,
+          interactionHandler,
+          random: seed !== undefined ? createRandom(seed) : undefined,
+          reducedMotion: Boolean(config.motion) && config.motion !== 'full',
+          ...(theme ? themeManager.getAnimationSettings(name) : {}),
+          ...animationOptions
+        }, getQualitySettings(), getAnimationMetadata(name).optionsSchema);
+      }
+    });
+
+    frame = created.frame;
+    chainIndex = created.index;
+    if (created.animationName !== activeAnimation) {
+      activeAnimation = created.animationName;
+      scope.postMessage({ type: REPLIES.ANIMATION, animationName: activeAnimation });
+    }
+    failures = 0;
+  };
+
+  const setup = () => {
+    if (config.theme) {
+      themeManager.applyTheme(config.theme);
+    }
+
+    const points = interactionHandler ? interactionHandler.getInteractionPoints() : [];
+    interactionHandler = config.interactive ? createInteractionHandler(canvas, config.interactionConfig) : null;
+    if (interactionHandler) {
+      interactionHandler.setInteractionPoints(points);
+    }
+
+    // Every scene starts at full quality
+    const previousQuality = quality;
+    quality = null;
+    createAnimation(0);
+    clock = createFrameClock({ fps: config.fps });
+
+    ladder = null;
+    if (config.adaptivePerformance && config.motion !== 'static') {
+      const metadata = getAnimationMetadata(activeAnimation);
+      ladder = createQualityLadder({
+        knobs: metadata ? metadata.qualityKnobs : HOST_QUALITY_KNOBS,
+        fps: config.fps || 60,
+        onChange: applyQuality
+      });
+      quality = ladder.getState();
+    }
+    if (previousQuality && previousQuality.tier > 0) {
+      scope.postMessage({
+        type: REPLIES.QUALITY,
+        quality: quality || { tier: 0, maxTier: 0, reduced: [], settings: FULL_QUALITY }
+      });
+    }
+
+    if (config.motion === 'static') {
+      drawPosterFrame(drawFrame);
+    }
+  };
+
+  // Let the animation keep its scene at the new size; false when it has to be rebuilt
+  const resizeFrame = () => {
+    try {
+      return typeof frame.resize === 'function' && frame.resize(size.width, size.height) !== false;
+    } catch (error) {
+      reportError(error, { animationName: activeAnimation, phase: 'resize' });
+      return false;
+    }
+  };
+
+  const resize = () => {
+    transition = null;
+    setCanvasResolution(canvas, ctx, size.width, size.height, getPixelRatio());
+    // Resizing resets the context state, including the blend mode
+    ctx.globalCompositeOperation = config.blendMode || 'normal';
+    if (!resizeFrame()) {
+      createAnimation(chainIndex);
+    }
+  };
+
+  // Apply a tier chosen by the quality ladder and report it to the page
+  const applyQuality = (next) => {
+    const previous = getQualitySettings();
+    const { settings } = next;
+    quality = next;
+
+    if (settings.countScale !== previous.countScale || settings.reducedDetail !== previous.reducedDetail) {
+      // Animations read their count and detail level when they are created
+      createAnimation(chainIndex);
+    } else if (settings.resolutionScale !== previous.resolutionScale) {
+      resize();
+    }
+    clock.setFps(Math.min(config.fps || 60, settings.maxFps));
+    scope.postMessage({ type: REPLIES.QUALITY, quality: next });
+  };
+
+  const endTransition = () => {
+    if (transition) {
+      transition.finish(frame);
+      transition = null;
+    }
+  };
+
+  const drawFrame = (frameInfo, playbackSpeed = 1) => {
+    try {
+      if (!transition) {
+        frame(frameInfo);
+      } else if (transition.render(frame, frameInfo, frameInfo.deltaTime / playbackSpeed)) {
+        transition = null;
+      }
+      failures = 0;
+      if (!hasDrawn) {
+        // Tells the page the canvas shows something, so it can drop its placeholder
+        hasDrawn = true;
+        scope.postMessage({ type: REPLIES.DRAWN });
+      }
+    } catch (error) {
+      transition = null;
+      reportError(error, { animationName: activeAnimation, phase: 'frame' });
+      failures += 1;
+      const { maxConsecutiveErrors = DEFAULT_MAX_CONSECUTIVE_ERRORS } = config;
+      if (failures >= maxConsecutiveErrors && activeAnimation !== STATIC_COLOR) {
+        createAnimation(chainIndex + 1);
+      }
+    }
+  };
+
+  const loop = (timestamp) => {
+    if (!visible || config.motion === 'static') {
+      // Stop requesting frames; the clock resumes without counting the time spent stopped
+      running = false;
+      clock.pause();
+      return;
+    }
+    requestFrame(loop);
+
+    if (!controls.isPlaying) {
+      clock.pause();
+      return;
+    }
+
+    const playbackSpeed = controls.speed * (config.motion === 'slow' ? SLOW_MOTION_SPEED : 1);
+    const frameInfo = clock.tick(timestamp, playbackSpeed);
+    if (frameInfo) {
+      drawFrame(frameInfo, playbackSpeed);
+      if (ladder) {
+        ladder.update(clock.getStats().fps, timestamp);
+      }
+    }
+
+    if (timestamp - lastStatsTime >= STATS_INTERVAL) {
+      lastStatsTime = timestamp;
+      postStats();
+    }
+  };
+
+  const start = () => {
+    if (!running && visible && frame) {
+      running = true;
+      requestFrame(loop);
+    }
+  };
+
+  scope.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+      case MESSAGES.INIT:
+        canvas = data.canvas;
+        ctx = canvas.getContext('2d');
+        break;
+      case MESSAGES.SETUP:
+        endTransition();
+        if (frame && data.config.transition && data.config.animationName !== config.animationName) {
+          const { seed } = data.config;
+          transition = createTransition(canvas, frame, data.config.transition,
+            seed !== undefined ? createRandom(`${seed}:transition`) : undefined);
+        }
+        config = data.config;
+        size = data.size;
+        setup();
+        start();
+        break;
+      case MESSAGES.RESIZE:
+        size = data.size;
+        if (!frame) break;
+        resize();
+        if (config.motion === 'static') {
+          drawPosterFrame(drawFrame);
+        }
+        break;
+      case MESSAGES.CONTROLS:
+        controls = data.controls;
+        break;
+      case MESSAGES.VISIBILITY:
+        visible = data.visible;
+        start();
+        break;
+      case MESSAGES.POINTER:
+        if (interactionHandler) {
+          interactionHandler.setInteractionPoints(data.points);
+        }
+        break;
+      case MESSAGES.STEP:
+        if (!frame) break;
+        for (let i = 0; i < data.count; i++) {
+          drawFrame(clock.step(data.deltaTime));
+        }
+        postStats();
+        break;
+      case MESSAGES.RESET:
+        if (!frame) break;
+        transition = null;
+        setup();
+        if (config.motion !== 'static') {
+          drawFrame(clock.step(0));
+        }
+        postStats();
+        break;
+      case MESSAGES.SNAPSHOT:
+        snapshotCanvas(canvas, data.options)
+          .then(blob => scope.postMessage({ type: REPLIES.SNAPSHOT, id: data.id, blob }))
+          .catch(error => scope.postMessage({ type: REPLIES.SNAPSHOT, id: data.id, error: error.message }));
+        break;
+      default:
+        console.warn(`Unknown animation worker message "${data.type}"`);
+    }
+  });
+};
+
+/**
+ * Worker renderers by canvas element
+ * @type {WeakMap<HTMLCanvasElement, Object>}
+ */
+const renderers = new WeakMap();
+
+/**
+ * Create the worker from a script URL or a factory
+ * @param {string|URL|Function} worker - Worker script URL, or a function returning a Worker
+ * @returns {Worker} Worker
+ */
+const createWorker = (worker) => (typeof worker === 'function' ? worker() : new Worker(worker));
+
+/**
+ * Get the worker renderer of a canvas, transferring the canvas to a new worker
+ * on first use. The page keeps the canvas element (and its logical size, for
+ * pointer input); all drawing happens in the worker.
+ * @param {HTMLCanvasElement} canvas - Canvas element; it can no longer be drawn on from the page
+ * @param {string|URL|Function} worker - Worker script URL, or a function returning a Worker
+ * @returns {Object} Renderer with setup, resize, setControls, setVisible, setInteractionPoints, step,
+ *   reset, snapshot, getStats, setHandlers and release
+ */
+export const getWorkerRenderer = (canvas, worker) => {
+  const existing = renderers.get(canvas);
+  if (existing) {
+    existing.retain();
+    return existing;
+  }
+
+  const instance = createWorker(worker);
+  const offscreen = canvas.transferControlToOffscreen();
+  instance.postMessage({ type: MESSAGES.INIT, canvas: offscreen }, [offscreen]);
+
+  let releaseTimer = null;
+  let terminated = false;
+  let stats = { time: 0, frame: 0, fps: 0 };
+  let nextSnapshotId = 0;
+  const pendingSnapshots = new Map();
+  let handlers = {};
+
+  instance.addEventListener('message', ({ data }) => {
+    if (data.type === REPLIES.STATS) {
+      stats = data.stats;
+      if (handlers.onStats) handlers.onStats(stats);
+    } else if (data.type === REPLIES.DRAWN) {
+      if (handlers.onDrawn) handlers.onDrawn();
+    } else if (data.type === REPLIES.ANIMATION) {
+      if (handlers.onAnimationChange) handlers.onAnimationChange(data.animationName);
+    } else if (data.type === REPLIES.QUALITY) {
+      if (handlers.onQualityChange) handlers.onQualityChange(data.quality);
+    } else if (data.type === REPLIES.SNAPSHOT) {
+      const { resolve, reject } = pendingSnapshots.get(data.id);
+      pendingSnapshots.delete(data.id);
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.blob);
+      }
+    } else if (data.type === REPLIES.ERROR && handlers.onError) {
+      // Errors lose their class crossing to the page; rebuild one with the same name, message and stack
+      const error = new Error(data.error.message);
+      error.name = data.error.name || 'Error';
+      error.stack = data.error.stack;
+      handlers.onError(error, data.info);
+    }
+  });
+
+  const renderer = {
+    /**
+     * (Re)create the animation in the worker
+     * @param {WorkerAnimationConfig} config - Animation configuration; must be cloneable
+     * @param {Object} size - {width, height, pixelRatio} in CSS pixels
+     */
+    setup(config, size) {
+      setLogicalSize(canvas, size.width, size.height, size.pixelRatio);
+      instance.postMessage({ type: MESSAGES.SETUP, config, size });
+    },
+
+    /**
+     * Resize the canvas, keeping the scene when the animation supports it
+     * @param {Object} size - {width, height, pixelRatio} in CSS pixels
+     */
+    resize(size) {
+      setLogicalSize(canvas, size.width, size.height, size.pixelRatio);
+      instance.postMessage({ type: MESSAGES.RESIZE, size });
+    },
+
+    /**
+     * Forward playback state
+     * @param {Object} controls - {isPlaying, speed}
+     */
+    setControls(controls) {
+      instance.postMessage({ type: MESSAGES.CONTROLS, controls });
+    },
+
+    /**
+     * Stop or resume the worker's frame loop
+     * @param {boolean} visible - Whether the canvas can be seen
+     */
+    setVisible(visible) {
+      instance.postMessage({ type: MESSAGES.VISIBILITY, visible });
+    },
+
+    /**
+     * Forward pointer input
+     * @param {Array<Object>} points - Interaction points in CSS pixels
+     */
+    setInteractionPoints(points) {
+      instance.postMessage({ type: MESSAGES.POINTER, points });
+    },
+
+    /**
+     * Draw frames immediately, e.g. while paused
+     * @param {number} count - Number of frames
+     * @param {number} deltaTime - Animation time per frame in milliseconds
+     */
+    step(count, deltaTime) {
+      instance.postMessage({ type: MESSAGES.STEP, count, deltaTime });
+    },
+
+    /**
+     * Recreate the animation from scratch and draw its first frame
+     */
+    reset() {
+      instance.postMessage({ type: MESSAGES.RESET });
+    },
+
+    /**
+     * Encode the canvas contents in the worker
+     * @param {import('./snapshot').SnapshotOptions} options - Resolved snapshot options, see resolveSnapshotOptions
+     * @returns {Promise<Blob>} Encoded image
+     */
+    snapshot(options) {
+      if (terminated) {
+        return Promise.reject(new Error('The render worker has been terminated'));
+      }
+      const id = nextSnapshotId++;
+      return new Promise((resolve, reject) => {
+        pendingSnapshots.set(id, { resolve, reject });
+        instance.postMessage({ type: MESSAGES.SNAPSHOT, id, options });
+      });
+    },
+
+    /**
+     * Receive events from the worker
+     * @param {Object} callbacks - Event callbacks
+     * @param {Function} [callbacks.onError] - onError(error, { animationName, phase }) when an animation throws
+     * @param {Function} [callbacks.onStats] - onStats({ time, frame, fps }) with every stats report
+     * @param {Function} [callbacks.onDrawn] - onDrawn() once the worker has drawn its first frame
+     * @param {Function} [callbacks.onAnimationChange] - onAnimationChange(animationName) when the worker
+     *   sets up a different animation, including fallbacks
+     * @param {Function} [callbacks.onQualityChange] - onQualityChange(quality) when adaptive quality changes tier
+     */
+    setHandlers(callbacks) {
+      handlers = callbacks;
+    },
+
+    /**
+     * Get the most recent stats reported by the worker
+     * @returns {Object} {time, frame, fps}
+     */
+    getStats() {
+      return stats;
+    },
+
+    /**
+     * Keep the worker after a release, when the canvas is used again
+     */
+    retain() {
+      clearTimeout(releaseTimer);
+    },
+
+    /**
+     * Stop using the renderer; the worker is terminated unless the canvas is used again shortly
+     */
+    release() {
+      clearTimeout(releaseTimer);
+      releaseTimer = setTimeout(() => {
+        instance.terminate();
+        terminated = true;
+        renderers.delete(canvas);
+        // A terminated worker never replies; settle the snapshots still waiting for it
+        pendingSnapshots.forEach(({ reject }) => reject(new Error('The render worker was terminated before the snapshot was taken')));
+        pendingSnapshots.clear();
+      }, RELEASE_DELAY);
+    }
+  };
+
+  renderers.set(canvas, renderer);
+  return renderer;
+};
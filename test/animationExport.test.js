@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderFrames } from '../src/utils/renderFrames.js';
+import { exportGif, exportPngSequence } from '../src/utils/animationExport.js';
+import { createStubCanvas } from './helpers/stubCanvas.js';
+
+const config = { animationName: 'starryNight', width: 40, height: 30, fps: 10, duration: 500 };
+
+const collect = async (frames) => {
+  const result = [];
+  for await (const frame of frames) result.push(frame);
+  return result;
+};
+
+test('renderFrames draws duration * fps frames at exact timestamps', async () => {
+  const frames = await collect(renderFrames({ ...config, seed: 1, canvas: createStubCanvas() }));
+  assert.deepEqual(frames.map(({ frame, time }) => [frame, time]), [[0, 0], [1, 100], [2, 200], [3, 300], [4, 400]]);
+  assert.equal(frames[0].imageData.width, 40);
+  assert.equal(frames[0].imageData.height, 30);
+});
+
+test('renderFrames draws at the pixel ratio', async () => {
+  const [first] = await collect(renderFrames({ ...config, duration: 100, pixelRatio: 2, canvas: createStubCanvas() }));
+  assert.equal(first.imageData.width, 80);
+  assert.equal(first.imageData.height, 60);
+});
+
+test('renderFrames gives the same frames for the same seed', async () => {
+  const pixels = async (seed) => (await collect(renderFrames({ ...config, seed, canvas: createStubCanvas() })))
+    .map(({ imageData }) => imageData.data.slice(0, 4).join());
+  assert.deepEqual(await pixels(7), await pixels(7));
+  assert.notDeepEqual(await pixels(7), await pixels(8));
+});
+
+test('renderFrames rejects unknown animations and invalid sizes', async () => {
+  await assert.rejects(collect(renderFrames({ ...config, animationName: 'nope', canvas: createStubCanvas() })), /Unknown animation/);
+  await assert.rejects(collect(renderFrames({ ...config, width: 0, canvas: createStubCanvas() })), /positive width/);
+});
+
+test('renderFrames needs a canvas where there is no OffscreenCanvas', async () => {
+  await assert.rejects(collect(renderFrames(config)), /OffscreenCanvas/);
+});
+
+test('renderFrames draws autumnLeaves where there is no Image', async () => {
+  const frames = await collect(renderFrames({ ...config, animationName: 'autumnLeaves', seed: 1, canvas: createStubCanvas() }));
+  assert.equal(frames.length, 5);
+});
+
+test('exportGif encodes every rendered frame', async () => {
+  const gif = await exportGif({ ...config, seed: 1, canvas: createStubCanvas() });
+  assert.equal(String.fromCharCode(...gif.subarray(0, 6)), 'GIF89a');
+  const images = gif.filter((byte, i) => byte === 0x2c && gif[i - 8] === 0x21 && gif[i - 7] === 0xf9);
+  assert.equal(images.length, 5);
+});
+
+test('exportPngSequence returns numbered PNG files and a manifest', async () => {
+  const { manifest, files } = await exportPngSequence({ ...config, seed: 1, canvas: createStubCanvas() });
+  assert.deepEqual(files.map(file => file.name), [0, 1, 2, 3, 4].map(i => `starryNight-000${i}.png`));
+  files.forEach(({ data }) => assert.deepEqual([...data.subarray(1, 4)], [80, 78, 71]));
+  assert.equal(manifest.width, 40);
+  assert.equal(manifest.seed, 1);
+  assert.deepEqual(manifest.frames[2], { file: 'starryNight-0002.png', frame: 2, time: 200 });
+});
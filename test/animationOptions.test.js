@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAnimation, unregisterAnimation, validateAnimationOptions } from '../src/animationRegistry.js';
+import { resolveOptions, ANIMATION_OPTIONS } from '../src/animationOptions.js';
+
+test('valid options pass', () => {
+  assert.deepEqual(validateAnimationOptions('starryNight', { count: 200, colors: ['#fff'] }), {
+    valid: true,
+    errors: [],
+    options: { count: 200, colors: ['#fff'] }
+  });
+});
+
+test('invalid and unknown options are reported and left out', () => {
+  const { valid, errors, options } = validateAnimationOptions('starryNight', { count: -5, speed: 1, glow: true });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['"count" must be at least 0 (got -5)', '"glow" is not a supported option']);
+  assert.deepEqual(options, { speed: 1 });
+});
+
+test('types, array items and enums are checked', () => {
+  const check = (options) => validateAnimationOptions('floatingBubbles', options).errors;
+  assert.deepEqual(check({ count: 1.5 }), ['"count" must be an integer (got 1.5)']);
+  assert.deepEqual(check({ colors: '#fff' }), ['"colors" must be an array (got "#fff")']);
+  assert.deepEqual(check({ direction: 'left' }), ['"direction" must be one of "up", "down" (got "left")']);
+});
+
+test('undefined options are ignored', () => {
+  assert.deepEqual(validateAnimationOptions('starryNight', { count: undefined }).errors, []);
+});
+
+test('unknown animations are invalid', () => {
+  assert.deepEqual(validateAnimationOptions('nope', {}).errors, ['Unknown animation: nope']);
+});
+
+test('animations registered without a schema accept any options', (t) => {
+  t.after(() => unregisterAnimation('testFree'));
+  registerAnimation('testFree', () => () => {});
+  assert.deepEqual(validateAnimationOptions('testFree', { anything: 1 }).options, { anything: 1 });
+});
+
+test('resolveOptions fills in the schema defaults', () => {
+  const resolved = resolveOptions(ANIMATION_OPTIONS.starryNight, { count: 10 });
+  assert.equal(resolved.count, 10);
+  assert.equal(resolved.speed, ANIMATION_OPTIONS.starryNight.properties.speed.default);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerAnimation, unregisterAnimation, listAnimations, getAnimation, hasAnimation, getAnimationMetadata
+} from '../src/animationRegistry.js';
+
+const noop = () => () => {};
+
+test('built-in animations are registered', () => {
+  assert.ok(hasAnimation('starryNight'));
+  const info = getAnimationMetadata('starryNight');
+  assert.equal(info.displayName, 'Starry Night');
+  assert.equal(info.builtIn, true);
+  assert.ok(info.features.includes('resize'));
+});
+
+test('registerAnimation adds an animation with metadata defaults', (t) => {
+  t.after(() => unregisterAnimation('testSparkles'));
+  const info = registerAnimation('testSparkles', noop, { tags: ['brand'] });
+  assert.equal(getAnimation('testSparkles'), noop);
+  assert.deepEqual(info, {
+    name: 'testSparkles',
+    displayName: 'testSparkles',
+    tags: ['brand'],
+    optionsSchema: { type: 'object', properties: {} },
+    features: [],
+    qualityKnobs: ['resolution', 'fps'],
+    builtIn: false
+  });
+});
+
+test('registering a name again replaces the animation', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.after(() => unregisterAnimation('testReplaced'));
+  const replacement = () => () => {};
+  registerAnimation('testReplaced', noop);
+  registerAnimation('testReplaced', replacement);
+  assert.equal(getAnimation('testReplaced'), replacement);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('registerAnimation rejects invalid names and factories', () => {
+  assert.throws(() => registerAnimation('', noop), /non-empty string/);
+  assert.throws(() => registerAnimation('testBroken', {}), /factory function/);
+  assert.equal(hasAnimation('testBroken'), false);
+});
+
+test('unregisterAnimation removes an animation', () => {
+  registerAnimation('testRemoved', noop);
+  assert.equal(unregisterAnimation('testRemoved'), true);
+  assert.equal(hasAnimation('testRemoved'), false);
+  assert.equal(unregisterAnimation('testRemoved'), false);
+});
+
+test('listAnimations filters by tag and feature', (t) => {
+  t.after(() => unregisterAnimation('testTagged'));
+  registerAnimation('testTagged', noop, { tags: ['testTag'], features: ['theme'] });
+  assert.deepEqual(listAnimations({ tag: 'testTag' }).map(info => info.name), ['testTagged']);
+  assert.ok(listAnimations({ feature: 'theme' }).some(info => info.name === 'testTagged'));
+  assert.ok(listAnimations().length > 20);
+});
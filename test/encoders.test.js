@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGif, createThemePalette } from '../src/utils/gifEncoder.js';
+import { encodePng } from '../src/utils/pngEncoder.js';
+
+const createImage = (width, height, [r, g, b]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set([r, g, b, 255], i);
+  }
+  return { width, height, data };
+};
+
+const text = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+test('encodeGif writes an animated GIF with one image per frame', () => {
+  const frames = [createImage(4, 3, [255, 0, 0]), createImage(4, 3, [0, 0, 255])];
+  const gif = encodeGif(frames, { palette: createThemePalette(['#ff0000', '#0000ff']) });
+  assert.equal(text(gif, 0, 6), 'GIF89a');
+  assert.equal(gif[6] | (gif[7] << 8), 4);
+  assert.equal(gif[8] | (gif[9] << 8), 3);
+  assert.equal(gif[gif.length - 1], 0x3b);
+  // Every image is preceded by an 8-byte graphic control extension (0x21 0xf9 0x04 ... 0x00)
+  const images = gif.filter((byte, i) => byte === 0x2c && gif[i - 8] === 0x21 && gif[i - 7] === 0xf9);
+  assert.equal(images.length, 2);
+});
+
+test('encodeGif rejects an empty frame list', () => {
+  assert.throws(() => encodeGif([]), /at least one frame/);
+});
+
+test('encodePng writes the PNG signature and header', () => {
+  const png = encodePng(createImage(2, 5, [0, 128, 255]));
+  assert.deepEqual([...png.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+  assert.equal(text(png, 12, 16), 'IHDR');
+  const view = new DataView(png.buffer, png.byteOffset);
+  assert.equal(view.getUint32(16), 2);
+  assert.equal(view.getUint32(20), 5);
+  assert.equal(text(png, png.length - 8, png.length - 4), 'IEND');
+});
+
+test('encodePng rejects pixel data that does not match the size', () => {
+  assert.throws(() => encodePng({ width: 2, height: 2, data: new Uint8Array(4) }), /2x2 RGBA/);
+});
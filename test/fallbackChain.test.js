@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAnimation, unregisterAnimation } from '../src/animationRegistry.js';
+import { getFallbackChain, setupFromChain, STATIC_COLOR } from '../src/utils/fallbackChain.js';
+import { createStubCanvas } from './helpers/stubCanvas.js';
+
+test('getFallbackChain ends with the static color', () => {
+  assert.deepEqual(getFallbackChain('a'), ['a', STATIC_COLOR]);
+  assert.deepEqual(getFallbackChain('a', 'b'), ['a', 'b', STATIC_COLOR]);
+  assert.deepEqual(getFallbackChain('a', ['b', 'c']), ['a', 'b', 'c', STATIC_COLOR]);
+});
+
+test('getFallbackChain stops at an explicit static color', () => {
+  assert.deepEqual(getFallbackChain('a', [STATIC_COLOR, 'b']), ['a', STATIC_COLOR]);
+});
+
+const setup = (chain, params = {}) => {
+  const canvas = createStubCanvas();
+  return setupFromChain({
+    chain, canvas, ctx: canvas.getContext('2d'), getOptions: () => ({}), color: '#000', ...params
+  });
+};
+
+test('setupFromChain skips missing animations and ones that throw during setup', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  registerAnimation('testThrows', () => {
+    throw new Error('setup failed');
+  });
+  t.after(() => unregisterAnimation('testThrows'));
+  const errors = [];
+  const result = setup(['testThrows', 'missing', 'starryNight', STATIC_COLOR], {
+    onError: (error, info) => errors.push([error.message, info])
+  });
+  assert.equal(result.animationName, 'starryNight');
+  assert.equal(result.index, 2);
+  assert.equal(typeof result.frame, 'function');
+  assert.deepEqual(errors, [['setup failed', { animationName: 'testThrows', phase: 'setup' }]]);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('setupFromChain starts at startIndex and falls back to the static color', () => {
+  const result = setup(['starryNight', STATIC_COLOR], { startIndex: 1 });
+  assert.equal(result.animationName, STATIC_COLOR);
+  assert.doesNotThrow(() => result.frame());
+});
+
+test('setupFromChain passes each animation its options', (t) => {
+  let received = null;
+  registerAnimation('testOptions', (canvas, ctx, options) => {
+    received = options;
+    return () => {};
+  });
+  t.after(() => unregisterAnimation('testOptions'));
+  setup(['testOptions', STATIC_COLOR], { getOptions: (name, index) => ({ name, index }) });
+  assert.deepEqual(received, { name: 'testOptions', index: 0 });
+});
+
+test('setupFromChain needs a chain that ends with the static color', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.throws(() => setup(['missing']), /must end with "static-color"/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameClock, MAX_FRAME_DELTA } from '../src/utils/frameClock.js';
+
+test('the first tick advances one frame interval', () => {
+  const clock = createFrameClock({ fps: 50 });
+  assert.deepEqual(clock.tick(1000), { time: 20, deltaTime: 20, frame: 0 });
+});
+
+test('ticks that come before the next frame is due are skipped', () => {
+  const clock = createFrameClock({ fps: 30 });
+  clock.tick(0);
+  assert.equal(clock.tick(16.7), null);
+  assert.equal(clock.tick(33.4).frame, 1);
+});
+
+test('speed scales deltaTime', () => {
+  const clock = createFrameClock({ fps: 50 });
+  clock.tick(0);
+  const frameInfo = clock.tick(20, 0.5);
+  assert.equal(frameInfo.deltaTime, 10);
+  assert.equal(frameInfo.time, 30);
+});
+
+test('long gaps are clamped', () => {
+  const clock = createFrameClock();
+  clock.tick(0);
+  assert.equal(clock.tick(5000).deltaTime, MAX_FRAME_DELTA);
+});
+
+test('step advances by a fixed amount independently of wall time', () => {
+  const clock = createFrameClock();
+  assert.deepEqual(clock.step(100), { time: 100, deltaTime: 100, frame: 0 });
+  assert.deepEqual(clock.step(50), { time: 150, deltaTime: 50, frame: 1 });
+  assert.deepEqual(clock.getStats(), { time: 150, frame: 2, fps: 0 });
+});
+
+test('a pause is not counted as elapsed time', () => {
+  const clock = createFrameClock({ fps: 50 });
+  clock.tick(0);
+  clock.pause();
+  assert.equal(clock.tick(10000).deltaTime, 20);
+});
+
+test('reset starts time and frames at 0 again', () => {
+  const clock = createFrameClock();
+  clock.step(100);
+  clock.reset();
+  assert.deepEqual(clock.getStats(), { time: 0, frame: 0, fps: 0 });
+});
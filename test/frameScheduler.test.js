@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameScheduler, FRAME_PRIORITY } from '../src/utils/frameScheduler.js';
+
+/**
+ * Scheduler whose frames run when the test calls runFrame
+ */
+const createManualScheduler = (options) => {
+  let pending = null;
+  const scheduler = createFrameScheduler({
+    ...options,
+    requestFrame: (callback) => {
+      pending = callback;
+      return 1;
+    },
+    cancelFrame: () => {
+      pending = null;
+    }
+  });
+  const runFrame = (timestamp = 0) => {
+    const callback = pending;
+    pending = null;
+    if (callback) callback(timestamp);
+  };
+  return { scheduler, runFrame, hasPendingFrame: () => pending !== null };
+};
+
+test('tasks run in order of priority, then of registration', () => {
+  const { scheduler, runFrame } = createManualScheduler();
+  const order = [];
+  scheduler.add(() => order.push('render'));
+  scheduler.add(() => order.push('input'), { priority: FRAME_PRIORITY.INPUT });
+  scheduler.add(() => order.push('idle'), { priority: FRAME_PRIORITY.IDLE });
+  scheduler.add(() => order.push('render 2'));
+  runFrame();
+  assert.deepEqual(order, ['input', 'render', 'render 2', 'idle']);
+});
+
+test('the loop stops when the last task is removed', () => {
+  const { scheduler, runFrame, hasPendingFrame } = createManualScheduler();
+  let runs = 0;
+  const remove = scheduler.add(() => runs++);
+  runFrame();
+  runFrame();
+  assert.equal(runs, 2);
+  remove();
+  assert.equal(hasPendingFrame(), false);
+});
+
+test('a failing task does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { scheduler, runFrame } = createManualScheduler();
+  let ran = false;
+  scheduler.add(() => {
+    throw new Error('boom');
+  }, { name: 'failing' });
+  scheduler.add(() => {
+    ran = true;
+  });
+  runFrame();
+  assert.equal(ran, true);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('render tasks over the budget are deferred to the next frame', () => {
+  const { scheduler, runFrame } = createManualScheduler({ budget: 1 });
+  const runs = [];
+  scheduler.add(() => {
+    // Use up the budget
+    const start = Date.now();
+    while (Date.now() - start < 5) { /* busy */ }
+    runs.push('slow');
+  }, { priority: FRAME_PRIORITY.UPDATE });
+  scheduler.add(() => runs.push('render'));
+  runFrame();
+  assert.deepEqual(runs, ['slow']);
+  assert.equal(scheduler.getStats().deferred, 1);
+  runFrame();
+  assert.deepEqual(runs, ['slow', 'slow', 'render']);
+});
@@ -0,0 +1,50 @@
+/**
+ * Canvas stand-in for tests in Node: every context method is a no-op, and
+ * getImageData returns pixels derived from the calls made so far, so the same
+ * drawing gives the same pixels and different drawing (almost always) doesn't.
+ */
+export const createStubCanvas = (width = 300, height = 150) => {
+  let hash = 0x811c9dc5;
+  const record = (name, args) => {
+    const text = `${name}(${args.map(String).join(',')})`;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  };
+
+  const gradient = () => ({ addColorStop: (...args) => record('addColorStop', args) });
+  const methods = {
+    createLinearGradient: gradient,
+    createRadialGradient: gradient,
+    createPattern: () => ({}),
+    measureText: text => ({ width: String(text).length * 8 }),
+    getImageData: (x, y, w, h) => {
+      const data = new Uint8ClampedArray(w * h * 4);
+      for (let i = 0; i < data.length; i += 4) {
+        data[i] = hash & 255;
+        data[i + 1] = (hash >>> 8) & 255;
+        data[i + 2] = (hash >>> 16) & 255;
+        data[i + 3] = 255;
+      }
+      return { width: w, height: h, data };
+    }
+  };
+
+  const ctx = new Proxy({}, {
+    get(target, name) {
+      if (name in methods) return methods[name];
+      if (name in target) return target[name];
+      return (...args) => record(name, args);
+    },
+    set(target, name, value) {
+      record(name, [value]);
+      target[name] = value;
+      return true;
+    }
+  });
+
+  const canvas = { width, height, getContext: () => ctx };
+  ctx.canvas = canvas;
+  return canvas;
+};
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createQualityLadder, getQualitySettings, applyQualityToOptions, FULL_QUALITY
+} from '../src/utils/qualityLadder.js';
+
+const createLadder = (knobs = ['count', 'effects', 'resolution', 'fps']) => {
+  const changes = [];
+  const ladder = createQualityLadder({ knobs, fps: 60, onChange: state => changes.push(state) });
+  return { ladder, changes };
+};
+
+/**
+ * Feed one measurement every 100ms from start to end
+ */
+const feed = (ladder, fps, start, end) => {
+  for (let time = start; time <= end; time += 100) ladder.update(fps, time);
+};
+
+test('the ladder starts at full quality', () => {
+  const { ladder } = createLadder(['resolution', 'fps']);
+  assert.deepEqual(ladder.getState(), { tier: 0, maxTier: 2, reduced: [], settings: FULL_QUALITY });
+});
+
+test('knobs are turned down in order, one step per sustained slowdown', () => {
+  const { ladder, changes } = createLadder(['fps', 'count']);
+  feed(ladder, 30, 0, 1900);
+  assert.equal(changes.length, 0);
+  feed(ladder, 30, 2000, 2000);
+  assert.deepEqual(changes[0].reduced, ['count']);
+  assert.equal(changes[0].settings.countScale, 0.5);
+  // Measurements right after a change are ignored while the scene settles
+  feed(ladder, 30, 2100, 3900);
+  assert.equal(changes.length, 1);
+  feed(ladder, 30, 4000, 6000);
+  assert.deepEqual(ladder.getState().reduced, ['count', 'fps']);
+});
+
+test('quality never goes below the last tier', () => {
+  const { ladder } = createLadder(['resolution']);
+  feed(ladder, 10, 0, 20000);
+  assert.equal(ladder.getState().tier, 1);
+});
+
+test('quality goes up again after a sustained recovery', () => {
+  const { ladder } = createLadder(['resolution']);
+  feed(ladder, 30, 0, 2000);
+  assert.equal(ladder.getState().tier, 1);
+  feed(ladder, 60, 2100, 13900);
+  assert.equal(ladder.getState().tier, 1);
+  feed(ladder, 60, 14000, 14100);
+  assert.equal(ladder.getState().tier, 0);
+});
+
+test('paused measurements (0 fps) reset the timers', () => {
+  const { ladder } = createLadder(['resolution']);
+  feed(ladder, 30, 0, 1500);
+  ladder.update(0, 1600);
+  feed(ladder, 30, 1700, 3500);
+  assert.equal(ladder.getState().tier, 0);
+});
+
+test('getQualitySettings turns down the first knobs', () => {
+  assert.deepEqual(getQualitySettings(['effects', 'fps'], 2), {
+    countScale: 1, reducedDetail: true, resolutionScale: 1, maxFps: 30
+  });
+});
+
+test('applyQualityToOptions scales the count, falling back to the schema default', () => {
+  const settings = getQualitySettings(['count'], 1);
+  const schema = { properties: { count: { default: 150 } } };
+  assert.deepEqual(applyQualityToOptions({ speed: 1 }, settings, schema), { speed: 1, reducedDetail: false, count: 75 });
+  assert.equal(applyQualityToOptions({ count: 1 }, settings, schema).count, 1);
+  assert.deepEqual(applyQualityToOptions({ count: 10 }, FULL_QUALITY, schema), { count: 10, reducedDetail: false });
+});
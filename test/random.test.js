@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, hashSeed } from '../src/utils/random.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(take(createRandom(42), 100), take(createRandom(42), 100));
+  assert.deepEqual(take(createRandom('landing'), 100), take(createRandom('landing'), 100));
+});
+
+test('different seeds give different sequences', () => {
+  assert.notDeepEqual(take(createRandom(1), 10), take(createRandom(2), 10));
+});
+
+test('numbers and their string form are the same seed', () => {
+  assert.equal(hashSeed(42), hashSeed('42'));
+});
+
+test('values lie in [0, 1)', () => {
+  take(createRandom('range'), 10000).forEach(value => {
+    assert.ok(value >= 0 && value < 1, `${value} is out of range`);
+  });
+});
+
+test('invalid seeds fall back to Math.random', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(createRandom({}), Math.random);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
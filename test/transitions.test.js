@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTransition, TRANSITION_TYPES } from '../src/utils/transitions.js';
+
+test('no transition means hard cuts', () => {
+  assert.equal(resolveTransition(undefined), null);
+  assert.equal(resolveTransition(null), null);
+});
+
+test('a type name gets the default duration', () => {
+  assert.deepEqual(resolveTransition('wipe'), { type: 'wipe', duration: 1000 });
+});
+
+test('a config gets the default type', () => {
+  assert.deepEqual(resolveTransition({ duration: 400 }), { type: 'crossfade', duration: 400 });
+});
+
+test('every transition type resolves', () => {
+  TRANSITION_TYPES.forEach(type => assert.equal(resolveTransition(type).type, type));
+});
+
+test('still frames cut and slowed motion only cross-fades', () => {
+  assert.equal(resolveTransition('zoom', 'static'), null);
+  assert.deepEqual(resolveTransition('zoom', 'slow'), { type: 'crossfade', duration: 1000 });
+});
+
+test('unknown types and invalid durations are warned about and cut', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(resolveTransition('spin'), null);
+  assert.equal(resolveTransition({ type: 'wipe', duration: -1 }), null);
+  assert.equal(resolveTransition({ type: 'wipe', duration: '1s' }), null);
+  assert.equal(console.warn.mock.callCount(), 3);
+});